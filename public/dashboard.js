@@ -0,0 +1,279 @@
+/**
+ * Live dashboard: renders /status as a watches x stores grid and keeps it
+ * updated from the /events Server-Sent Events stream.
+ */
+(function () {
+    const TIMELINE_LIMIT = 100;
+
+    let currentStatus = null;
+
+    /**
+     * Create an element with optional class and text
+     */
+    function el(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) {
+            node.className = className;
+        }
+        if (text !== undefined && text !== null) {
+            node.textContent = text;
+        }
+        return node;
+    }
+
+    /**
+     * Format a timestamp relative to now, e.g. "2m ago" or "in 30s"
+     */
+    function relativeTime(iso) {
+        if (!iso) {
+            return '—';
+        }
+
+        const diffSeconds = Math.round((new Date(iso).getTime() - Date.now()) / 1000);
+        const abs = Math.abs(diffSeconds);
+        let text;
+        if (abs < 60) {
+            text = `${abs}s`;
+        } else if (abs < 3600) {
+            text = `${Math.floor(abs / 60)}m ${abs % 60}s`;
+        } else {
+            text = `${Math.floor(abs / 3600)}h ${Math.floor((abs % 3600) / 60)}m`;
+        }
+        return diffSeconds >= 0 ? `in ${text}` : `${text} ago`;
+    }
+
+    /**
+     * Collect every store seen across all watches, closest first
+     */
+    function collectStores(watches) {
+        const stores = new Map();
+        watches.filter(watch => watch.type !== 'json').forEach((watch) => {
+            if (!stores.has(watch.storeNumber)) {
+                stores.set(watch.storeNumber, { storeNumber: watch.storeNumber, storeName: null, distanceKm: 0 });
+            }
+            const seen = (watch.lastKnownStatus && watch.lastKnownStatus.stores) || [];
+            seen.forEach((store) => {
+                // Watched stores keep distance 0 so they sort first
+                const known = stores.get(store.storeNumber) || {};
+                stores.set(store.storeNumber, {
+                    storeNumber: store.storeNumber,
+                    storeName: store.storeName,
+                    distanceKm: known.distanceKm ?? store.distanceKm,
+                });
+            });
+        });
+
+        return [...stores.values()].sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+    }
+
+    /**
+     * Render the watches x stores grid. JSON watches show their value
+     * across the store columns.
+     */
+    function renderGrid(status) {
+        const stores = collectStores(status.watches);
+        const hasJson = status.watches.some(watch => watch.type === 'json');
+        const thead = document.querySelector('#grid thead');
+        const tbody = document.querySelector('#grid tbody');
+
+        const headerRow = el('tr');
+        headerRow.appendChild(el('th', null, 'Watch'));
+        stores.forEach((store) => {
+            const th = el('th', null, store.storeName || store.storeNumber);
+            const distance = store.distanceKm ? ` · ${store.distanceKm} km` : '';
+            th.appendChild(el('small', null, `${store.storeNumber}${distance}`));
+            headerRow.appendChild(th);
+        });
+        if (stores.length === 0 && hasJson) {
+            headerRow.appendChild(el('th', null, 'Value'));
+        }
+        ['Delivery', 'Last check', 'Next check', 'Recent errors'].forEach(label => headerRow.appendChild(el('th', null, label)));
+        thead.replaceChildren(headerRow);
+
+        const rows = status.watches.map((watch) => {
+            const row = el('tr', watch.paused ? 'paused' : null);
+
+            const name = el('td', null, watch.label);
+            const detail = watch.type === 'json' ? watch.field : watch.partNumber;
+            name.appendChild(el('small', null, `${detail}${watch.paused ? ' · paused' : ''}`));
+            row.appendChild(name);
+
+            const seen = (watch.lastKnownStatus && watch.lastKnownStatus.stores) || [];
+            if (watch.type === 'json') {
+                const last = watch.lastKnownStatus;
+                const value = el('td', last ? (last.available ? 'available' : 'unavailable') : null, last ? last.message : '—');
+                value.colSpan = Math.max(stores.length, 1);
+                row.appendChild(value);
+            }
+            // A JSON watch's value cell spans the store columns
+            (watch.type === 'json' ? [] : stores).forEach((store) => {
+                const quote = seen.find(entry => entry.storeNumber === store.storeNumber);
+                const classes = [];
+                if (quote) {
+                    classes.push(quote.available ? 'available' : 'unavailable');
+                }
+                if (store.storeNumber === watch.storeNumber) {
+                    classes.push('home');
+                }
+
+                const cell = el('td', classes.join(' '), quote ? quote.message : '—');
+                if (quote && quote.storePickupQuote && quote.storePickupQuote !== quote.message) {
+                    cell.appendChild(el('small', null, quote.storePickupQuote));
+                }
+                row.appendChild(cell);
+            });
+
+            const delivery = watch.lastKnownStatus && watch.lastKnownStatus.delivery;
+            const deliveryCell = el('td', delivery ? (delivery.available ? 'available' : 'unavailable') : null,
+                delivery ? delivery.quote || delivery.status : '—');
+            if (delivery && delivery.days !== null) {
+                deliveryCell.appendChild(el('small', null, `${delivery.days} ${delivery.days === 1 ? 'day' : 'days'}`));
+            }
+            row.appendChild(deliveryCell);
+
+            const lastCheck = el('td', null, relativeTime(watch.lastCheckedAt));
+            lastCheck.dataset.time = watch.lastCheckedAt || '';
+            row.appendChild(lastCheck);
+
+            const nextCheck = el('td', null, relativeTime(watch.nextCheckAt));
+            nextCheck.dataset.time = watch.nextCheckAt || '';
+            row.appendChild(nextCheck);
+
+            const errorsCell = el('td');
+            if (watch.recentErrors && watch.recentErrors.length > 0) {
+                const list = el('ul', 'errors');
+                watch.recentErrors.forEach((error) => {
+                    list.appendChild(el('li', null, `${relativeTime(error.timestamp)}: ${error.message}`));
+                });
+                errorsCell.appendChild(list);
+            } else {
+                errorsCell.textContent = '—';
+            }
+            row.appendChild(errorsCell);
+
+            return row;
+        });
+        tbody.replaceChildren(...rows);
+    }
+
+    /**
+     * Render the header summary line
+     */
+    function renderSummary(status) {
+        const available = status.watches.filter(watch => watch.lastKnownStatus && watch.lastKnownStatus.available).length;
+        const state = status.isRunning ? (status.isChecking ? 'checking…' : 'running') : 'stopped';
+        document.getElementById('summary').textContent =
+            `${status.watches.length} watches · ${available} available · ${state} · ` +
+            `check #${status.checkCount} · every ${Math.round(status.intervalMs / 1000)}s`;
+    }
+
+    function renderStatus(status) {
+        currentStatus = status;
+        renderSummary(status);
+        renderGrid(status);
+    }
+
+    /**
+     * Add one entry to the transitions timeline
+     * @param {Object} entry - { watch, label, timestamp, available, message, changes }
+     * @param {boolean} prepend - Newest entries go on top
+     */
+    function addTimelineEntry(entry, prepend) {
+        const timeline = document.getElementById('timeline');
+        const item = el('li');
+
+        const time = el('time', null, new Date(entry.timestamp).toLocaleString());
+        time.dateTime = entry.timestamp;
+        item.appendChild(time);
+        item.appendChild(el('strong', null, `${entry.label || entry.watch}: `));
+        item.appendChild(el('span', entry.available ? 'available' : null, entry.message || '—'));
+
+        // Change events from the diff engine, one per line
+        const changes = entry.changes || [];
+        if (changes.length > 0) {
+            const list = el('ul', 'changes');
+            changes.forEach((change) => {
+                list.appendChild(el('li', change.type, change.summary));
+            });
+            item.appendChild(list);
+        }
+
+        if (prepend) {
+            timeline.insertBefore(item, timeline.firstChild);
+        } else {
+            timeline.appendChild(item);
+        }
+
+        while (timeline.children.length > TIMELINE_LIMIT) {
+            timeline.removeChild(timeline.lastChild);
+        }
+    }
+
+    async function loadTimeline() {
+        try {
+            const response = await fetch(`../history?changes=true&limit=${TIMELINE_LIMIT}`);
+            const body = await response.json();
+            const labels = new Map((currentStatus ? currentStatus.watches : []).map(watch => [watch.id, watch.label]));
+
+            body.data.forEach((record) => {
+                addTimelineEntry({
+                    watch: record.watch,
+                    label: labels.get(record.watch),
+                    timestamp: record.timestamp,
+                    available: record.available,
+                    message: record.message,
+                    changes: record.changes,
+                }, false);
+            });
+        } catch (error) {
+            console.error('Failed to load timeline', error);
+        }
+    }
+
+    function connect() {
+        const connection = document.getElementById('connection');
+        const source = new EventSource('../events');
+
+        source.addEventListener('open', () => {
+            connection.textContent = 'live';
+            connection.className = 'connection online';
+        });
+
+        source.addEventListener('error', () => {
+            connection.textContent = 'reconnecting';
+            connection.className = 'connection offline';
+        });
+
+        source.addEventListener('status', (event) => {
+            renderStatus(JSON.parse(event.data));
+        });
+
+        source.addEventListener('transition', (event) => {
+            const transition = JSON.parse(event.data);
+            addTimelineEntry({
+                watch: transition.watch,
+                label: transition.label,
+                timestamp: transition.timestamp,
+                available: transition.to.available,
+                message: transition.to.message,
+                changes: transition.changes,
+            }, true);
+        });
+    }
+
+    // Keep relative times ticking between updates
+    setInterval(() => {
+        document.querySelectorAll('#grid td[data-time]').forEach((cell) => {
+            if (cell.dataset.time) {
+                cell.textContent = relativeTime(cell.dataset.time);
+            }
+        });
+    }, 1000);
+
+    fetch('../status')
+        .then(response => response.json())
+        .then(body => renderStatus(body.data))
+        .catch(error => console.error('Failed to load status', error))
+        .then(loadTimeline)
+        .then(connect);
+}());
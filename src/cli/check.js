@@ -0,0 +1,108 @@
+const { EXIT, UsageError, loadQuietConfig, printJson } = require('./common');
+const { formatTable } = require('../utils/table');
+
+const COLUMNS = [
+    { key: 'part', title: 'PART' },
+    { key: 'store', title: 'STORE' },
+    { key: 'distance', title: 'KM' },
+    { key: 'status', title: 'STATUS' },
+    { key: 'message', title: 'QUOTE' },
+];
+
+module.exports = {
+    usage: 'check --store <number|name> --part <part> [--part <part>...] [--product <name>] ' +
+        '[--region <code>] [--fetcher <strategy>] [--nearby] [--json]',
+    description: 'Check availability once and print a table',
+    options: {
+        store: { type: 'string', short: 's' },
+        part: { type: 'string', short: 'p', multiple: true },
+        product: { type: 'string', multiple: true },
+        region: { type: 'string' },
+        fetcher: { type: 'string' },
+        nearby: { type: 'boolean' },
+        json: { type: 'boolean' },
+        verbose: { type: 'boolean', short: 'v' },
+    },
+
+    /**
+     * Run one checkAvailability() for the given store and parts
+     * @returns {Promise<number>} OK when a part is available at the store,
+     *   NOT_AVAILABLE otherwise
+     */
+    async run(values) {
+        if (!values.store || (!values.part && !values.product)) {
+            throw new UsageError('check needs --store and at least one --part or --product');
+        }
+
+        const config = loadQuietConfig(values.verbose);
+        const { loadRegion } = require('../config/regions');
+        const { loadFetcher } = require('../config/watches');
+        const { describePart, resolveProduct } = require('../config/catalogue');
+        const { getStore, resolveStore } = require('../config/stores');
+        const appleStoreService = require('../services/appleStoreService');
+
+        let storeNumber;
+        let region;
+        let partNumbers;
+        let fetcher;
+        try {
+            storeNumber = resolveStore(values.store, '--store', config.watchDefaults.region);
+            const store = getStore(storeNumber);
+            region = values.region
+                ? loadRegion(values.region, '--region')
+                : (store && store.region) || config.watchDefaults.region;
+            partNumbers = [
+                ...(values.part || []),
+                ...(values.product || []).map(product => resolveProduct(product, region, '--product').partNumber),
+            ];
+            fetcher = values.fetcher ? loadFetcher(values.fetcher, '--fetcher') : config.watchDefaults.fetcher;
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+
+        let result;
+        try {
+            result = await appleStoreService.checkAvailability(storeNumber, partNumbers, fetcher, region);
+        } finally {
+            await appleStoreService.cleanup();
+        }
+
+        const parts = Object.values(result.parts);
+        const anyAvailable = parts.some(part => part.available);
+
+        if (values.json) {
+            printJson({ storeNumber, storeName: result.storeName, region, fetcher, parts });
+        } else {
+            const rows = parts.flatMap((part) => {
+                const product = describePart(part.partNumber);
+                const label = product ? `${product.name} (${part.partNumber})` : part.partNumber;
+                const home = { ...part, storeName: part.storeName || result.storeName, distanceKm: null };
+                const others = values.nearby
+                    ? part.stores.filter(entry => entry.storeNumber !== storeNumber)
+                    : [];
+                const rows = [home, ...others].map(entry => ({
+                    part: label,
+                    store: `${entry.storeName} (${entry.storeNumber || storeNumber})`,
+                    distance: entry.distanceKm,
+                    status: entry.status,
+                    message: entry.message,
+                }));
+                if (part.delivery) {
+                    const { days: count } = part.delivery;
+                    const days = count !== null ? ` (${count} ${count === 1 ? 'day' : 'days'})` : '';
+                    rows.push({
+                        part: label,
+                        store: 'Delivery',
+                        distance: null,
+                        status: part.delivery.status,
+                        message: `${part.delivery.message}${days}`,
+                    });
+                }
+                return rows;
+            });
+            console.log(formatTable(COLUMNS, rows));
+        }
+
+        return anyAvailable ? EXIT.OK : EXIT.NOT_AVAILABLE;
+    },
+};
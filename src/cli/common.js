@@ -0,0 +1,46 @@
+// Exit codes for scripts and cron
+const EXIT = {
+    // Success; for `check`, at least one part is available
+    OK: 0,
+    // `check` ran, but no part is available
+    NOT_AVAILABLE: 1,
+    // Unknown command, option or missing argument
+    USAGE: 2,
+    // config.yml or the environment is invalid
+    CONFIG: 3,
+    // A check or notification failed
+    FAILED: 4,
+};
+
+/**
+ * Bad command-line usage, reported with the command's help
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Load the configuration with console logging turned down to warnings, so
+ * command output is not mixed with the monitor's info logs. LOG_LEVEL, or
+ * --verbose for debug logs, still applies.
+ * @param {boolean} verbose - Log at debug level
+ * @returns {Object} Configuration
+ */
+function loadQuietConfig(verbose = false) {
+    if (!process.env.LOG_LEVEL) {
+        process.env.LOG_LEVEL = verbose ? 'debug' : 'warn';
+    }
+    return require('../config/config');
+}
+
+/**
+ * Print a value as indented JSON
+ */
+function printJson(value) {
+    console.log(JSON.stringify(value, null, 2));
+}
+
+module.exports = { EXIT, UsageError, loadQuietConfig, printJson };
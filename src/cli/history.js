@@ -0,0 +1,74 @@
+const { EXIT, UsageError, loadQuietConfig, printJson } = require('./common');
+const { formatTable } = require('../utils/table');
+const { parseTime } = require('../utils/time');
+
+const COLUMNS = [
+    { key: 'timestamp', title: 'TIME' },
+    { key: 'watch', title: 'WATCH' },
+    { key: 'status', title: 'STATUS' },
+    { key: 'changed', title: 'CHANGED' },
+    { key: 'message', title: 'MESSAGE' },
+    { key: 'latency', title: 'MS' },
+];
+
+module.exports = {
+    usage: 'history [--watch <id>] [--limit <n>] [--changes] [--from <time>] [--to <time>] [--json]',
+    description: 'Print recent check results from the state store, newest first',
+    options: {
+        watch: { type: 'string', short: 'w' },
+        limit: { type: 'string', short: 'n' },
+        changes: { type: 'boolean' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        json: { type: 'boolean' },
+    },
+
+    /**
+     * @returns {Promise<number>} OK, or FAILED when storage is disabled
+     */
+    async run(values) {
+        const limit = values.limit === undefined ? 20 : Number(values.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new UsageError('--limit must be a positive whole number');
+        }
+        const from = parseTime(values.from);
+        const to = parseTime(values.to);
+        if (from === undefined || to === undefined) {
+            throw new UsageError('--from and --to must be ISO timestamps or epoch milliseconds');
+        }
+
+        const config = loadQuietConfig();
+        if (!config.storage.enabled) {
+            console.error('Storage is disabled in config.yml, so no history is recorded');
+            return EXIT.FAILED;
+        }
+
+        const stateStore = require('../services/stateStore');
+        const records = await stateStore.queryHistory({
+            watch: values.watch || null,
+            from,
+            to,
+            changesOnly: Boolean(values.changes),
+            limit,
+        });
+
+        if (values.json) {
+            printJson(records);
+        } else if (records.length === 0) {
+            console.log('No check results recorded yet');
+        } else {
+            console.log(formatTable(COLUMNS, records.map(record => ({
+                timestamp: record.timestamp,
+                watch: record.watch,
+                status: record.status,
+                // Change types, or "yes" for a first check that set the baseline
+                changed: record.changed
+                    ? (record.changes || []).map(change => change.type).join(', ') || 'yes'
+                    : null,
+                message: record.error || record.message,
+                latency: record.latencyMs,
+            }))));
+        }
+        return EXIT.OK;
+    },
+};
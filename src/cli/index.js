@@ -0,0 +1,67 @@
+const { parseArgs } = require('util');
+const { EXIT, UsageError } = require('./common');
+
+// Commands load the configuration themselves, so validate-config can
+// report a broken config.yml instead of failing on startup
+const COMMANDS = {
+    check: require('./check'),
+    notify: require('./notify'),
+    'validate-config': require('./validateConfig'),
+    history: require('./history'),
+};
+
+function printUsage(print = console.log) {
+    print('Usage: phone-notify <command> [options]\n');
+    Object.entries(COMMANDS).forEach(([name, command]) => {
+        print(`  ${name.padEnd(16)}${command.description}`);
+        print(`  ${''.padEnd(16)}phone-notify ${command.usage}`);
+    });
+    print('\nExit codes: 0 ok (check: available), 1 check found nothing available, ' +
+        '2 usage error, 3 invalid configuration, 4 check or notification failed');
+}
+
+/**
+ * Run a command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code, see EXIT
+ */
+async function main(argv) {
+    const [name, ...args] = argv;
+    if (!name || ['help', '--help', '-h'].includes(name)) {
+        printUsage();
+        return name ? EXIT.OK : EXIT.USAGE;
+    }
+
+    const command = COMMANDS[name];
+    if (!command) {
+        console.error(`Unknown command: ${name}\n`);
+        printUsage(console.error);
+        return EXIT.USAGE;
+    }
+
+    try {
+        const { values } = parseArgs({
+            args,
+            options: { ...command.options, help: { type: 'boolean', short: 'h' } },
+        });
+        if (values.help) {
+            console.log(`Usage: phone-notify ${command.usage}\n\n${command.description}`);
+            return EXIT.OK;
+        }
+        return await command.run(values);
+    } catch (error) {
+        // parseArgs() rejects unknown options and missing values with ERR_PARSE_ARGS_* codes
+        if (error instanceof UsageError || String(error.code).startsWith('ERR_PARSE_ARGS')) {
+            console.error(`${error.message}\nUsage: phone-notify ${command.usage}`);
+            return EXIT.USAGE;
+        }
+        if (error.name === 'ConfigError') {
+            console.error(error.message);
+            return EXIT.CONFIG;
+        }
+        console.error(`${name} failed: ${error.message}`);
+        return EXIT.FAILED;
+    }
+}
+
+module.exports = { main };
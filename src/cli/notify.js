@@ -0,0 +1,47 @@
+const { EXIT, UsageError, loadQuietConfig } = require('./common');
+
+module.exports = {
+    usage: 'notify --test [--channel <name>] [--watch <id>]',
+    description: 'Send a test alert through each enabled notification channel',
+    options: {
+        test: { type: 'boolean' },
+        channel: { type: 'string' },
+        watch: { type: 'string' },
+        verbose: { type: 'boolean', short: 'v' },
+    },
+
+    /**
+     * Send one test alert per channel, filled in with a watch's details
+     * @returns {Promise<number>} OK when every channel delivered it
+     */
+    async run(values) {
+        if (!values.test) {
+            throw new UsageError('notify only sends test alerts; pass --test');
+        }
+
+        const config = loadQuietConfig(values.verbose);
+        const notificationService = require('../services/notificationService');
+
+        const watch = values.watch
+            ? config.watches.find(candidate => candidate.id === values.watch)
+            : config.watches[0];
+        if (!watch) {
+            throw new UsageError(`Unknown watch: ${values.watch}`);
+        }
+        const channels = notificationService.getEnabledChannels().map(channel => channel.name);
+        if (values.channel && !channels.includes(values.channel)) {
+            throw new UsageError(`"${values.channel}" is not an enabled channel (enabled: ${channels.join(', ') || 'none'})`);
+        }
+        if (channels.length === 0) {
+            console.error('No notification channels are enabled');
+            return EXIT.FAILED;
+        }
+
+        const results = await notificationService.sendTest(watch, values.channel || null);
+        results.forEach(({ channel, success }) => {
+            console.log(`${success ? 'sent  ' : 'FAILED'}  ${channel}`);
+        });
+
+        return results.every(result => result.success) ? EXIT.OK : EXIT.FAILED;
+    },
+};
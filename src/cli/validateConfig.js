@@ -0,0 +1,52 @@
+const path = require('path');
+const { EXIT, printJson } = require('./common');
+const { resolveConfigPath, loadConfig } = require('../config/load');
+const { ConfigError } = require('../config/schema');
+
+module.exports = {
+    usage: 'validate-config [--file <path>] [--json]',
+    description: 'Check config.yml and the environment without starting anything',
+    options: {
+        file: { type: 'string', short: 'f' },
+        json: { type: 'boolean' },
+    },
+
+    /**
+     * Load the configuration the way the monitor would, rules included
+     * @returns {Promise<number>} OK when valid, CONFIG otherwise
+     */
+    async run(values) {
+        const file = values.file ? path.resolve(values.file) : resolveConfigPath();
+
+        let config;
+        try {
+            config = loadConfig(file);
+            // Rules are compiled by the rule engine, which loads the configuration itself
+            process.env.CONFIG_FILE = file;
+            process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+            try {
+                require('../services/ruleEngine');
+            } catch (error) {
+                throw new ConfigError(file, [error.message]);
+            }
+        } catch (error) {
+            if (!(error instanceof ConfigError)) {
+                throw error;
+            }
+            if (values.json) {
+                printJson({ valid: false, file, errors: error.errors });
+            } else {
+                console.error(error.message);
+            }
+            return EXIT.CONFIG;
+        }
+
+        if (values.json) {
+            printJson({ valid: true, file, watches: config.watches.length, warnings: config.warnings });
+        } else {
+            console.log(`${file} is valid (${config.watches.length} watches)`);
+            config.warnings.forEach(warning => console.log(`  warning: ${warning}`));
+        }
+        return EXIT.OK;
+    },
+};
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bundled catalogue; catalogue.file in config.yml adds or replaces entries
+const BUNDLED_FILE = path.join(__dirname, 'catalogue.json');
+
+// One entry per product and region:
+// { model, capacity, colour, region, partNumber, name }
+let entries = [];
+
+/**
+ * Compare specs case- and space-insensitively, so "256 GB" matches "256GB"
+ */
+function normalizeSpec(value) {
+    return String(value).toLowerCase().replace(/\s+/g, '');
+}
+
+/**
+ * Flatten a catalogue file into one entry per product and region
+ */
+function readCatalogueFile(filePath) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid catalogue file ${filePath}: ${error.message}`);
+    }
+    if (!data || !Array.isArray(data.products)) {
+        throw new Error(`Invalid catalogue file ${filePath}: expected a "products" list`);
+    }
+
+    return data.products.flatMap((product, index) => {
+        const where = `${filePath} products[${index}]`;
+        if (!product.model || !product.capacity || !product.colour || !product.parts) {
+            throw new Error(`${where} must define model, capacity, colour and parts`);
+        }
+
+        const name = `${product.model} ${product.capacity} ${product.colour}`;
+        return Object.entries(product.parts).map(([region, partNumber]) => ({
+            model: String(product.model),
+            capacity: String(product.capacity),
+            colour: String(product.colour),
+            region: region.toLowerCase(),
+            partNumber: String(partNumber),
+            name,
+        }));
+    });
+}
+
+/**
+ * Load the bundled catalogue and merge an optional local file over it;
+ * local entries replace bundled ones with the same part number
+ * @param {string|null} extraFile - Path of a local catalogue file
+ */
+function loadCatalogue(extraFile = null) {
+    const extra = extraFile ? readCatalogueFile(extraFile) : [];
+    const replaced = new Set(extra.map(entry => entry.partNumber));
+    entries = [
+        ...readCatalogueFile(BUNDLED_FILE).filter(entry => !replaced.has(entry.partNumber)),
+        ...extra,
+    ];
+}
+
+/**
+ * Catalogue entry of a part number
+ * @param {string} partNumber - e.g. "MFYM4X/A"
+ * @returns {Object|null}
+ */
+function describePart(partNumber) {
+    return entries.find(entry => entry.partNumber === partNumber) || null;
+}
+
+/**
+ * Search the catalogue
+ * @param {Object} query
+ * @param {string} query.q - Words that must all appear in the product name
+ *   or part number, e.g. "pro 256 blue"
+ * @param {string} query.model - Exact model, e.g. "iPhone 17 Pro"
+ * @param {string} query.capacity - Exact capacity, e.g. "256GB"
+ * @param {string} query.colour - Exact colour, e.g. "Deep Blue"
+ * @param {string} query.region - Storefront code, e.g. "my"
+ * @returns {Object[]} Matching entries
+ */
+function searchCatalogue({ q, model, capacity, colour, region } = {}) {
+    const words = q ? String(q).toLowerCase().split(/\s+/).filter(Boolean) : [];
+    const exact = { model, capacity, colour, region };
+
+    return entries.filter((entry) => {
+        const matchesFields = Object.entries(exact).every(([field, value]) =>
+            !value || normalizeSpec(entry[field]) === normalizeSpec(value));
+        const text = `${entry.name} ${entry.partNumber}`.toLowerCase();
+        return matchesFields && words.every(word => text.includes(word));
+    });
+}
+
+/**
+ * Resolve a watch's `product` spec to a part number in its region
+ * @param {string|Object} product - "iPhone 17 Pro 256GB Deep Blue", or
+ *   { model, capacity, colour }
+ * @param {string} region - Storefront code of the watch
+ * @param {string} where - Location used in error messages
+ * @returns {Object} Catalogue entry
+ */
+function resolveProduct(product, region, where) {
+    const matches = typeof product === 'string'
+        ? entries.filter(entry => entry.region === region && normalizeSpec(entry.name) === normalizeSpec(product))
+        : searchCatalogue({
+            model: product.model,
+            capacity: product.capacity,
+            colour: product.colour || product.color,
+            region,
+        });
+
+    if (matches.length === 1) {
+        return matches[0];
+    }
+
+    const spec = typeof product === 'string' ? product : JSON.stringify(product);
+    if (matches.length === 0) {
+        throw new Error(`${where} ${spec} is not in the catalogue for region "${region}" (see GET /catalogue)`);
+    }
+    throw new Error(`${where} ${spec} matches ${matches.length} catalogue entries: ${matches.map(entry => entry.name).join(', ')}`);
+}
+
+loadCatalogue();
+
+module.exports = { loadCatalogue, describePart, searchCatalogue, resolveProduct };
@@ -0,0 +1,320 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { loadWatchDefaults, normalizeWatches, readWatchesFile } = require('./watches');
+const { loadMonitoring } = require('./schedule');
+const { loadCatalogue } = require('./catalogue');
+const { loadStores } = require('./stores');
+const { LOG_LEVELS, LOG_FORMATS, ConfigError, applyEnvOverrides, validateConfig } = require('./schema');
+require('dotenv').config();
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+/**
+ * Build the list of part/store pairs to watch: the config.yml entries,
+ * combined by id with the watches saved through the API. A saved
+ * definition replaces the config.yml watch with its id, and saved
+ * definitions are normalised against the current defaults like any other.
+ * @param {Object[]} entries - Raw config.yml watches
+ * @param {string[]} warnings - Receives a warning for each config.yml watch
+ *   that was removed through the API
+ * @returns {{watches: Object[], saved: {watches: Object[], removed: string[]}}}
+ *   Normalised watches and the saved changes they include
+ */
+function loadWatches(entries, defaults, watchesFile, warnings) {
+    const saved = (watchesFile && readWatchesFile(watchesFile)) || { watches: [], removed: [] };
+    const watches = new Map(normalizeWatches(entries, defaults).map(watch => [watch.id, watch]));
+
+    // Removals of watches that are no longer in config.yml are dropped
+    const removed = saved.removed.filter(id => watches.has(id));
+    removed.forEach((id) => {
+        watches.delete(id);
+        warnings.push(`watch "${id}" in config.yml was removed through the API and is skipped; delete it from ${watchesFile} to watch it again`);
+    });
+    normalizeWatches(saved.watches, defaults, watchesFile).forEach((watch) => {
+        watches.set(watch.id, watch);
+    });
+
+    return { watches: [...watches.values()], saved: { watches: saved.watches, removed } };
+}
+
+/**
+ * Build the notification channel list.
+ * Without a `notifications` block only Pushover is enabled, as before.
+ * Channel secrets can be supplied through the environment.
+ */
+function loadNotifications(yamlConfig) {
+    const channels = yamlConfig.notifications || { pushover: { enabled: true } };
+
+    const envSecrets = {
+        telegram: { botToken: process.env.TELEGRAM_BOT_TOKEN },
+        ntfy: { token: process.env.NTFY_TOKEN },
+        email: { username: process.env.SMTP_USERNAME, password: process.env.SMTP_PASSWORD },
+    };
+
+    return Object.entries(channels).map(([name, options]) => {
+        const type = (options && options.type) || name;
+        const channel = { name, ...options, type, enabled: !options || options.enabled !== false };
+
+        Object.entries(envSecrets[type] || {}).forEach(([key, value]) => {
+            if (channel[key] === undefined && value !== undefined) {
+                channel[key] = value;
+            }
+        });
+
+        return channel;
+    });
+}
+
+/**
+ * Build the named Pushover recipients.
+ * Keys are listed in config.yml or supplied as PUSHOVER_USER_KEY_<NAME>;
+ * PUSHOVER_USER_KEY becomes the "default" recipient.
+ */
+function loadPushoverRecipients(pushover) {
+    const entries = Object.entries((pushover && pushover.recipients) || {});
+    const recipients = entries.map(([name, options]) => {
+        const recipient = options || {};
+        const envName = `PUSHOVER_USER_KEY_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+        const keys = [].concat(recipient.keys || recipient.key || process.env[envName] || []).map(String);
+        if (keys.length === 0) {
+            throw new Error(`pushover.recipients.${name} needs keys (or ${envName} in .env)`);
+        }
+
+        return {
+            name,
+            label: recipient.label ? String(recipient.label) : name,
+            keys,
+            devices: [].concat(recipient.devices || []).map(String),
+            title: recipient.title || null,
+            template: recipient.template || null,
+        };
+    });
+
+    if (process.env.PUSHOVER_USER_KEY && !recipients.some(recipient => recipient.name === 'default')) {
+        recipients.unshift({
+            name: 'default',
+            label: 'default',
+            keys: [process.env.PUSHOVER_USER_KEY],
+            devices: [],
+            title: null,
+            template: null,
+        });
+    }
+
+    return recipients;
+}
+
+/**
+ * Normalise the logging block. LOG_LEVEL in the environment overrides the
+ * configured level.
+ */
+function loadLogging(logging = {}) {
+    const level = process.env.LOG_LEVEL || logging.level || 'info';
+    if (!LOG_LEVELS.includes(level)) {
+        throw new Error(`logging.level must be one of ${LOG_LEVELS.join(', ')}`);
+    }
+    const format = logging.format || 'text';
+    if (!LOG_FORMATS.includes(format)) {
+        throw new Error(`logging.format must be one of ${LOG_FORMATS.join(', ')}`);
+    }
+
+    const file = logging.file && logging.file.enabled !== false ? logging.file : null;
+    if (file && !LOG_FORMATS.includes(file.format || 'json')) {
+        throw new Error(`logging.file.format must be one of ${LOG_FORMATS.join(', ')}`);
+    }
+
+    return {
+        enabled: logging.enabled !== false,
+        level,
+        format,
+        file: file && {
+            path: path.resolve(ROOT_DIR, file.path || 'logs/monitor.log'),
+            format: file.format || 'json',
+            maxBytes: (Number(file.maxSizeMb) || 10) * 1024 * 1024,
+            maxFiles: file.maxFiles !== undefined ? Number(file.maxFiles) : 5,
+        },
+    };
+}
+
+/**
+ * Size limits of the check history: history.jsonl is rotated once it
+ * reaches maxSizeMb, keeping maxFiles rotated files
+ */
+function loadHistoryRetention(history = {}) {
+    const maxSizeMb = history.maxSizeMb !== undefined ? Number(history.maxSizeMb) : 10;
+    const maxFiles = history.maxFiles !== undefined ? Number(history.maxFiles) : 2;
+    if (!(maxSizeMb > 0)) {
+        throw new Error('storage.history.maxSizeMb must be a number above 0');
+    }
+    if (maxFiles < 0) {
+        throw new Error('storage.history.maxFiles must be 0 or more');
+    }
+
+    return { maxBytes: maxSizeMb * 1024 * 1024, maxFiles };
+}
+
+/**
+ * Resolve the storage directory and the files kept in it
+ */
+function loadStorage(storage = {}) {
+    const enabled = storage.enabled !== false;
+    const dir = path.resolve(ROOT_DIR, storage.dir || 'data');
+    return {
+        enabled,
+        dir,
+        history: loadHistoryRetention(storage.history),
+        watchesFile: enabled ? path.join(dir, 'watches.json') : null,
+        storesFile: enabled ? path.join(dir, 'stores.json') : null,
+    };
+}
+
+/**
+ * Resolve the fixture paths for recording and replaying API responses
+ */
+function loadFixtures(fixtures = {}) {
+    return {
+        record: fixtures.record === true,
+        recordDir: path.resolve(ROOT_DIR, fixtures.recordDir || 'fixtures/recorded'),
+        replay: fixtures.replay ? path.resolve(ROOT_DIR, fixtures.replay) : null,
+    };
+}
+
+/**
+ * Path of the configuration file: config.yml in the project root, or
+ * CONFIG_FILE, e.g. for tests
+ */
+function resolveConfigPath() {
+    return process.env.CONFIG_FILE
+        ? path.resolve(process.env.CONFIG_FILE)
+        : path.join(ROOT_DIR, 'config.yml');
+}
+
+/**
+ * Read config.yml, apply CONFIG__* environment overrides and check it
+ * against the schema
+ * @returns {{value: Object, warnings: string[]}} Coerced options
+ */
+function readConfigFile(configPath) {
+    let raw;
+    try {
+        raw = yaml.load(fs.readFileSync(configPath, 'utf8')) || {};
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new ConfigError(configPath, ['file not found. Please create config.yml in the project root.']);
+        }
+        throw new ConfigError(configPath, [`YAML syntax: ${error.message}`]);
+    }
+
+    const unknownEnv = raw && typeof raw === 'object' ? applyEnvOverrides(raw) : [];
+    const { value, errors, warnings } = validateConfig(raw);
+    unknownEnv.forEach(name => errors.push(`${name} does not match a config.yml option`));
+    if (errors.length > 0) {
+        throw new ConfigError(configPath, errors);
+    }
+    return { value, warnings };
+}
+
+/**
+ * Load and merge configuration from config.yml and environment variables
+ * @param {string} configPath - Configuration file to load
+ * @param {Object} options
+ * @param {Object} options.storage - Storage block to use instead of the
+ *   file's, e.g. the running one while storage changes need a restart
+ * @returns {Object} Configuration
+ * @throws {ConfigError} Listing every problem found, each with its option path
+ */
+function loadConfig(configPath = resolveConfigPath(), { storage = null } = {}) {
+    const { value: yamlConfig, warnings } = readConfigFile(configPath);
+
+    try {
+        // Merge with environment variables
+        const config = {
+            file: configPath,
+            // Options that were not understood, e.g. misspelt keys
+            warnings,
+            appleStore: {
+                params: yamlConfig.appleStore.params,
+            },
+            monitoring: loadMonitoring(yamlConfig.monitoring),
+            pushover: {
+                apiUrl: yamlConfig.pushover.apiUrl,
+                receiptPollSeconds: yamlConfig.pushover.receiptPollSeconds,
+                apiKey: process.env.PUSHOVER_API_KEY,
+                userKey: process.env.PUSHOVER_USER_KEY,
+                recipients: loadPushoverRecipients(yamlConfig.pushover),
+            },
+            server: {
+                port: process.env.PORT || 3000,
+                apiToken: process.env.API_TOKEN || null,
+            },
+            rules: yamlConfig.rules || null,
+            notifications: loadNotifications(yamlConfig),
+            storage: storage || loadStorage(yamlConfig.storage),
+            logging: loadLogging(yamlConfig.logging),
+            fixtures: loadFixtures(yamlConfig.fixtures),
+            catalogue: {
+                file: yamlConfig.catalogue && yamlConfig.catalogue.file
+                    ? path.resolve(ROOT_DIR, yamlConfig.catalogue.file)
+                    : null,
+            },
+        };
+
+        // Watches may name their product instead of a part number
+        loadCatalogue(config.catalogue.file);
+
+        // ...and their store by name, from the seed list and stores seen before
+        loadStores(config.storage.storesFile);
+        config.watchDefaults = loadWatchDefaults(
+            yamlConfig.appleStore,
+            yamlConfig.notificationPolicy,
+            config.pushover.recipients.map(recipient => recipient.name)
+        );
+
+        // Validate required environment variables
+        const requiredEnvVars = [];
+
+        // Pushover credentials are only needed while a Pushover channel is enabled
+        if (config.notifications.some(channel => channel.type === 'pushover' && channel.enabled)) {
+            requiredEnvVars.push('PUSHOVER_API_KEY');
+            if (config.pushover.recipients.length === 0) {
+                requiredEnvVars.push('PUSHOVER_USER_KEY');
+            }
+        }
+
+        // PART_NUMBER/STORE_NUMBER are only needed without a watches list
+        const hasWatches = yamlConfig.watches.length > 0 ||
+            (config.storage.watchesFile && fs.existsSync(config.storage.watchesFile));
+        if (!hasWatches) {
+            requiredEnvVars.push('PART_NUMBER', 'STORE_NUMBER');
+        }
+
+        const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+        if (missingVars.length > 0) {
+            throw new Error(
+                `Missing required environment variables: ${missingVars.join(', ')}\n` +
+                'Please create a .env file based on .env.example'
+            );
+        }
+
+        // Without a watches list, PART_NUMBER/STORE_NUMBER from the environment
+        config.configWatches = yamlConfig.watches.length > 0 || !process.env.PART_NUMBER
+            ? yamlConfig.watches
+            : [{ partNumber: process.env.PART_NUMBER, storeNumber: process.env.STORE_NUMBER }];
+        const { watches, saved } = loadWatches(
+            config.configWatches,
+            config.watchDefaults,
+            config.storage.watchesFile,
+            config.warnings
+        );
+        config.watches = watches;
+        // Watch definitions as sent to the API, rewritten on every change
+        config.savedWatches = saved;
+
+        return config;
+    } catch (error) {
+        throw new ConfigError(configPath, [error.message]);
+    }
+}
+
+module.exports = { resolveConfigPath, loadConfig, loadWatches };
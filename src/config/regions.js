@@ -0,0 +1,94 @@
+/**
+ * Known Apple online storefronts, keyed by the code used for `region` in
+ * config.yml. `path` is the storefront prefix on www.apple.com (empty for
+ * the US store); `timezone` is the browser timezone used for the region.
+ */
+const REGIONS = {
+    us: { name: 'United States', path: '', locale: 'en-US', timezone: 'America/New_York' },
+    ca: { name: 'Canada', path: '/ca', locale: 'en-CA', timezone: 'America/Toronto' },
+    uk: { name: 'United Kingdom', path: '/uk', locale: 'en-GB', timezone: 'Europe/London' },
+    de: { name: 'Germany', path: '/de', locale: 'de-DE', timezone: 'Europe/Berlin' },
+    fr: { name: 'France', path: '/fr', locale: 'fr-FR', timezone: 'Europe/Paris' },
+    ae: { name: 'United Arab Emirates', path: '/ae', locale: 'en-AE', timezone: 'Asia/Dubai' },
+    in: { name: 'India', path: '/in', locale: 'en-IN', timezone: 'Asia/Kolkata' },
+    my: { name: 'Malaysia', path: '/my', locale: 'en-MY', timezone: 'Asia/Kuala_Lumpur' },
+    sg: { name: 'Singapore', path: '/sg', locale: 'en-SG', timezone: 'Asia/Singapore' },
+    th: { name: 'Thailand', path: '/th-en', locale: 'en-TH', timezone: 'Asia/Bangkok' },
+    hk: { name: 'Hong Kong', path: '/hk/en', locale: 'en-HK', timezone: 'Asia/Hong_Kong' },
+    jp: { name: 'Japan', path: '/jp', locale: 'ja-JP', timezone: 'Asia/Tokyo' },
+    kr: { name: 'South Korea', path: '/kr', locale: 'ko-KR', timezone: 'Asia/Seoul' },
+    au: { name: 'Australia', path: '/au', locale: 'en-AU', timezone: 'Australia/Sydney' },
+};
+
+// Storefront used when neither appleStore.region nor a legacy baseUrl is set
+const DEFAULT_REGION = 'my';
+
+const APPLE_ORIGIN = 'https://www.apple.com';
+
+/**
+ * Validate a region code
+ * @returns {string} Lower-case region code
+ */
+function loadRegion(value, where) {
+    const code = String(value).toLowerCase();
+    if (!REGIONS[code]) {
+        throw new Error(`${where} must be one of: ${Object.keys(REGIONS).join(', ')}`);
+    }
+    return code;
+}
+
+/**
+ * Find the region of a legacy appleStore.baseUrl such as
+ * https://www.apple.com/sg/shop/fulfillment-messages
+ * @returns {string|null} Region code, or null when no storefront matches
+ */
+function regionFromUrl(url) {
+    let pathname;
+    try {
+        pathname = new URL(url).pathname;
+    } catch (error) {
+        return null;
+    }
+
+    const prefix = pathname.replace(/\/shop\/.*$/, '').replace(/\/$/, '');
+    const match = Object.entries(REGIONS).find(([, region]) => region.path === prefix);
+    return match ? match[0] : null;
+}
+
+/**
+ * Build the URLs and browser settings for a storefront
+ * @param {string} code - Region code
+ * @returns {{code: string, name: string, locale: string, languages: string[],
+ *   acceptLanguage: string, timezone: string, homeUrl: string, shopUrl: string,
+ *   apiUrl: string}}
+ */
+function getRegion(code) {
+    const region = REGIONS[code];
+    if (!region) {
+        throw new Error(`Unknown region "${code}"`);
+    }
+
+    const homeUrl = `${APPLE_ORIGIN}${region.path}/`;
+    // e.g. ["en-MY", "en"] and "en-MY,en;q=0.9"
+    const languages = [region.locale, region.locale.split('-')[0]];
+    return {
+        code,
+        name: region.name,
+        locale: region.locale,
+        languages,
+        acceptLanguage: `${languages[0]},${languages[1]};q=0.9`,
+        timezone: region.timezone,
+        homeUrl,
+        // iPhone shop page: browser warm-up and buy link in notifications
+        shopUrl: `${homeUrl}shop/buy-iphone`,
+        apiUrl: `${homeUrl}shop/fulfillment-messages`,
+    };
+}
+
+module.exports = {
+    REGIONS,
+    DEFAULT_REGION,
+    loadRegion,
+    regionFromUrl,
+    getRegion,
+};
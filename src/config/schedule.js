@@ -0,0 +1,100 @@
+const { loadNumber, loadClock, loadTimezone } = require('./watches');
+const { WEEKDAYS } = require('../utils/time');
+
+const PRIORITIES = ['lowest', 'low', 'normal', 'high', 'emergency'];
+
+/**
+ * Validate one polling window, e.g. every 30s from 07:55 to 08:30 on
+ * launch days
+ */
+function loadWindow(window, where) {
+    if (!window || typeof window !== 'object') {
+        throw new Error(`${where} must be an object`);
+    }
+    ['days', 'dates'].forEach((key) => {
+        if (window[key] !== undefined && !Array.isArray(window[key])) {
+            throw new Error(`${where}.${key} must be a list`);
+        }
+    });
+
+    const days = (window.days || []).map((day) => {
+        const name = String(day).toLowerCase().slice(0, 3);
+        if (!WEEKDAYS.includes(name)) {
+            throw new Error(`${where}.days has unknown day "${day}"`);
+        }
+        return name;
+    });
+    const dates = (window.dates || []).map((date) => {
+        // YAML reads unquoted dates as Date objects
+        const value = date instanceof Date ? date.toISOString().slice(0, 10) : String(date);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            throw new Error(`${where}.dates must use YYYY-MM-DD, got "${date}"`);
+        }
+        return value;
+    });
+
+    return {
+        name: window.name ? String(window.name) : where,
+        days,
+        dates,
+        from: loadClock(window.from, `${where}.from`),
+        to: loadClock(window.to, `${where}.to`),
+        intervalMs: loadNumber(window.intervalMs, `${where}.intervalMs`, undefined, { min: 5000 }),
+        jitterMs: loadNumber(window.jitterMs, `${where}.jitterMs`, null),
+        timezone: loadTimezone(window.timezone, `${where}.timezone`),
+    };
+}
+
+/**
+ * Normalise the monitoring block: base interval, jitter, polling windows,
+ * backoff and circuit breaker after consecutive failures, and when a
+ * failing watch counts as degraded
+ * @param {Object} monitoring - monitoring block from config.yml
+ * @returns {{intervalMs: number, jitterMs: number, windows: Object[], backoff: Object|null,
+ *   circuitBreaker: Object|null, health: Object}}
+ */
+function loadMonitoring(monitoring = {}) {
+    if (monitoring.windows !== undefined && !Array.isArray(monitoring.windows)) {
+        throw new Error('monitoring.windows must be a list');
+    }
+
+    const windows = (monitoring.windows || []).map((window, index) => {
+        const loaded = loadWindow(window, `monitoring.windows[${index}]`);
+        if (loaded.intervalMs === undefined) {
+            throw new Error(`monitoring.windows[${index}] must define intervalMs`);
+        }
+        return loaded;
+    });
+
+    // `backoff: false` turns backing off after failures off
+    const backoff = monitoring.backoff === false ? null : monitoring.backoff || {};
+    // `circuitBreaker: false` keeps checking failing watches on schedule
+    const breaker = monitoring.circuitBreaker === false ? null : monitoring.circuitBreaker || {};
+    const health = monitoring.health || {};
+    const priority = health.priority || 'normal';
+    if (!PRIORITIES.includes(priority)) {
+        throw new Error(`monitoring.health.priority must be one of ${PRIORITIES.join(', ')}`);
+    }
+
+    return {
+        intervalMs: loadNumber(monitoring.intervalMs, 'monitoring.intervalMs', 300000, { min: 5000 }),
+        jitterMs: loadNumber(monitoring.jitterMs, 'monitoring.jitterMs', 0),
+        windows,
+        backoff: backoff && {
+            afterFailures: loadNumber(backoff.afterFailures, 'monitoring.backoff.afterFailures', 3, { min: 1, integer: true }),
+            factor: loadNumber(backoff.factor, 'monitoring.backoff.factor', 2, { min: 1 }),
+            maxIntervalMs: loadNumber(backoff.maxIntervalMs, 'monitoring.backoff.maxIntervalMs', 3600000, { min: 5000 }),
+        },
+        circuitBreaker: breaker && {
+            openAfterFailures: loadNumber(breaker.openAfterFailures, 'monitoring.circuitBreaker.openAfterFailures', 5, { min: 1, integer: true }),
+            cooldownMinutes: loadNumber(breaker.cooldownMinutes, 'monitoring.circuitBreaker.cooldownMinutes', 15, { min: 1 }),
+        },
+        health: {
+            degradedAfterFailures: loadNumber(health.degradedAfterFailures, 'monitoring.health.degradedAfterFailures', 3, { min: 1, integer: true }),
+            notify: health.notify !== false,
+            priority,
+        },
+    };
+}
+
+module.exports = { PRIORITIES, loadMonitoring };
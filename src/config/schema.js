@@ -0,0 +1,456 @@
+const yaml = require('js-yaml');
+const { FETCH_STRATEGIES, WATCH_TYPES } = require('./watches');
+const { PRIORITIES } = require('./schedule');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+const LOG_FORMATS = ['text', 'json'];
+
+// Environment variables starting with this override config.yml options,
+// with `__` between path segments: CONFIG__MONITORING__INTERVAL_MS=60000
+const ENV_PREFIX = 'CONFIG__';
+
+/**
+ * Configuration that failed validation, with one message per problem
+ */
+class ConfigError extends Error {
+    /**
+     * @param {string} file - Configuration file that was loaded
+     * @param {string[]} errors - Problems, each starting with the option path
+     */
+    constructor(file, errors) {
+        super(`Invalid configuration in ${file}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.file = file;
+        this.errors = errors;
+    }
+}
+
+const QUIET_HOURS = {
+    type: 'object',
+    keys: { start: { type: 'string' }, end: { type: 'string' }, timezone: { type: 'string' } },
+};
+
+const NOTIFICATION_POLICY = {
+    type: 'object',
+    keys: {
+        cooldownMinutes: { type: 'number' },
+        confirmations: { type: 'integer' },
+        quietHours: { ...QUIET_HOURS, orFalse: true },
+        escalation: {
+            type: 'object',
+            orFalse: true,
+            keys: {
+                intervalMinutes: { type: 'number' },
+                maxRepeats: { type: 'integer' },
+                priorities: { type: 'list', items: { type: 'string', enum: PRIORITIES } },
+            },
+        },
+    },
+};
+
+const NEARBY = {
+    type: 'object',
+    orFalse: true,
+    keys: {
+        maxDistanceKm: { type: 'number' },
+        stores: { type: 'list', items: { type: 'string' } },
+    },
+};
+
+/**
+ * Shape of config.yml. Each option has a type its value is coerced to
+ * (so "300000" becomes 300000 and "false" becomes false), and blocks that
+ * may be left out default to empty. Value ranges and cross-references,
+ * e.g. that a recipient exists, are checked by the loaders in load.js,
+ * watches.js and schedule.js.
+ */
+const SCHEMA = {
+    type: 'object',
+    keys: {
+        appleStore: {
+            type: 'object',
+            default: {},
+            keys: {
+                region: { type: 'string' },
+                baseUrl: { type: 'url' },
+                fetcher: { type: 'string', enum: FETCH_STRATEGIES },
+                params: { type: 'map', default: {}, values: { type: 'any' } },
+                nearby: NEARBY,
+            },
+        },
+        watches: {
+            type: 'list',
+            default: [],
+            items: {
+                type: 'object',
+                keys: {
+                    id: { type: 'string' },
+                    type: { type: 'string', enum: WATCH_TYPES },
+                    label: { type: 'string' },
+                    partNumber: { type: 'string' },
+                    product: { type: 'any' },
+                    storeNumber: { type: 'string' },
+                    store: { type: 'string' },
+                    nearby: NEARBY,
+                    fetcher: { type: 'string', enum: FETCH_STRATEGIES },
+                    region: { type: 'string' },
+                    notificationPolicy: NOTIFICATION_POLICY,
+                    recipients: { type: 'list', items: { type: 'string' } },
+                    // JSON watches
+                    url: { type: 'string' },
+                    method: { type: 'string' },
+                    headers: { type: 'map', values: { type: 'string' } },
+                    body: { type: 'any' },
+                    field: { type: 'string' },
+                    match: { type: 'any' },
+                },
+            },
+        },
+        notificationPolicy: NOTIFICATION_POLICY,
+        rules: { type: 'object', open: true },
+        monitoring: {
+            type: 'object',
+            default: {},
+            keys: {
+                intervalMs: { type: 'integer' },
+                jitterMs: { type: 'integer' },
+                windows: {
+                    type: 'list',
+                    items: {
+                        type: 'object',
+                        keys: {
+                            name: { type: 'string' },
+                            days: { type: 'list', items: { type: 'string' } },
+                            dates: { type: 'list', items: { type: 'any' } },
+                            from: { type: 'string' },
+                            to: { type: 'string' },
+                            intervalMs: { type: 'integer' },
+                            jitterMs: { type: 'integer' },
+                            timezone: { type: 'string' },
+                        },
+                    },
+                },
+                backoff: {
+                    type: 'object',
+                    orFalse: true,
+                    keys: {
+                        afterFailures: { type: 'integer' },
+                        factor: { type: 'number' },
+                        maxIntervalMs: { type: 'integer' },
+                    },
+                },
+                circuitBreaker: {
+                    type: 'object',
+                    orFalse: true,
+                    keys: {
+                        openAfterFailures: { type: 'integer' },
+                        cooldownMinutes: { type: 'number' },
+                    },
+                },
+                health: {
+                    type: 'object',
+                    keys: {
+                        degradedAfterFailures: { type: 'integer' },
+                        notify: { type: 'boolean' },
+                        priority: { type: 'string', enum: PRIORITIES },
+                    },
+                },
+            },
+        },
+        pushover: {
+            type: 'object',
+            default: {},
+            keys: {
+                apiUrl: { type: 'url', default: 'https://api.pushover.net/1/messages.json' },
+                receiptPollSeconds: { type: 'number', default: 60 },
+                recipients: {
+                    type: 'map',
+                    values: {
+                        type: 'object',
+                        keys: {
+                            key: { type: 'string' },
+                            keys: { type: 'any' },
+                            devices: { type: 'any' },
+                            label: { type: 'string' },
+                            title: { type: 'string' },
+                            template: { type: 'string' },
+                        },
+                    },
+                },
+            },
+        },
+        // Channel options depend on the channel type and are checked by each notifier
+        notifications: {
+            type: 'map',
+            values: {
+                type: 'object',
+                open: true,
+                keys: {
+                    type: { type: 'string' },
+                    enabled: { type: 'boolean' },
+                    title: { type: 'string' },
+                    template: { type: 'string' },
+                    url: { type: 'url' },
+                    server: { type: 'url' },
+                },
+            },
+        },
+        storage: {
+            type: 'object',
+            keys: {
+                enabled: { type: 'boolean' },
+                dir: { type: 'string' },
+                history: {
+                    type: 'object',
+                    keys: { maxSizeMb: { type: 'number' }, maxFiles: { type: 'integer' } },
+                },
+            },
+        },
+        logging: {
+            type: 'object',
+            keys: {
+                enabled: { type: 'boolean' },
+                level: { type: 'string', enum: LOG_LEVELS },
+                format: { type: 'string', enum: LOG_FORMATS },
+                file: {
+                    type: 'object',
+                    orFalse: true,
+                    keys: {
+                        enabled: { type: 'boolean' },
+                        path: { type: 'string' },
+                        format: { type: 'string', enum: LOG_FORMATS },
+                        maxSizeMb: { type: 'number' },
+                        maxFiles: { type: 'integer' },
+                    },
+                },
+            },
+        },
+        fixtures: {
+            type: 'object',
+            keys: { record: { type: 'boolean' }, recordDir: { type: 'string' }, replay: { type: 'string' } },
+        },
+        catalogue: {
+            type: 'object',
+            keys: { file: { type: 'string' } },
+        },
+    },
+};
+
+const BOOLEANS = {
+    true: true, yes: true, on: true, 1: true,
+    false: false, no: false, off: false, 0: false,
+};
+
+function describe(value) {
+    return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Parse a list or block given as text, as environment overrides are
+ */
+function parseText(value) {
+    try {
+        return yaml.load(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Coerce and check one value against its schema node
+ * @param {Object} node - Schema node
+ * @param {*} value - Value from config.yml or the environment
+ * @param {string} where - Option path used in messages
+ * @param {{errors: string[], warnings: string[]}} report - Collected problems
+ * @returns {*} Coerced value
+ */
+function check(node, value, where, report) {
+    if (value === undefined || value === null) {
+        if (node.default === undefined) {
+            return value;
+        }
+        // Defaults are checked too, so an omitted block gets its options' defaults
+        return check(node, JSON.parse(JSON.stringify(node.default)), where, report);
+    }
+
+    switch (node.type) {
+        case 'any':
+            return value;
+        case 'number':
+        case 'integer': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || Number.isNaN(number)) {
+                report.errors.push(`${where} must be a number, got ${describe(value)}`);
+                return value;
+            }
+            if (node.type === 'integer' && !Number.isInteger(number)) {
+                report.errors.push(`${where} must be a whole number, got ${describe(value)}`);
+            }
+            return number;
+        }
+        case 'boolean': {
+            const flag = typeof value === 'boolean' ? value : BOOLEANS[String(value).toLowerCase()];
+            if (flag === undefined) {
+                report.errors.push(`${where} must be true or false, got ${describe(value)}`);
+                return value;
+            }
+            return flag;
+        }
+        case 'string':
+        case 'url': {
+            if (isPlainObject(value) || Array.isArray(value)) {
+                report.errors.push(`${where} must be text, got ${describe(value)}`);
+                return value;
+            }
+            const text = String(value);
+            if (node.enum && !node.enum.includes(text)) {
+                report.errors.push(`${where} must be one of ${node.enum.join(', ')}, got ${describe(value)}`);
+            }
+            if (node.type === 'url') {
+                let url = null;
+                try {
+                    url = new URL(text);
+                } catch (error) {
+                    // Reported below
+                }
+                if (!url || !['http:', 'https:'].includes(url.protocol)) {
+                    report.errors.push(`${where} must be an http(s) URL, got ${describe(value)}`);
+                }
+            }
+            return text;
+        }
+        case 'list': {
+            const list = typeof value === 'string' ? parseText(value) : value;
+            if (!Array.isArray(list)) {
+                report.errors.push(`${where} must be a list, got ${describe(value)}`);
+                return value;
+            }
+            return list.map((item, index) => check(node.items, item, `${where}[${index}]`, report));
+        }
+        case 'map':
+        case 'object': {
+            if (node.orFalse && (value === false || value === 'false')) {
+                return false;
+            }
+            const block = typeof value === 'string' ? parseText(value) : value;
+            if (!isPlainObject(block)) {
+                report.errors.push(`${where} must be a block of options, got ${describe(value)}`);
+                return value;
+            }
+            return node.type === 'map' ? checkMap(node, block, where, report) : checkObject(node, block, where, report);
+        }
+        default:
+            throw new Error(`Unknown schema type ${node.type} at ${where}`);
+    }
+}
+
+function checkMap(node, block, where, report) {
+    return Object.fromEntries(Object.entries(block).map(([key, value]) => [
+        key,
+        check(node.values, value, `${where}.${key}`, report),
+    ]));
+}
+
+function checkObject(node, block, where, report) {
+    const keys = node.keys || {};
+    const result = {};
+    Object.entries(block).forEach(([key, value]) => {
+        if (keys[key]) {
+            return;
+        }
+        if (node.open) {
+            result[key] = value;
+        } else {
+            report.warnings.push(`${where ? `${where}.` : ''}${key} is not a known option and is ignored`);
+        }
+    });
+    Object.entries(keys).forEach(([key, child]) => {
+        const value = check(child, block[key], where ? `${where}.${key}` : key, report);
+        if (value !== undefined) {
+            result[key] = value;
+        }
+    });
+    return result;
+}
+
+/**
+ * Match an environment variable segment such as INTERVAL_MS to a key such
+ * as intervalMs
+ */
+function matchKey(segment, keys) {
+    const wanted = segment.toLowerCase().replace(/_/g, '');
+    return keys.find(key => key.toLowerCase().replace(/[^a-z0-9]/g, '') === wanted) || null;
+}
+
+/**
+ * Write CONFIG__* environment variables into the raw configuration, e.g.
+ * CONFIG__MONITORING__INTERVAL_MS=60000 or CONFIG__NOTIFICATIONS__NTFY__ENABLED=true.
+ * Values stay text; validation coerces them like values from config.yml.
+ * @param {Object} raw - Parsed config.yml, changed in place
+ * @param {Object} env - Environment variables
+ * @returns {string[]} Variables that match no option
+ */
+function applyEnvOverrides(raw, env = process.env) {
+    const unknown = [];
+    Object.keys(env)
+        .filter(name => name.startsWith(ENV_PREFIX))
+        .sort()
+        .forEach((name) => {
+            const segments = name.slice(ENV_PREFIX.length).split('__');
+            let node = SCHEMA;
+            let target = raw;
+            for (let index = 0; index < segments.length; index += 1) {
+                const segment = segments[index];
+                let key;
+                if (node && node.type === 'object' && node.keys && matchKey(segment, Object.keys(node.keys))) {
+                    key = matchKey(segment, Object.keys(node.keys));
+                    node = node.keys[key];
+                } else if (node && (node.type === 'map' || (node.type === 'object' && node.open))) {
+                    // Free-form keys keep the case of an existing entry, else lower case
+                    key = matchKey(segment, Object.keys(target)) || segment.toLowerCase();
+                    node = node.type === 'map' ? node.values : null;
+                } else {
+                    unknown.push(name);
+                    return;
+                }
+
+                if (index === segments.length - 1) {
+                    target[key] = env[name];
+                } else {
+                    if (!isPlainObject(target[key])) {
+                        target[key] = {};
+                    }
+                    target = target[key];
+                }
+            }
+        });
+    return unknown;
+}
+
+/**
+ * Coerce and check a parsed config.yml against the schema
+ * @param {Object} raw - Parsed config.yml, with environment overrides applied
+ * @returns {{value: Object, errors: string[], warnings: string[]}}
+ */
+function validateConfig(raw) {
+    const report = { errors: [], warnings: [] };
+    if (!isPlainObject(raw)) {
+        report.errors.push('config.yml must contain a block of options');
+        return { value: {}, ...report };
+    }
+    const value = checkObject(SCHEMA, raw, '', report);
+    return { value, ...report };
+}
+
+module.exports = {
+    ENV_PREFIX,
+    LOG_LEVELS,
+    LOG_FORMATS,
+    ConfigError,
+    applyEnvOverrides,
+    validateConfig,
+};
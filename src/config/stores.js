@@ -0,0 +1,227 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bundled seed list; stores seen in API responses are added at runtime
+const SEED_FILE = path.join(__dirname, 'stores.json');
+
+// Fields compared when deciding whether a seen store changed
+const STORE_FIELDS = ['name', 'address', 'city', 'postalCode', 'latitude', 'longitude', 'region'];
+
+// Stores by store number
+let stores = new Map();
+
+/**
+ * Compare store names case-insensitively and without the "Apple " prefix
+ * responses sometimes add, so "Apple Orchard Road" matches "Orchard Road"
+ */
+function normalizeName(value) {
+    return String(value).toLowerCase().replace(/^apple\s+/, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whether a value is a store number such as "R742"
+ */
+function isStoreNumber(value) {
+    return /^R\d+$/i.test(String(value));
+}
+
+/**
+ * Read a stores file: the bundled seed list or stores saved after being seen
+ * @returns {Object[]}
+ */
+function readStoresFile(filePath) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw new Error(`Invalid stores file ${filePath}: ${error.message}`);
+    }
+    if (!data || !Array.isArray(data.stores)) {
+        throw new Error(`Invalid stores file ${filePath}: expected a "stores" list`);
+    }
+    return data.stores;
+}
+
+/**
+ * Load the seed list, then the stores seen in earlier responses over it
+ * @param {string|null} seenFile - Path of the saved seen stores
+ */
+function loadStores(seenFile = null) {
+    stores = new Map();
+    readStoresFile(SEED_FILE).forEach((store) => {
+        stores.set(store.storeNumber, { ...store, source: 'seed', lastSeenAt: null });
+    });
+    if (seenFile) {
+        readStoresFile(seenFile).forEach((store) => {
+            stores.set(store.storeNumber, { ...stores.get(store.storeNumber), ...store, source: 'seen' });
+        });
+    }
+}
+
+/**
+ * Add or update a store seen in an API response. Details missing from the
+ * response keep their known values.
+ * @param {Object} store - Store details with at least storeNumber
+ * @returns {boolean} True when the store is new or its details changed
+ */
+function rememberStore(store) {
+    const known = stores.get(store.storeNumber);
+    const details = Object.fromEntries(Object.entries(store)
+        .filter(([, value]) => value !== null && value !== undefined && value !== ''));
+    const merged = { ...known, ...details, source: 'seen', lastSeenAt: new Date().toISOString() };
+    stores.set(store.storeNumber, merged);
+
+    return !known || known.source !== 'seen' || STORE_FIELDS.some(field => known[field] !== merged[field]);
+}
+
+/**
+ * Stores seen in responses, for saving
+ * @returns {Object[]}
+ */
+function seenStores() {
+    return [...stores.values()].filter(store => store.source === 'seen');
+}
+
+/**
+ * Save seen stores atomically
+ * @param {string} filePath - Path of the seen stores file
+ */
+async function writeStoresFile(filePath) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify({ stores: seenStores() }, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Look up a store by number
+ * @param {string} storeNumber - e.g. "R742"
+ * @returns {Object|null}
+ */
+function getStore(storeNumber) {
+    return stores.get(storeNumber) || null;
+}
+
+/**
+ * Search the directory
+ * @param {Object} query
+ * @param {string} query.q - Text in the store name, address or city
+ * @param {string} query.city - City name
+ * @param {string} query.region - Storefront code
+ * @returns {Object[]} Stores sorted by name
+ */
+function findStores({ q, city, region } = {}) {
+    const text = q ? String(q).toLowerCase() : null;
+    return [...stores.values()]
+        .filter(store => !region || store.region === String(region).toLowerCase())
+        .filter(store => !city || (store.city && normalizeName(store.city) === normalizeName(city)))
+        .filter(store => !text || [store.storeNumber, store.name, store.address, store.city]
+            .some(value => value && String(value).toLowerCase().includes(text)))
+        .sort((a, b) => (a.name || a.storeNumber).localeCompare(b.name || b.storeNumber));
+}
+
+/**
+ * Great-circle distance in km
+ */
+function distanceKm(lat1, lng1, lat2, lng2) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Stores with known coordinates, nearest first
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {Object} options
+ * @param {string} options.region - Only stores of this storefront
+ * @param {number} options.limit - Maximum number of stores
+ * @returns {Object[]} Stores with distanceKm
+ */
+function nearestStores(latitude, longitude, { region = null, limit = 5 } = {}) {
+    return findStores({ region })
+        .filter(store => typeof store.latitude === 'number' && typeof store.longitude === 'number')
+        .map(store => ({
+            ...store,
+            distanceKm: Math.round(distanceKm(latitude, longitude, store.latitude, store.longitude) * 10) / 10,
+        }))
+        .sort((a, b) => a.distanceKm - b.distanceKm)
+        .slice(0, limit);
+}
+
+/**
+ * Resolve a watch's store, given as a store number or a store name
+ * @param {string} value - e.g. "R742", "The Exchange TRX" or "Apple Orchard Road"
+ * @param {string} where - Location used in error messages
+ * @param {string|null} region - Preferred storefront when names repeat
+ * @returns {string} Store number
+ */
+function resolveStore(value, where, region = null) {
+    if (isStoreNumber(value)) {
+        return String(value).toUpperCase();
+    }
+
+    const name = normalizeName(value);
+    let matches = [...stores.values()].filter(store => store.name && normalizeName(store.name) === name);
+    if (matches.length > 1 && region) {
+        matches = matches.filter(store => store.region === region);
+    }
+    if (matches.length === 1) {
+        return matches[0].storeNumber;
+    }
+
+    if (matches.length === 0) {
+        const similar = findStores({ q: name }).map(store => `${store.name} (${store.storeNumber})`);
+        throw new Error(`${where} "${value}" is not a known store` +
+            (similar.length > 0 ? `; did you mean ${similar.join(', ')}?` : ' (see GET /stores)'));
+    }
+    throw new Error(`${where} "${value}" matches several stores: ` +
+        matches.map(store => `${store.storeNumber} (${store.region})`).join(', '));
+}
+
+/**
+ * One-line postal address of a store
+ * @param {Object|null} store - Directory entry
+ * @returns {string|null}
+ */
+function formatAddress(store) {
+    if (!store) {
+        return null;
+    }
+    const locality = [store.postalCode, store.city].filter(Boolean).join(' ');
+    return [store.address, locality].filter(Boolean).join(', ') || null;
+}
+
+/**
+ * Google Maps link for a store: its coordinates when known, otherwise a
+ * search for its name
+ * @param {Object|null} store - Directory entry
+ * @param {string} fallbackName - Name to search for without an entry
+ * @returns {string}
+ */
+function mapsUrl(store, fallbackName) {
+    const query = store && typeof store.latitude === 'number' && typeof store.longitude === 'number'
+        ? `${store.latitude},${store.longitude}`
+        : `Apple ${(store && store.name) || fallbackName}`;
+    return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(query)}`;
+}
+
+loadStores();
+
+module.exports = {
+    loadStores,
+    rememberStore,
+    writeStoresFile,
+    getStore,
+    findStores,
+    nearestStores,
+    resolveStore,
+    formatAddress,
+    mapsUrl,
+};
@@ -0,0 +1,471 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_REGION, loadRegion, regionFromUrl } = require('./regions');
+const { describePart, resolveProduct } = require('./catalogue');
+const { getStore, resolveStore } = require('./stores');
+const { compileMatcher } = require('../utils/match');
+const { compilePath } = require('../utils/jsonPath');
+
+// Fetch strategies accepted by appleStore.fetcher and per-watch `fetcher`
+const FETCH_STRATEGIES = ['auto', 'http', 'browser', 'replay'];
+
+// Watch types: Apple pickup availability, or a field of any JSON endpoint
+const WATCH_TYPES = ['apple', 'json'];
+
+// Request methods of JSON watches
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Validate a fetch strategy name
+ */
+function loadFetcher(value, where) {
+    if (!FETCH_STRATEGIES.includes(value)) {
+        throw new Error(`${where} must be one of: ${FETCH_STRATEGIES.join(', ')}`);
+    }
+    return value;
+}
+
+/**
+ * Normalise a nearby-store alert option
+ * @returns {{maxDistanceKm: number|null, stores: string[]}|null}
+ */
+function loadNearby(nearby, where) {
+    if (!nearby) {
+        return null;
+    }
+
+    const maxDistanceKm = nearby.maxDistanceKm === undefined || nearby.maxDistanceKm === null
+        ? null
+        : Number(nearby.maxDistanceKm);
+    if (maxDistanceKm !== null && Number.isNaN(maxDistanceKm)) {
+        throw new Error(`${where}.maxDistanceKm must be a number`);
+    }
+
+    if (nearby.stores !== undefined && !Array.isArray(nearby.stores)) {
+        throw new Error(`${where}.stores must be a list`);
+    }
+    const stores = (nearby.stores || []).map(String);
+    if (maxDistanceKm === null && stores.length === 0) {
+        return null;
+    }
+
+    return { maxDistanceKm, stores };
+}
+
+// Notification policy applied when config.yml has no notificationPolicy block
+const DEFAULT_NOTIFICATION_POLICY = {
+    cooldownMinutes: 0,
+    confirmations: 1,
+    quietHours: null,
+    escalation: null,
+};
+
+/**
+ * Read a number option, falling back to a default when omitted
+ */
+function loadNumber(value, where, fallback, { min = 0, integer = false } = {}) {
+    if (value === undefined || value === null) {
+        return fallback;
+    }
+    const number = Number(value);
+    if (Number.isNaN(number) || number < min || (integer && !Number.isInteger(number))) {
+        throw new Error(`${where} must be ${integer ? 'an integer' : 'a number'} of at least ${min}`);
+    }
+    return number;
+}
+
+/**
+ * Validate a wall-clock time such as "07:55"
+ */
+function loadClock(value, where) {
+    if (!/^([01]?\d|2[0-3]):[0-5]\d$/.test(String(value))) {
+        throw new Error(`${where} must be a time such as "23:00"`);
+    }
+    return String(value);
+}
+
+/**
+ * Validate an optional IANA timezone name
+ * @returns {string|null}
+ */
+function loadTimezone(value, where) {
+    if (!value) {
+        return null;
+    }
+
+    const timezone = String(value);
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    } catch (error) {
+        throw new Error(`${where} is not a known timezone: ${timezone}`);
+    }
+    return timezone;
+}
+
+/**
+ * Validate a quiet hours window such as { start: "23:00", end: "07:00" }.
+ * Without a timezone the watch's storefront timezone is used.
+ */
+function loadQuietHours(quietHours, where) {
+    if (!quietHours) {
+        return null;
+    }
+
+    return {
+        start: loadClock(quietHours.start, `${where}.start`),
+        end: loadClock(quietHours.end, `${where}.end`),
+        timezone: loadTimezone(quietHours.timezone, `${where}.timezone`),
+    };
+}
+
+/**
+ * Validate an escalation option: repeat alerts of the listed priorities
+ * every intervalMinutes until acknowledged, at most maxRepeats times
+ */
+function loadEscalation(escalation, where) {
+    if (!escalation) {
+        return null;
+    }
+    if (escalation.priorities !== undefined && !Array.isArray(escalation.priorities)) {
+        throw new Error(`${where}.priorities must be a list`);
+    }
+
+    return {
+        intervalMinutes: loadNumber(escalation.intervalMinutes, `${where}.intervalMinutes`, 5, { min: 1 }),
+        maxRepeats: loadNumber(escalation.maxRepeats, `${where}.maxRepeats`, 12, { min: 1, integer: true }),
+        priorities: (escalation.priorities || ['high']).map(String),
+    };
+}
+
+/**
+ * Normalise a notification policy, taking omitted options from `base`
+ * @returns {{cooldownMinutes: number, confirmations: number,
+ *   quietHours: Object|null, escalation: Object|null}}
+ */
+function loadNotificationPolicy(policy, where, base = DEFAULT_NOTIFICATION_POLICY) {
+    if (!policy) {
+        return base;
+    }
+
+    return {
+        cooldownMinutes: loadNumber(policy.cooldownMinutes, `${where}.cooldownMinutes`, base.cooldownMinutes),
+        confirmations: loadNumber(policy.confirmations, `${where}.confirmations`, base.confirmations, { min: 1, integer: true }),
+        quietHours: policy.quietHours !== undefined
+            ? loadQuietHours(policy.quietHours, `${where}.quietHours`)
+            : base.quietHours,
+        escalation: policy.escalation !== undefined
+            ? loadEscalation(policy.escalation, `${where}.escalation`)
+            : base.escalation,
+    };
+}
+
+/**
+ * Validate the Pushover recipients a watch notifies
+ * @returns {string[]|null} Recipient names, or null for every recipient
+ */
+function loadRecipients(recipients, where, knownRecipients) {
+    if (recipients === undefined || recipients === null) {
+        return null;
+    }
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+        throw new Error(`${where} must be a list of recipient names`);
+    }
+
+    return recipients.map((name) => {
+        if (!knownRecipients.includes(String(name))) {
+            throw new Error(`${where} names unknown recipient "${name}"`);
+        }
+        return String(name);
+    });
+}
+
+/**
+ * Resolve the default storefront: appleStore.region, else the storefront
+ * of a legacy appleStore.baseUrl, else Malaysia
+ */
+function loadDefaultRegion(appleStore) {
+    if (appleStore.region) {
+        return loadRegion(appleStore.region, 'appleStore.region');
+    }
+    if (appleStore.baseUrl) {
+        const region = regionFromUrl(appleStore.baseUrl);
+        if (!region) {
+            throw new Error('appleStore.baseUrl is not a known storefront, set appleStore.region instead');
+        }
+        return region;
+    }
+    return DEFAULT_REGION;
+}
+
+/**
+ * Resolve the defaults that watches inherit from the appleStore and
+ * notificationPolicy blocks
+ * @param {Object} appleStore - appleStore block from config.yml
+ * @param {Object} notificationPolicy - notificationPolicy block from config.yml
+ * @param {string[]} knownRecipients - Names of the configured Pushover recipients
+ * @returns {{nearby: Object|null, fetcher: string, region: string,
+ *   notificationPolicy: Object, knownRecipients: string[]}}
+ */
+function loadWatchDefaults(appleStore, notificationPolicy, knownRecipients = []) {
+    return {
+        knownRecipients,
+        nearby: loadNearby(appleStore.nearby, 'appleStore.nearby'),
+        fetcher: loadFetcher(appleStore.fetcher || 'browser', 'appleStore.fetcher'),
+        region: loadDefaultRegion(appleStore),
+        notificationPolicy: loadNotificationPolicy(notificationPolicy, 'notificationPolicy'),
+    };
+}
+
+// Only variables with this prefix can be used in JSON watches, so a
+// watch cannot send the monitor's own secrets to its endpoint
+const WATCH_ENV_PREFIX = 'WATCH_';
+
+const ENV_PLACEHOLDER = /\$\{(\w+)\}/g;
+
+/**
+ * Replace ${WATCH_NAME} with an environment variable, so secrets in a JSON
+ * watch's url, headers or body can stay in .env. Watches keep the
+ * placeholders; they are expanded for each request.
+ * @param {string} value - Text with placeholders
+ * @param {string} where - Location used in error messages
+ * @returns {string}
+ */
+function expandEnv(value, where) {
+    return String(value).replace(ENV_PLACEHOLDER, (match, name) => {
+        if (!name.startsWith(WATCH_ENV_PREFIX)) {
+            throw new Error(`${where} uses \${${name}}, but only variables starting with ${WATCH_ENV_PREFIX} can be used`);
+        }
+        if (process.env[name] === undefined) {
+            throw new Error(`${where} uses \${${name}}, which is not set in the environment`);
+        }
+        return process.env[name];
+    });
+}
+
+/**
+ * Check the placeholders of a JSON watch value. Watches added through the
+ * API cannot use them at all.
+ */
+function checkEnv(value, where, allowEnv) {
+    if (!allowEnv && String(value).match(ENV_PLACEHOLDER)) {
+        throw new Error(`${where} cannot use \${NAME} placeholders in a watch added through the API`);
+    }
+    expandEnv(value, where);
+}
+
+/**
+ * Validate and normalise a JSON watch, which reads one field of any JSON
+ * endpoint. With `match` the watch is available while the field matches;
+ * without it every change of the value alerts.
+ * @returns {Object} Normalised watch
+ */
+function normalizeJsonWatch(entry, where, defaults, allowEnv) {
+    if (!entry.id || !entry.url || !entry.field) {
+        throw new Error(`${where} of type json must define id, url and field`);
+    }
+
+    const url = String(entry.url);
+    checkEnv(url, `${where}.url`, allowEnv);
+    let protocol;
+    try {
+        ({ protocol } = new URL(expandEnv(url, `${where}.url`)));
+    } catch (error) {
+        throw new Error(error.message.startsWith(where) ? error.message : `${where}.url is not a valid URL`);
+    }
+    if (protocol !== 'http:' && protocol !== 'https:') {
+        throw new Error(`${where}.url must be an http:// or https:// URL`);
+    }
+
+    const method = String(entry.method || 'GET').toUpperCase();
+    if (!HTTP_METHODS.includes(method)) {
+        throw new Error(`${where}.method must be one of: ${HTTP_METHODS.join(', ')}`);
+    }
+
+    if (entry.headers !== undefined && (!entry.headers || typeof entry.headers !== 'object' || Array.isArray(entry.headers))) {
+        throw new Error(`${where}.headers must map header names to values`);
+    }
+    const headers = Object.fromEntries(Object.entries(entry.headers || {}).map(([name, value]) => {
+        checkEnv(value, `${where}.headers.${name}`, allowEnv);
+        return [name, String(value)];
+    }));
+
+    // A body object is sent as JSON
+    const body = entry.body === undefined || entry.body === null ? null : entry.body;
+    if (body !== null) {
+        checkEnv(typeof body === 'string' ? body : JSON.stringify(body), `${where}.body`, allowEnv);
+    }
+
+    const field = String(entry.field);
+    try {
+        compilePath(field);
+    } catch (error) {
+        throw new Error(`${where}.field ${error.message}`);
+    }
+
+    const match = entry.match === undefined ? null : entry.match;
+    if (match !== null) {
+        compileMatcher(match, `${where}.match`);
+    }
+
+    return {
+        id: String(entry.id),
+        type: 'json',
+        label: entry.label ? String(entry.label) : String(entry.id),
+        partNumber: null,
+        storeNumber: null,
+        url,
+        method,
+        headers,
+        body,
+        field,
+        match,
+        nearby: null,
+        fetcher: 'http',
+        region: entry.region ? loadRegion(entry.region, `${where}.region`) : defaults.region,
+        notificationPolicy: loadNotificationPolicy(
+            entry.notificationPolicy,
+            `${where}.notificationPolicy`,
+            defaults.notificationPolicy
+        ),
+        recipients: loadRecipients(entry.recipients, `${where}.recipients`, defaults.knownRecipients),
+    };
+}
+
+/**
+ * Validate and normalise one watch definition
+ * @param {Object} entry - Raw watch definition
+ * @param {string} where - Location used in error messages, e.g. "watches[2]"
+ * @param {Object} defaults - Defaults from loadWatchDefaults()
+ * @param {Object} options
+ * @param {boolean} options.allowEnv - Whether JSON watches may use
+ *   ${WATCH_NAME} placeholders; false for watches sent to the API
+ * @returns {Object} Normalised watch
+ */
+function normalizeWatch(entry, where, defaults, { allowEnv = true } = {}) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        throw new Error(`${where} must be an object`);
+    }
+
+    const type = entry.type === undefined || entry.type === null ? 'apple' : String(entry.type);
+    if (!WATCH_TYPES.includes(type)) {
+        throw new Error(`${where}.type must be one of: ${WATCH_TYPES.join(', ')}`);
+    }
+    if (type === 'json') {
+        return normalizeJsonWatch(entry, where, defaults, allowEnv);
+    }
+
+    if ((!entry.partNumber && !entry.product) || (!entry.storeNumber && !entry.store)) {
+        throw new Error(`${where} must define partNumber (or product) and storeNumber (or store)`);
+    }
+
+    // The store may be given by name; its storefront applies unless region is set
+    const storeNumber = entry.storeNumber
+        ? resolveStore(entry.storeNumber, `${where}.storeNumber`, defaults.region)
+        : resolveStore(entry.store, `${where}.store`, defaults.region);
+    const store = getStore(storeNumber);
+    const region = entry.region
+        ? loadRegion(entry.region, `${where}.region`)
+        : (store && store.region) || defaults.region;
+    const partNumber = entry.partNumber
+        ? String(entry.partNumber)
+        : resolveProduct(entry.product, region, `${where}.product`).partNumber;
+    const product = describePart(partNumber);
+    // Labels that only repeat the part number show the product name instead
+    const label = entry.label && entry.label !== partNumber
+        ? String(entry.label)
+        : (product ? product.name : partNumber);
+
+    return {
+        id: String(entry.id || `${partNumber}@${storeNumber}`),
+        type,
+        label,
+        partNumber,
+        storeNumber,
+        nearby: entry.nearby !== undefined
+            ? loadNearby(entry.nearby, `${where}.nearby`)
+            : defaults.nearby,
+        fetcher: entry.fetcher ? loadFetcher(entry.fetcher, `${where}.fetcher`) : defaults.fetcher,
+        region,
+        notificationPolicy: loadNotificationPolicy(
+            entry.notificationPolicy,
+            `${where}.notificationPolicy`,
+            defaults.notificationPolicy
+        ),
+        recipients: loadRecipients(entry.recipients, `${where}.recipients`, defaults.knownRecipients),
+    };
+}
+
+/**
+ * Validate and normalise a list of watch definitions
+ * @param {Object[]} entries - Raw watch definitions
+ * @param {Object} defaults - Defaults from loadWatchDefaults()
+ * @param {string} where - Name of the list in error messages
+ * @returns {Object[]} Normalised watches
+ */
+function normalizeWatches(entries, defaults, where = 'watches') {
+    const seenIds = new Set();
+    return entries.map((entry, index) => {
+        const watch = normalizeWatch(entry, `${where}[${index}]`, defaults);
+        if (seenIds.has(watch.id)) {
+            throw new Error(`${where}[${index}] has duplicate id "${watch.id}"`);
+        }
+        seenIds.add(watch.id);
+        return watch;
+    });
+}
+
+/**
+ * Read watches saved through the API: the definitions as they were sent,
+ * and the ids of config.yml watches deleted through the API. Files written
+ * before definitions were kept as sent hold a plain list of watches.
+ * @param {string} filePath - Path of the watches file
+ * @returns {{watches: Object[], removed: string[]}|null} Saved changes, or
+ *   null when none were saved
+ */
+function readWatchesFile(filePath) {
+    try {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (Array.isArray(saved)) {
+            return { watches: saved, removed: [] };
+        }
+        if (!saved || !Array.isArray(saved.watches) || !Array.isArray(saved.removed)) {
+            throw new Error('expected watches and removed lists');
+        }
+        return { watches: saved.watches, removed: saved.removed.map(String) };
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Invalid watches file ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Save watches atomically so they survive restarts
+ * @param {string} filePath - Path of the watches file
+ * @param {{watches: Object[], removed: string[]}} saved - Watch definitions
+ *   as sent to the API and the ids of removed config.yml watches
+ */
+async function writeWatchesFile(filePath, saved) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(saved, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+}
+
+module.exports = {
+    FETCH_STRATEGIES,
+    WATCH_TYPES,
+    HTTP_METHODS,
+    WATCH_ENV_PREFIX,
+    expandEnv,
+    loadFetcher,
+    loadNumber,
+    loadClock,
+    loadTimezone,
+    loadWatchDefaults,
+    normalizeWatch,
+    normalizeWatches,
+    readWatchesFile,
+    writeWatchesFile,
+};
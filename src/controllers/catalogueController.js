@@ -0,0 +1,23 @@
+const { searchCatalogue } = require('../config/catalogue');
+
+/**
+ * Controller for looking up part numbers in the product catalogue
+ */
+class CatalogueController {
+    /**
+     * Search the catalogue
+     * Query: q (words, e.g. "pro 256 blue"), model, capacity, colour (or
+     * color), region
+     */
+    search(req, res) {
+        const { q, model, capacity, colour, color, region } = req.query;
+        const results = searchCatalogue({ q, model, capacity, colour: colour || color, region });
+
+        res.json({
+            success: true,
+            data: results,
+        });
+    }
+}
+
+module.exports = new CatalogueController();
@@ -0,0 +1,49 @@
+const monitoringService = require('../services/monitoringService');
+
+// Keep-alive comment interval so proxies do not close idle streams
+const HEARTBEAT_MS = 25000;
+
+/**
+ * Write one Server-Sent Event
+ */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Controller for the live Server-Sent Events stream
+ */
+class EventsController {
+    /**
+     * Stream `status` after every check and `transition` on status changes.
+     * The current status is sent as soon as the client connects.
+     */
+    streamEvents(req, res) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        });
+        res.flushHeaders();
+
+        const onCheck = status => sendEvent(res, 'status', status);
+        const onTransition = transition => sendEvent(res, 'transition', transition);
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+        monitoringService.on('check', onCheck);
+        monitoringService.on('transition', onTransition);
+        req.log.debug(`Event stream opened (${monitoringService.listenerCount('check')} clients)`);
+
+        sendEvent(res, 'status', monitoringService.getStatus());
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            monitoringService.off('check', onCheck);
+            monitoringService.off('transition', onTransition);
+            req.log.debug('Event stream closed');
+        });
+    }
+}
+
+module.exports = new EventsController();
@@ -0,0 +1,16 @@
+const metricsService = require('../services/metricsService');
+
+/**
+ * Controller for the Prometheus scrape endpoint
+ */
+class MetricsController {
+    /**
+     * Render metrics in the Prometheus text exposition format
+     */
+    getMetrics(req, res) {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(metricsService.render());
+    }
+}
+
+module.exports = new MetricsController();
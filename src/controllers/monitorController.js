@@ -1,4 +1,23 @@
 const monitoringService = require('../services/monitoringService');
+const stateStore = require('../services/stateStore');
+const { parseTime } = require('../utils/time');
+
+/**
+ * Pause or resume the watch named in the route
+ */
+function setWatchPaused(req, res, paused) {
+    if (!monitoringService.setWatchPaused(req.params.id, paused)) {
+        return res.status(404).json({
+            success: false,
+            error: `Unknown watch: ${req.params.id}`,
+        });
+    }
+
+    res.json({
+        success: true,
+        data: { id: req.params.id, paused },
+    });
+}
 
 /**
  * Controller for monitoring-related endpoints
@@ -23,13 +42,192 @@ class MonitorController {
     }
 
     /**
-     * Health check endpoint
+     * Get check history, newest first
+     * Query: watch, from, to (ISO timestamp or epoch ms), changes=true, limit
      */
-    healthCheck(req, res) {
+    async getHistory(req, res) {
+        try {
+            const from = parseTime(req.query.from);
+            const to = parseTime(req.query.to);
+            if (from === undefined || to === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'from and to must be ISO timestamps or epoch milliseconds',
+                });
+            }
+
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+            const records = await stateStore.queryHistory({
+                watch: req.query.watch || null,
+                from,
+                to,
+                changesOnly: req.query.changes === 'true',
+                limit,
+            });
+
+            res.json({
+                success: true,
+                data: records,
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Start the monitoring loop
+     */
+    startMonitor(req, res) {
+        if (monitoringService.isRunning) {
+            return res.status(409).json({
+                success: false,
+                error: 'Monitoring service is already running',
+            });
+        }
+
+        monitoringService.start();
+        res.json({
+            success: true,
+            data: monitoringService.getStatus(),
+        });
+    }
+
+    /**
+     * Stop the monitoring loop
+     */
+    async stopMonitor(req, res) {
+        if (!monitoringService.isRunning) {
+            return res.status(409).json({
+                success: false,
+                error: 'Monitoring service is not running',
+            });
+        }
+
+        try {
+            await monitoringService.stop();
+            res.json({
+                success: true,
+                data: monitoringService.getStatus(),
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Change the check interval
+     * Body: { intervalMs }
+     */
+    updateInterval(req, res) {
+        const intervalMs = Number(req.body && req.body.intervalMs);
+        if (!Number.isInteger(intervalMs) || intervalMs < 5000) {
+            return res.status(400).json({
+                success: false,
+                error: 'intervalMs must be an integer of at least 5000',
+            });
+        }
+
+        monitoringService.setCheckInterval(intervalMs);
+        res.json({
+            success: true,
+            data: { intervalMs },
+        });
+    }
+
+    /**
+     * Pause scheduled checks for one watch
+     */
+    pauseWatch(req, res) {
+        setWatchPaused(req, res, true);
+    }
+
+    /**
+     * Resume scheduled checks for one watch
+     */
+    resumeWatch(req, res) {
+        setWatchPaused(req, res, false);
+    }
+
+    /**
+     * Acknowledge a watch's alert, stopping repeated notifications
+     */
+    acknowledgeAlert(req, res) {
+        const acknowledged = monitoringService.acknowledgeAlert(req.params.id);
+        if (acknowledged === null) {
+            return res.status(404).json({
+                success: false,
+                error: `Unknown watch: ${req.params.id}`,
+            });
+        }
+        if (!acknowledged) {
+            return res.status(409).json({
+                success: false,
+                error: 'No alert is waiting for acknowledgement',
+            });
+        }
+
         res.json({
             success: true,
-            message: 'iPhone Stock Monitor is running',
+            data: { id: req.params.id, acknowledged: true },
+        });
+    }
+
+    /**
+     * Run a check immediately and return the result
+     * Body: { watches: [id, ...] } (optional, defaults to all unpaused watches)
+     */
+    async triggerCheck(req, res) {
+        const watchIds = req.body && req.body.watches;
+        if (watchIds !== undefined) {
+            const unknown = Array.isArray(watchIds)
+                ? watchIds.filter(id => !monitoringService.watches.has(id))
+                : null;
+            if (!unknown) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'watches must be an array of watch ids',
+                });
+            }
+            if (unknown.length > 0) {
+                return res.status(404).json({
+                    success: false,
+                    error: `Unknown watches: ${unknown.join(', ')}`,
+                });
+            }
+        }
+
+        try {
+            const results = await monitoringService.checkNow(watchIds || null);
+            res.json({
+                success: true,
+                data: results,
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Health check endpoint
+     */
+    healthCheck(req, res) {
+        const health = monitoringService.getHealth();
+        res.status(health.healthy ? 200 : 503).json({
+            success: health.healthy,
+            message: health.healthy
+                ? 'iPhone Stock Monitor is running'
+                : `iPhone Stock Monitor is failing to check ${health.failing.length} watch(es)`,
             timestamp: new Date().toISOString(),
+            data: health,
         });
     }
 }
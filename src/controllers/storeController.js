@@ -0,0 +1,58 @@
+const { getStore, findStores, nearestStores } = require('../config/stores');
+
+/**
+ * Controller for looking up stores in the store directory
+ */
+class StoreController {
+    /**
+     * Search the directory
+     * Query: q (text in name, address or city), city, region, or lat and lng
+     * for the nearest stores first (with limit, default 5)
+     */
+    listStores(req, res) {
+        const { q, city, region, lat, lng, limit } = req.query;
+
+        if (lat !== undefined || lng !== undefined) {
+            const latitude = Number(lat);
+            const longitude = Number(lng);
+            const max = limit === undefined ? 5 : Number(limit);
+            if (lat === undefined || lng === undefined || Number.isNaN(latitude) || Number.isNaN(longitude) ||
+                !Number.isInteger(max) || max < 1) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'lat and lng must both be numbers, and limit a positive integer',
+                });
+            }
+
+            return res.json({
+                success: true,
+                data: nearestStores(latitude, longitude, { region, limit: max }),
+            });
+        }
+
+        res.json({
+            success: true,
+            data: findStores({ q, city, region }),
+        });
+    }
+
+    /**
+     * Get one store by number
+     */
+    getStore(req, res) {
+        const store = getStore(req.params.storeNumber.toUpperCase());
+        if (!store) {
+            return res.status(404).json({
+                success: false,
+                error: `Store ${req.params.storeNumber} is not in the directory`,
+            });
+        }
+
+        res.json({
+            success: true,
+            data: store,
+        });
+    }
+}
+
+module.exports = new StoreController();
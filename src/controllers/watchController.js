@@ -0,0 +1,159 @@
+const monitoringService = require('../services/monitoringService');
+const config = require('../config/config');
+const { normalizeWatch } = require('../config/watches');
+
+/**
+ * Find a watch's status entry by id
+ */
+function findWatch(id) {
+    return monitoringService.getStatus().watches.find(watch => watch.id === id);
+}
+
+/**
+ * Respond with 404 for an unknown watch id
+ */
+function notFound(res, id) {
+    return res.status(404).json({
+        success: false,
+        error: `Unknown watch: ${id}`,
+    });
+}
+
+/**
+ * Validate a request body as a watch definition. Environment placeholders
+ * are refused, as they would let API clients read the monitor's environment.
+ * @returns {{watch: Object, definition: Object}|null} Normalised watch and
+ *   the definition it was built from, or null after sending a 400
+ */
+function parseWatch(req, res, overrides = {}) {
+    const definition = { ...req.body, ...overrides };
+    try {
+        return {
+            watch: normalizeWatch(definition, 'watch', config.watchDefaults, { allowEnv: false }),
+            definition,
+        };
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            error: error.message,
+        });
+        return null;
+    }
+}
+
+/**
+ * Controller for managing watched part/store combinations
+ */
+class WatchController {
+    /**
+     * List all watches with their current status
+     */
+    listWatches(req, res) {
+        res.json({
+            success: true,
+            data: monitoringService.getStatus().watches,
+        });
+    }
+
+    /**
+     * Get one watch with its current status
+     */
+    getWatch(req, res) {
+        const watch = findWatch(req.params.id);
+        if (!watch) {
+            return notFound(res, req.params.id);
+        }
+
+        res.json({
+            success: true,
+            data: watch,
+        });
+    }
+
+    /**
+     * Add a watch; it is checked right away when monitoring is running
+     */
+    async createWatch(req, res) {
+        const parsed = parseWatch(req, res);
+        if (!parsed) {
+            return;
+        }
+
+        const { watch, definition } = parsed;
+        try {
+            if (!await monitoringService.addWatch(watch, definition)) {
+                return res.status(409).json({
+                    success: false,
+                    error: `Watch already exists: ${watch.id}`,
+                });
+            }
+
+            res.status(201).json({
+                success: true,
+                data: findWatch(watch.id),
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Replace a watch's definition; the id in the path is kept
+     */
+    async updateWatch(req, res) {
+        if (req.body && req.body.id !== undefined && req.body.id !== req.params.id) {
+            return res.status(400).json({
+                success: false,
+                error: 'Watch id cannot be changed',
+            });
+        }
+
+        const parsed = parseWatch(req, res, { id: req.params.id });
+        if (!parsed) {
+            return;
+        }
+
+        const { watch, definition } = parsed;
+        try {
+            if (!await monitoringService.updateWatch(watch, definition)) {
+                return notFound(res, req.params.id);
+            }
+
+            res.json({
+                success: true,
+                data: findWatch(watch.id),
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+
+    /**
+     * Remove a watch
+     */
+    async deleteWatch(req, res) {
+        try {
+            if (!await monitoringService.removeWatch(req.params.id)) {
+                return notFound(res, req.params.id);
+            }
+
+            res.json({
+                success: true,
+                data: { id: req.params.id },
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+}
+
+module.exports = new WatchController();
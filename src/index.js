@@ -1,15 +1,22 @@
+const path = require('path');
 const express = require('express');
 const { setRoutes } = require('./routes');
 const config = require('./config/config');
 const logger = require('./utils/logger');
+const { requestLogger } = require('./middleware/requestLogger');
 const monitoringService = require('./services/monitoringService');
+const configWatcher = require('./services/configWatcher');
 
 const app = express();
 const PORT = config.server.port;
 
 // Middleware
+app.use(requestLogger);
 app.use(express.json());
 
+// Dashboard static files
+app.use('/dashboard', express.static(path.join(__dirname, '..', 'public')));
+
 // Set up routes
 setRoutes(app);
 
@@ -18,21 +25,29 @@ app.listen(PORT, () => {
     logger.info(`Server is running on http://localhost:${PORT}`);
     logger.info(`Health check: http://localhost:${PORT}/health`);
     logger.info(`Monitoring status: http://localhost:${PORT}/status`);
+    logger.info(`Dashboard: http://localhost:${PORT}/dashboard/`);
 
     // Start monitoring service automatically
     logger.info('Initializing stock monitoring service...');
     monitoringService.start();
+
+    // Apply valid edits of config.yml without a restart
+    configWatcher.start();
 });
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
     logger.info('Received SIGINT, shutting down gracefully...');
+    configWatcher.stop();
     await monitoringService.stop();
+    logger.close();
     process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
     logger.info('Received SIGTERM, shutting down gracefully...');
+    configWatcher.stop();
     await monitoringService.stop();
+    logger.close();
     process.exit(0);
 });
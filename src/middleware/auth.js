@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+
+/**
+ * Compare two strings in constant time
+ */
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Require the API_TOKEN as `Authorization: Bearer <token>` or `X-API-Key`.
+ * Protected routes are disabled entirely while no token is configured.
+ */
+function requireApiToken(req, res, next) {
+    const expected = config.server.apiToken;
+    if (!expected) {
+        return res.status(503).json({
+            success: false,
+            error: 'Control API is disabled. Set API_TOKEN in .env to enable it.',
+        });
+    }
+
+    const header = req.get('authorization') || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7) : req.get('x-api-key');
+
+    if (!provided || !safeEqual(provided, expected)) {
+        req.log.warn(`Rejected unauthenticated request: ${req.method} ${req.originalUrl}`);
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or missing API token',
+        });
+    }
+
+    next();
+}
+
+module.exports = { requireApiToken };
@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Scraped and streaming routes logged at debug level so they do not flood the log
+const QUIET_PATHS = ['/health', '/metrics', '/events'];
+
+/**
+ * Give every request an id and log it once the response is done.
+ * The id is taken from an incoming `X-Request-Id` header when present,
+ * echoed back in the response, and attached to `req.log` entries.
+ */
+function requestLogger(req, res, next) {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && /^[\w.:-]{1,100}$/.test(incoming) ? incoming : crypto.randomUUID();
+    const startedAt = Date.now();
+
+    req.id = requestId;
+    req.log = logger.child({ requestId });
+    res.set('X-Request-Id', requestId);
+
+    let logged = false;
+    const done = () => {
+        if (logged) {
+            return;
+        }
+        logged = true;
+
+        const fields = {
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            durationMs: Date.now() - startedAt,
+        };
+        const message = `${req.method} ${req.originalUrl} ${res.statusCode} ${fields.durationMs}ms`;
+        // /health answers 503 while degraded, which would warn on every scrape
+        if (QUIET_PATHS.includes(req.path)) {
+            req.log.debug(message, fields);
+        } else if (res.statusCode >= 500) {
+            req.log.warn(message, fields);
+        } else {
+            req.log.info(message, fields);
+        }
+    };
+    res.on('finish', done);
+    res.on('close', done);
+
+    next();
+}
+
+module.exports = { requestLogger };
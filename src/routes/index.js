@@ -1,4 +1,10 @@
 const monitorController = require('../controllers/monitorController');
+const eventsController = require('../controllers/eventsController');
+const metricsController = require('../controllers/metricsController');
+const watchController = require('../controllers/watchController');
+const catalogueController = require('../controllers/catalogueController');
+const storeController = require('../controllers/storeController');
+const { requireApiToken } = require('../middleware/auth');
 
 /**
  * Set up application routes
@@ -10,6 +16,38 @@ function setRoutes(app) {
 
     // Monitoring status endpoint
     app.get('/status', monitorController.getStatus);
+
+    // Check history endpoint
+    app.get('/history', monitorController.getHistory);
+
+    // Product catalogue search
+    app.get('/catalogue', catalogueController.search);
+
+    // Store directory lookup
+    app.get('/stores', storeController.listStores);
+    app.get('/stores/:storeNumber', storeController.getStore);
+
+    // Prometheus metrics endpoint
+    app.get('/metrics', metricsController.getMetrics);
+
+    // Live status updates for the dashboard (Server-Sent Events)
+    app.get('/events', eventsController.streamEvents);
+
+    // Control endpoints (require API_TOKEN)
+    app.post('/monitor/start', requireApiToken, monitorController.startMonitor);
+    app.post('/monitor/stop', requireApiToken, monitorController.stopMonitor);
+    app.post('/monitor/check', requireApiToken, monitorController.triggerCheck);
+    app.post('/monitor/interval', requireApiToken, monitorController.updateInterval);
+    app.post('/watches/:id/pause', requireApiToken, monitorController.pauseWatch);
+    app.post('/watches/:id/resume', requireApiToken, monitorController.resumeWatch);
+    app.post('/watches/:id/ack', requireApiToken, monitorController.acknowledgeAlert);
+
+    // Watch management endpoints (changes require API_TOKEN)
+    app.get('/watches', watchController.listWatches);
+    app.get('/watches/:id', watchController.getWatch);
+    app.post('/watches', requireApiToken, watchController.createWatch);
+    app.put('/watches/:id', requireApiToken, watchController.updateWatch);
+    app.delete('/watches/:id', requireApiToken, watchController.deleteWatch);
 }
 
 module.exports = { setRoutes };
@@ -1,260 +1,104 @@
-const { chromium } = require('playwright');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const metricsService = require('./metricsService');
+const ruleEngine = require('./ruleEngine');
+const fixtureRecorder = require('./fixtureRecorder');
+const storeDirectory = require('./storeDirectory');
+const { getRegion } = require('../config/regions');
+const { getFetcher } = require('./fetchers');
+const { zonedTime } = require('../utils/time');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
- * Service for interacting with Apple Store API using Playwright
+ * Service for interacting with the Apple Store fulfillment API
  */
 class AppleStoreService {
-    constructor() {
-        this.baseUrl = config.appleStore.baseUrl;
-        this.params = config.appleStore.params;
-        this.partNumber = config.appleStore.partNumber;
-        this.storeNumber = config.appleStore.storeNumber;
-        this.browser = null;
-        this.context = null;
-    }
-
     /**
      * Build the full API URL with query parameters
+     * @param {Object} region - Storefront from getRegion()
+     * @param {string} storeNumber - Store to query
+     * @param {string[]} partNumbers - Parts to query, sent as parts.0..parts.N
      */
-    _buildUrl() {
-        const url = new URL(this.baseUrl);
+    _buildUrl(region, storeNumber, partNumbers) {
+        const url = new URL(region.apiUrl);
 
-        // Add fixed params from config
-        Object.entries(this.params).forEach(([key, value]) => {
+        // Add fixed params from config, read per request so reloads apply
+        Object.entries(config.appleStore.params).forEach(([key, value]) => {
             url.searchParams.append(key, value);
         });
 
-        // Add dynamic params from environment
-        url.searchParams.append('parts.0', this.partNumber);
-        url.searchParams.append('store', this.storeNumber);
+        // Add dynamic params for the watched parts and store
+        partNumbers.forEach((partNumber, index) => {
+            url.searchParams.append(`parts.${index}`, partNumber);
+        });
+        url.searchParams.append('store', storeNumber);
 
         return url.toString();
     }
 
-    /**
-     * Initialize browser instance with anti-detection measures
-     */
-    async _initBrowser() {
-        if (!this.browser) {
-            this.browser = await chromium.launch({
-                headless: true,
-                args: [
-                    '--disable-blink-features=AutomationControlled',
-                    '--disable-dev-shm-usage',
-                    '--no-sandbox',
-                    '--disable-setuid-sandbox',
-                    '--disable-infobars',
-                    '--window-size=1920,1080',
-                    '--disable-web-security',
-                    '--disable-features=IsolateOrigins,site-per-process',
-                ],
-            });
-
-            // Use realistic browser fingerprint
-            const userAgents = [
-                'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-                'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36',
-                'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-            ];
-            const randomUA = userAgents[Math.floor(Math.random() * userAgents.length)];
-
-            this.context = await this.browser.newContext({
-                userAgent: randomUA,
-                viewport: { width: 1920, height: 1080 },
-                locale: 'en-US',
-                timezoneId: 'Asia/Kuala_Lumpur',
-                extraHTTPHeaders: {
-                    'Accept-Language': 'en-US,en;q=0.9',
-                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
-                    'Accept-Encoding': 'gzip, deflate, br',
-                    'Sec-Fetch-Dest': 'document',
-                    'Sec-Fetch-Mode': 'navigate',
-                    'Sec-Fetch-Site': 'none',
-                    'Sec-Fetch-User': '?1',
-                    'Upgrade-Insecure-Requests': '1',
-                },
-                javaScriptEnabled: true,
-                bypassCSP: false,
-                ignoreHTTPSErrors: false,
-            });
-
-            // Add comprehensive init scripts to mask automation
-            await this.context.addInitScript(() => {
-                // Override navigator.webdriver
-                Object.defineProperty(navigator, 'webdriver', {
-                    get: () => false,
-                });
-
-                // Add chrome object with more realistic properties
-                window.chrome = {
-                    runtime: {},
-                    loadTimes: function() {},
-                    csi: function() {},
-                    app: {},
-                };
-
-                // Override plugins to appear more realistic
-                Object.defineProperty(navigator, 'plugins', {
-                    get: () => [1, 2, 3, 4, 5],
-                });
-
-                // Override languages
-                Object.defineProperty(navigator, 'languages', {
-                    get: () => ['en-US', 'en'],
-                });
-
-                // Mock permissions
-                const originalQuery = window.navigator.permissions.query;
-                window.navigator.permissions.query = (parameters) => (
-                    parameters.name === 'notifications' ?
-                        Promise.resolve({ state: Notification.permission }) :
-                        originalQuery(parameters)
-                );
-
-                // Override battery API
-                delete navigator.getBattery;
-
-                // Add more realistic platform info
-                Object.defineProperty(navigator, 'platform', {
-                    get: () => 'Win32',
-                });
-
-                // Add connection info
-                Object.defineProperty(navigator, 'connection', {
-                    get: () => ({
-                        effectiveType: '4g',
-                        rtt: 50,
-                        downlink: 10,
-                        saveData: false,
-                    }),
-                });
-            });
-        }
-    }
-
-    /**
-     * Close browser instance
-     */
-    async _closeBrowser() {
-        if (this.context) {
-            await this.context.close();
-            this.context = null;
-        }
-        if (this.browser) {
-            await this.browser.close();
-            this.browser = null;
-        }
-    }
-
     /**
      * Clean up browser resources (public method for external cleanup)
      */
     async cleanup() {
-        await this._closeBrowser();
-        logger.debug('Browser cleanup completed');
+        await getFetcher('browser').cleanup();
     }
 
     /**
-     * Generate random delay for human-like behavior
+     * Fetch availability of several parts at one store
+     * @param {string} storeNumber - Store to query
+     * @param {string[]} partNumbers - Parts to query in a single request
+     * @param {string} strategy - Fetch strategy: http, browser, or auto
+     *   (plain HTTP first, falling back to the browser when it fails)
+     * @param {string} regionCode - Storefront the store belongs to, e.g. "sg"
+     * @returns {Promise<{storeNumber: string, storeName: string, parts: Object, rawData: Object}>}
      */
-    _randomDelay(min = 2000, max = 5000) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
-    }
+    async checkAvailability(storeNumber, partNumbers, strategy = 'browser', regionCode = config.watchDefaults.region) {
+        const region = getRegion(regionCode);
+        const url = this._buildUrl(region, storeNumber, partNumbers);
+        logger.debug(`Fetching availability from: ${url} (${strategy})`);
+
+        if (strategy !== 'auto') {
+            const fetcher = getFetcher(strategy);
+            return await this._fetchWith(fetcher, url, region, storeNumber, partNumbers, 0, fetcher.maxRetries);
+        }
 
-    /**
-     * Simulate mouse movement for human-like behavior
-     */
-    async _simulateHumanBehavior(page) {
         try {
-            // Random scroll
-            await page.evaluate(() => {
-                window.scrollBy(0, Math.random() * 300);
-            });
-            await page.waitForTimeout(500 + Math.random() * 500);
-
-            // Random mouse movement
-            const x = Math.floor(Math.random() * 1000);
-            const y = Math.floor(Math.random() * 600);
-            await page.mouse.move(x, y);
+            // A single plain attempt; retries are left to the browser
+            return await this._fetchWith(getFetcher('http'), url, region, storeNumber, partNumbers, 0, 0);
         } catch (error) {
-            // Silently ignore errors in simulation
+            logger.warn(`Plain HTTP fetch failed (${error.message}), falling back to browser`);
+            return await this._fetchWith(getFetcher('browser'), url, region, storeNumber, partNumbers);
         }
     }
 
     /**
-     * Fetch availability from Apple Store API using Playwright
+     * Fetch and parse the API response with one strategy, retrying on
+     * bot detection (HTTP 541) and network errors
+     * @param {Object} fetcher - Fetch strategy
+     * @param {string} url - API URL
+     * @param {Object} region - Storefront from getRegion()
+     * @param {string} storeNumber - Store that is queried
+     * @param {string[]} partNumbers - Parts that are queried
      * @param {number} retryCount - Current retry attempt
-     * @returns {Promise<{available: boolean, message: string, rawData: Object}>}
+     * @param {number} maxRetries - Maximum retry attempts
      */
-    async checkAvailability(retryCount = 0) {
-        const maxRetries = 3;
-        let page = null;
-
+    async _fetchWith(fetcher, url, region, storeNumber, partNumbers, retryCount = 0, maxRetries = 3) {
         try {
-            await this._initBrowser();
-
-            const url = this._buildUrl();
-            logger.debug(`Fetching availability from: ${url}`);
-
-            page = await this.context.newPage();
-
-            // Block unnecessary resources to reduce detection
-            await page.route('**/*', (route) => {
-                const resourceType = route.request().resourceType();
-                if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
-                    route.abort();
-                } else {
-                    route.continue();
-                }
-            });
-
-            // Visit Apple homepage first to establish a session and get cookies
-            logger.debug('Establishing session by visiting Apple homepage...');
-            await page.goto('https://www.apple.com/my/', {
-                waitUntil: 'domcontentloaded',
-                timeout: 45000,
-            });
-
-            // Simulate human behavior on homepage
-            await page.waitForTimeout(this._randomDelay(1500, 3000));
-            await this._simulateHumanBehavior(page);
-
-            // Navigate to iPhone shop page
-            logger.debug('Navigating to iPhone shop page...');
-            await page.goto('https://www.apple.com/my/shop/buy-iphone', {
-                waitUntil: 'domcontentloaded',
-                timeout: 45000,
-            });
-
-            // More human-like interaction
-            await page.waitForTimeout(this._randomDelay(2000, 4000));
-            await this._simulateHumanBehavior(page);
-
-            // Set up request interception to capture the API response
-            let apiResponse = null;
-            page.on('response', async (response) => {
-                if (response.url().includes('fulfillment-messages')) {
-                    apiResponse = response;
-                }
-            });
-
-            // Now navigate to the API endpoint
-            logger.debug('Fetching stock availability...');
-            await page.goto(url, {
-                waitUntil: 'networkidle',
-                timeout: 45000,
-            });
-
-            // Wait for the response to be fully captured
-            await page.waitForTimeout(3000);
-
-            if (!apiResponse) {
-                throw new Error('No API response captured');
+            const { statusCode, data } = await fetcher.fetchJson(url, region);
+            if (fetcher.name !== 'replay') {
+                await fixtureRecorder.record({
+                    url,
+                    fetcher: fetcher.name,
+                    region: region.code,
+                    storeNumber,
+                    partNumbers,
+                    statusCode,
+                    data,
+                });
             }
 
-            const statusCode = apiResponse.status();
             if (statusCode !== 200) {
                 logger.error(`Apple API returned status ${statusCode}`);
 
@@ -262,38 +106,39 @@ class AppleStoreService {
                 if (statusCode === 541 && retryCount < maxRetries) {
                     const retryDelay = (retryCount + 1) * 10000; // Exponential backoff: 10s, 20s, 30s
                     logger.warn(`Bot detected (541). Retrying in ${retryDelay / 1000}s (attempt ${retryCount + 1}/${maxRetries})...`);
+                    metricsService.recordRetry(fetcher.name, 'http_541');
 
-                    // Close current page and browser to reset session
-                    if (page) await page.close();
-                    await this._closeBrowser();
+                    // Reset the session before retrying
+                    await fetcher.cleanup();
 
                     // Wait before retry
                     await new Promise(resolve => setTimeout(resolve, retryDelay));
 
-                    // Retry with fresh browser instance
-                    return await this.checkAvailability(retryCount + 1);
+                    // Retry with a fresh session
+                    return await this._fetchWith(fetcher, url, region, storeNumber, partNumbers, retryCount + 1, maxRetries);
                 }
 
                 throw new Error(`Apple API responded with status ${statusCode}`);
             }
 
-            const data = await apiResponse.json();
-            logger.info('Successfully fetched stock data');
-            return this._parseResponse(data);
+            logger.info(`Successfully fetched stock data (${fetcher.name})`);
+            const result = this._parseResponse(data, storeNumber, partNumbers, region.timezone);
+            storeDirectory.learnFromResponse(data, region.code);
+            return result;
 
         } catch (error) {
-            logger.error('Failed to fetch Apple Store API', error);
+            logger.error(`Failed to fetch Apple Store API (${fetcher.name})`, error);
 
             // Retry logic for network errors
             if (!error.message.includes('status') && retryCount < maxRetries) {
                 const retryDelay = (retryCount + 1) * 5000; // 5s, 10s, 15s
                 logger.warn(`Network error. Retrying in ${retryDelay / 1000}s (attempt ${retryCount + 1}/${maxRetries})...`);
+                metricsService.recordRetry(fetcher.name, 'network');
 
-                if (page) await page.close();
-                await this._closeBrowser();
+                await fetcher.cleanup();
 
                 await new Promise(resolve => setTimeout(resolve, retryDelay));
-                return await this.checkAvailability(retryCount + 1);
+                return await this._fetchWith(fetcher, url, region, storeNumber, partNumbers, retryCount + 1, maxRetries);
             }
 
             if (error.message.includes('status')) {
@@ -303,62 +148,249 @@ class AppleStoreService {
             } else {
                 throw new Error(`Request failed: ${error.message}`);
             }
-        } finally {
-            if (page) {
-                await page.close();
+        }
+    }
+
+    /**
+     * Convert a store's reported distance to kilometres
+     * @param {Object} store - Store entry from the API response
+     * @returns {number|null} Distance in km, or null when not reported
+     */
+    _parseDistanceKm(store) {
+        const distance = parseFloat(store.storedistance);
+        if (Number.isNaN(distance)) {
+            return null;
+        }
+
+        // US storefronts report miles
+        const unit = String(store.storeDistanceWithUnit || '').toLowerCase();
+        return unit.includes('mi') ? Math.round(distance * 1.609344 * 10) / 10 : distance;
+    }
+
+    /**
+     * Extract one part's pickup quote at one store
+     * @param {Object} store - Store entry from the API response
+     * @param {string} partNumber - Part to extract
+     * @returns {Object|null} Store availability, or null when the part is not listed
+     */
+    _parseStorePart(store, partNumber) {
+        const partData = (store.partsAvailability || {})[partNumber];
+        if (!partData) {
+            return null;
+        }
+
+        // Extract pickupSearchQuote
+        const pickupSearchQuote = partData.pickupSearchQuote || '';
+        const storePickupQuote = partData.storePickupQuote || '';
+
+        // Determine availability with the configured status rules
+        const { status, available } = ruleEngine.classify(partData);
+
+        return {
+            storeNumber: store.storeNumber,
+            storeName: store.storeName || 'Unknown Store',
+            distanceKm: this._parseDistanceKm(store),
+            pickupSearchQuote,
+            storePickupQuote,
+            pickupDisplay: partData.pickupDisplay || null,
+            pickupType: partData.pickupType || null,
+            status,
+            available,
+            message: pickupSearchQuote || storePickupQuote || 'Unknown status',
+        };
+    }
+
+    /**
+     * Read one delivery message type (regular or compact) of a part
+     * @param {Object|undefined} message - deliveryMessage entry for the type
+     * @returns {Object} { quote, date, shippingCost, buyable }
+     */
+    _parseDeliveryMessage(message) {
+        if (!message) {
+            return { quote: null, date: null, shippingCost: null, buyable: null };
+        }
+
+        const option = (message.deliveryOptions || [])[0] || {};
+        const buyable = message.buyability ? message.buyability.isBuyable : message.isBuyable;
+        return {
+            quote: ((message.deliveryOptionMessages || [])[0] || {}).displayName || null,
+            date: option.date || null,
+            shippingCost: option.shippingCost || null,
+            buyable: typeof buyable === 'boolean' ? buyable : null,
+        };
+    }
+
+    /**
+     * Estimate how many days away a delivery quote is: "Delivers Tue 21 Oct",
+     * "Delivers 21 Oct – 23 Oct", "Ships in 1–2 weeks", "Delivers tomorrow".
+     * Ranges count by their latest day. Dates win over spans, and both over
+     * the words "tomorrow" and "today".
+     * @param {string|null} text - Quote or delivery date
+     * @param {string} timezone - Timezone of the storefront
+     * @param {Date} now - Time the quote was read
+     * @returns {number|null} Days from today, or null when the text has no estimate
+     */
+    _estimateDeliveryDays(text, timezone, now = new Date()) {
+        if (!text) {
+            return null;
+        }
+
+        const value = String(text).toLowerCase();
+
+        // Day and month in either order, e.g. "21 Oct" or "Oct 21"
+        const months = MONTHS.join('|');
+        const pattern = new RegExp(`\\b(\\d{1,2})\\s+(${months})[a-z]*\\b|\\b(${months})[a-z]*\\.?\\s+(\\d{1,2})\\b`, 'g');
+        const [year, month, day] = zonedTime(now, timezone).date.split('-').map(Number);
+        const today = Date.UTC(year, month - 1, day);
+
+        const days = [...value.matchAll(pattern)].map((match) => {
+            const monthIndex = MONTHS.indexOf(match[2] || match[3]);
+            const date = Number(match[1] || match[4]);
+            let time = Date.UTC(year, monthIndex, date);
+            // A date well in the past is in the next year, e.g. "2 Jan" read in December
+            if (time < today - 60 * DAY_MS) {
+                time = Date.UTC(year + 1, monthIndex, date);
             }
+            return Math.max(0, Math.round((time - today) / DAY_MS));
+        });
+        if (days.length > 0) {
+            return Math.max(...days);
+        }
+
+        const span = value.match(/(\d+)(?:\s*[–-]\s*(\d+))?\s*(?:business\s+)?(day|week)s?\b/);
+        if (span) {
+            return Number(span[2] || span[1]) * (span[3] === 'week' ? 7 : 1);
+        }
+
+        // Words come last, as "today" also appears in "Order today, delivers Oct 24"
+        if (/\btomorrow\b/.test(value)) {
+            return 1;
+        }
+        if (/\btoday\b/.test(value)) {
+            return 0;
+        }
+        return null;
+    }
+
+    /**
+     * Parse a part's delivery quote from the regular and compact delivery
+     * messages and classify it with the delivery rules
+     * @param {Object} data - API response data
+     * @param {string} partNumber - Part to extract
+     * @param {string} timezone - Timezone of the storefront
+     * @returns {Object|null} Delivery details with status and available, or
+     *   null when the response has no delivery message for the part
+     */
+    _parseDelivery(data, partNumber, timezone) {
+        const delivery = data.body?.content?.deliveryMessage?.[partNumber];
+        if (!delivery || (!delivery.regular && !delivery.compact)) {
+            return null;
         }
+
+        const regular = this._parseDeliveryMessage(delivery.regular);
+        const compact = this._parseDeliveryMessage(delivery.compact);
+        const quote = regular.quote || compact.quote;
+        const days = [regular.date, regular.quote, compact.date, compact.quote]
+            .map(text => this._estimateDeliveryDays(text, timezone))
+            .find(estimate => estimate !== null);
+
+        const fields = {
+            quote,
+            compactQuote: compact.quote,
+            date: regular.date || compact.date,
+            days: days === undefined ? null : days,
+            shippingCost: regular.shippingCost || compact.shippingCost,
+            buyable: regular.buyable !== null ? regular.buyable : compact.buyable,
+            regular,
+            compact,
+        };
+        const { status, available } = ruleEngine.classifyDelivery(fields);
+
+        return { ...fields, status, available, message: quote || 'No delivery quote' };
     }
 
     /**
-     * Parse API response and extract availability status
+     * Parse API response and extract availability status for each part
      * @param {Object} data - API response data
-     * @returns {Object} Parsed availability information
+     * @param {string} storeNumber - Store that was queried
+     * @param {string[]} partNumbers - Parts that were queried
+     * @param {string} timezone - Timezone of the storefront, for delivery estimates
+     * @returns {Object} Parsed availability information keyed by part number,
+     *   each entry listing every store returned by the searchNearby response
+     *   and the part's delivery quote
      */
-    _parseResponse(data) {
+    _parseResponse(data, storeNumber, partNumbers, timezone = 'UTC') {
         try {
             // Navigate through the response structure to find pickupSearchQuote
             const stores = data.body?.content?.pickupMessage?.stores || [];
+            const parts = {};
 
             if (stores.length === 0) {
                 logger.warn('No stores found in API response');
-                return {
-                    available: false,
-                    message: 'No store data available',
-                    rawData: data,
-                };
+                partNumbers.forEach((partNumber) => {
+                    parts[partNumber] = {
+                        partNumber,
+                        storeNumber,
+                        status: ruleEngine.defaultStatus,
+                        available: false,
+                        message: 'No store data available',
+                        delivery: this._parseDelivery(data, partNumber, timezone),
+                        stores: [],
+                    };
+                });
+                return { storeNumber, storeName: 'Unknown Store', parts, rawData: data };
             }
 
-            // Get the first store's data (should match our store number)
-            const store = stores[0];
-            const partsAvailability = store.partsAvailability || {};
-            const partData = partsAvailability[this.partNumber];
-
-            if (!partData) {
-                logger.warn(`Part ${this.partNumber} not found in response`);
-                return {
-                    available: false,
-                    message: 'Part not found in store data',
-                    rawData: data,
-                };
-            }
+            // Prefer the queried store; nearby stores follow it in the list
+            const store = stores.find(entry => entry.storeNumber === storeNumber) || stores[0];
+            const storeName = store.storeName || 'Unknown Store';
+
+            partNumbers.forEach((partNumber) => {
+                const storeResults = stores
+                    .map(entry => this._parseStorePart(entry, partNumber))
+                    .filter(Boolean);
+                const home = storeResults.find(entry => entry.storeNumber === store.storeNumber);
+
+                if (!home) {
+                    logger.warn(`Part ${partNumber} not found in response`);
+                    parts[partNumber] = {
+                        partNumber,
+                        storeNumber,
+                        storeName,
+                        status: ruleEngine.defaultStatus,
+                        available: false,
+                        message: 'Part not found in store data',
+                        delivery: this._parseDelivery(data, partNumber, timezone),
+                        stores: storeResults,
+                    };
+                    return;
+                }
 
-            // Extract pickupSearchQuote
-            const pickupSearchQuote = partData.pickupSearchQuote || '';
-            const storePickupQuote = partData.storePickupQuote || '';
+                logger.info(`Stock status for ${partNumber}: ${home.message}`);
+                logger.debug(`Status: ${home.status} (available: ${home.available})`);
 
-            // Determine availability based on the quote
-            const available = pickupSearchQuote.toLowerCase().includes('available today');
+                const nearbyCount = storeResults.filter(entry => entry.available).length;
+                if (nearbyCount > 0) {
+                    logger.debug(`${partNumber} available at ${nearbyCount} of ${storeResults.length} stores`);
+                }
 
-            logger.info(`Stock status: ${pickupSearchQuote || storePickupQuote}`);
-            logger.info(`Available: ${available} (checking for "available today" in "${pickupSearchQuote.toLowerCase()}")`);
+                parts[partNumber] = {
+                    partNumber,
+                    storeNumber,
+                    storeName,
+                    status: home.status,
+                    available: home.available,
+                    message: home.message,
+                    pickupSearchQuote: home.pickupSearchQuote,
+                    storePickupQuote: home.storePickupQuote,
+                    pickupDisplay: home.pickupDisplay,
+                    pickupType: home.pickupType,
+                    delivery: this._parseDelivery(data, partNumber, timezone),
+                    stores: storeResults,
+                };
+            });
 
-            return {
-                available,
-                message: pickupSearchQuote || storePickupQuote || 'Unknown status',
-                storeName: store.storeName || 'Unknown Store',
-                rawData: data,
-            };
+            return { storeNumber, storeName, parts, rawData: data };
         } catch (error) {
             logger.error('Failed to parse API response', error);
             throw new Error(`Response parsing failed: ${error.message}`);
@@ -0,0 +1,154 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Per-watch circuit breaker.
+ * After a number of failed checks in a row a watch's circuit opens and its
+ * scheduled checks stop for a cooldown. The next check after that is a
+ * half-open trial: success closes the circuit, failure opens it again for
+ * another cooldown.
+ */
+class CircuitBreaker {
+    constructor() {
+        // Circuit state per watch id
+        this.circuits = new Map();
+        this.configure(config.monitoring.circuitBreaker);
+    }
+
+    /**
+     * Apply circuit breaker options. Circuits that are open stay open until
+     * their current cooldown ends; disabling the breaker closes them all.
+     * @param {Object|null} options - { openAfterFailures, cooldownMinutes },
+     *   or null when disabled
+     * @returns {string[]} Ids of the watches whose circuit was closed
+     */
+    configure(options) {
+        this.options = options;
+
+        // Without options a failed half-open trial could never reopen or close
+        const closed = [];
+        if (!options) {
+            this.circuits.forEach((circuit, watchId) => {
+                if (circuit.state !== 'closed') {
+                    Object.assign(circuit, { state: 'closed', openedAt: null, retryAt: null });
+                    closed.push(watchId);
+                }
+            });
+        }
+        return closed;
+    }
+
+    _circuitFor(watchId) {
+        if (!this.circuits.has(watchId)) {
+            this.circuits.set(watchId, {
+                state: 'closed',
+                openedAt: null,
+                retryAt: null,
+                trips: 0,
+            });
+        }
+        return this.circuits.get(watchId);
+    }
+
+    /**
+     * Whether a watch's circuit is open
+     * @param {string} watchId - Watch id
+     * @returns {boolean}
+     */
+    isOpen(watchId) {
+        const circuit = this.circuits.get(watchId);
+        return Boolean(circuit && circuit.state === 'open');
+    }
+
+    /**
+     * Earliest time a watch with an open circuit is checked again
+     * @param {string} watchId - Watch id
+     * @returns {number|null} Epoch milliseconds, null unless open
+     */
+    retryAt(watchId) {
+        return this.isOpen(watchId) ? this.circuits.get(watchId).retryAt : null;
+    }
+
+    /**
+     * Note that a watch is about to be checked. A check of an open circuit
+     * is its half-open trial.
+     * @param {string} watchId - Watch id
+     */
+    beforeCheck(watchId) {
+        if (this.isOpen(watchId)) {
+            this.circuits.get(watchId).state = 'half-open';
+            logger.info(`[${watchId}] Circuit half-open, trying one check`);
+        }
+    }
+
+    /**
+     * Record a successful check, closing the circuit
+     * @param {string} watchId - Watch id
+     */
+    recordSuccess(watchId) {
+        const circuit = this.circuits.get(watchId);
+        if (circuit && circuit.state !== 'closed') {
+            logger.info(`[${watchId}] Circuit closed, checks are back on schedule`);
+        }
+        if (circuit) {
+            Object.assign(circuit, { state: 'closed', openedAt: null, retryAt: null });
+        }
+    }
+
+    /**
+     * Record a failed check, opening the circuit when the watch failed too
+     * often in a row or its half-open trial failed
+     * @param {string} watchId - Watch id
+     * @param {number} failures - Consecutive failed checks including this one
+     * @returns {boolean} True when the circuit opened
+     */
+    recordFailure(watchId, failures) {
+        if (!this.options) {
+            return false;
+        }
+
+        const circuit = this._circuitFor(watchId);
+        if (circuit.state !== 'half-open' && failures < this.options.openAfterFailures) {
+            return false;
+        }
+
+        const now = Date.now();
+        Object.assign(circuit, {
+            state: 'open',
+            openedAt: new Date(now).toISOString(),
+            retryAt: now + this.options.cooldownMinutes * 60000,
+            trips: circuit.trips + 1,
+        });
+        logger.warn(`[${watchId}] Circuit open after ${failures} failed checks, pausing checks for ${this.options.cooldownMinutes} minutes`);
+        return true;
+    }
+
+    /**
+     * Forget a removed watch
+     * @param {string} watchId - Watch id
+     */
+    removeWatch(watchId) {
+        this.circuits.delete(watchId);
+    }
+
+    /**
+     * Circuit state of one watch for /status and /health
+     * @param {string} watchId - Watch id
+     * @returns {{state: string, openedAt: string|null, retryAt: string|null, trips: number}}
+     */
+    getWatchStatus(watchId) {
+        const circuit = this.circuits.get(watchId);
+        if (!circuit) {
+            return { state: 'closed', openedAt: null, retryAt: null, trips: 0 };
+        }
+
+        return {
+            state: circuit.state,
+            openedAt: circuit.openedAt,
+            retryAt: circuit.retryAt ? new Date(circuit.retryAt).toISOString() : null,
+            trips: circuit.trips,
+        };
+    }
+}
+
+module.exports = new CircuitBreaker();
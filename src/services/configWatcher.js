@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const config = require('../config/config');
+const { loadConfig } = require('../config/load');
+const { loadCatalogue } = require('../config/catalogue');
+const { loadStores } = require('../config/stores');
+const logger = require('../utils/logger');
+const ruleEngine = require('./ruleEngine');
+const pushoverService = require('./pushoverService');
+const monitoringService = require('./monitoringService');
+
+// Editors often save in several steps; reload once the file settles
+const DEBOUNCE_MS = 500;
+
+// Blocks read once at startup; changing them needs a restart.
+// appleStore is reloaded, as the watch defaults derive from it.
+const RESTART_BLOCKS = ['server', 'storage', 'notifications', 'fixtures'];
+
+/**
+ * Watches config.yml and applies valid changes without a restart: the
+ * logger, Pushover, status and alert rules, the monitoring schedule,
+ * appleStore with the watch defaults it sets, and the watch list. An edit
+ * that fails validation or cannot be applied is rejected with every
+ * problem logged, and the last good configuration stays in effect.
+ * Emits `reloaded` with the new configuration and `rejected` with the
+ * error.
+ */
+class ConfigWatcher extends EventEmitter {
+    constructor() {
+        super();
+        this.watcher = null;
+        this.timer = null;
+        this.lastContents = null;
+    }
+
+    /**
+     * Log startup warnings and start watching the configuration file
+     */
+    start() {
+        config.warnings.forEach(warning => logger.warn(`Config: ${warning}`));
+        if (this.watcher) {
+            return;
+        }
+
+        this.lastContents = this._readContents();
+        // Watch the directory, as saving by rename replaces the file itself
+        const fileName = path.basename(config.file);
+        try {
+            this.watcher = fs.watch(path.dirname(config.file), (eventType, changed) => {
+                if (changed === fileName) {
+                    this._scheduleReload();
+                }
+            });
+        } catch (error) {
+            logger.error(`Cannot watch ${config.file}, changes need a restart`, error);
+            return;
+        }
+        this.watcher.unref();
+        logger.info(`Watching ${config.file} for changes`);
+    }
+
+    /**
+     * Stop watching the configuration file
+     */
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    _readContents() {
+        try {
+            return fs.readFileSync(config.file, 'utf8');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    _scheduleReload() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            const contents = this._readContents();
+            if (contents !== null && contents !== this.lastContents) {
+                this.lastContents = contents;
+                this.reload();
+            }
+        }, DEBOUNCE_MS);
+        this.timer.unref();
+    }
+
+    /**
+     * Log a rejected reload and keep the last good configuration
+     * @returns {boolean} Always false, for reload()
+     */
+    _reject(error) {
+        // Loading replaced the catalogue and store directory; put back the last good ones
+        loadCatalogue(config.catalogue.file);
+        loadStores(config.storage.storesFile);
+
+        const errors = error.errors || [error.message];
+        logger.error(`Rejected changes to ${config.file}, keeping the last good configuration`, null, { errors });
+        errors.forEach(message => logger.error(`Config: ${message}`));
+        this.emit('rejected', error);
+        return false;
+    }
+
+    /**
+     * Make a configuration the current one and apply it to the services
+     */
+    _apply(next) {
+        // Replace the contents in place, since every module holds this object
+        Object.keys(config).forEach((key) => {
+            delete config[key];
+        });
+        Object.assign(config, next);
+
+        logger.configure(config.logging);
+        pushoverService.configure(config.pushover);
+        monitoringService.applyConfig();
+    }
+
+    /**
+     * Load the configuration file again and apply it when it is valid
+     * @returns {boolean} Whether the new configuration was applied
+     */
+    reload() {
+        let next;
+        let restartNeeded;
+        try {
+            next = loadConfig(config.file);
+            restartNeeded = RESTART_BLOCKS.filter(key => JSON.stringify(next[key]) !== JSON.stringify(config[key]));
+            if (restartNeeded.includes('storage')) {
+                // Watches and stores come from the files the running monitor writes
+                next = loadConfig(config.file, { storage: config.storage });
+            }
+            ruleEngine.load(next.rules);
+        } catch (error) {
+            return this._reject(error);
+        }
+
+        restartNeeded.forEach((key) => {
+            next[key] = config[key];
+        });
+
+        const previous = { ...config };
+        try {
+            this._apply(next);
+        } catch (error) {
+            // Undo whatever was applied before the failure
+            try {
+                ruleEngine.load(previous.rules);
+                this._apply(previous);
+            } catch (restoreError) {
+                logger.error('Failed to restore the last good configuration', restoreError);
+            }
+            return this._reject(error);
+        }
+
+        logger.info(`Reloaded ${config.file}`);
+        config.warnings.forEach(warning => logger.warn(`Config: ${warning}`));
+        if (restartNeeded.length > 0) {
+            logger.warn(`Changes to ${restartNeeded.join(', ')} take effect after a restart`);
+        }
+        this.emit('reloaded', config);
+        return true;
+    }
+}
+
+module.exports = new ConfigWatcher();
@@ -0,0 +1,200 @@
+/**
+ * Types of change found between two snapshots of a watched part
+ */
+const CHANGE_TYPES = {
+    BECAME_AVAILABLE: 'became-available',
+    BECAME_UNAVAILABLE: 'became-unavailable',
+    // Same availability, different status, e.g. "moved to tomorrow"
+    STATUS_CHANGED: 'status-changed',
+    PICKUP_QUOTE_CHANGED: 'pickup-quote-changed',
+    PICKUP_TYPE_CHANGED: 'pickup-type-changed',
+    // The delivery quote moved to another delivery status, e.g. "delivery-soon"
+    DELIVERY_STATUS_CHANGED: 'delivery-status-changed',
+    DELIVERY_QUOTE_CHANGED: 'delivery-quote-changed',
+    STORE_ADDED: 'store-added',
+    STORE_REMOVED: 'store-removed',
+};
+
+/**
+ * Status name of a snapshot.
+ * Baselines saved before status rules existed only have `available`.
+ * @param {Object} snapshot - Snapshot or last known status
+ * @returns {string}
+ */
+function statusOf(snapshot) {
+    return snapshot.status || (snapshot.available ? 'available' : 'unavailable');
+}
+
+/**
+ * Snapshot of a watch's stock data, saved as its baseline and compared
+ * with the next check
+ * @param {Object} stockData - Resolved stock data of the watched part
+ * @returns {Object} { status, available, message, storeNumber, storeName,
+ *   pickupType, delivery, stores }
+ */
+function snapshotOf(stockData) {
+    return {
+        status: stockData.status,
+        available: stockData.available,
+        message: stockData.message,
+        // Stock found at a nearby store is reported for that store
+        storeNumber: stockData.nearbyStore ? stockData.nearbyStore.storeNumber : stockData.storeNumber || null,
+        storeName: stockData.storeName,
+        pickupType: stockData.pickupType || null,
+        delivery: stockData.delivery
+            ? {
+                status: stockData.delivery.status,
+                available: stockData.delivery.available,
+                quote: stockData.delivery.quote,
+                days: stockData.delivery.days,
+            }
+            : null,
+        stores: stockData.stores || [],
+    };
+}
+
+/**
+ * Readable one-line description of a change, without the store name
+ * @param {Object} change - Change event
+ * @returns {string}
+ */
+function describeChange(change) {
+    switch (change.type) {
+        case CHANGE_TYPES.BECAME_AVAILABLE:
+            return `became available (${change.message})`;
+        case CHANGE_TYPES.BECAME_UNAVAILABLE:
+            return `became unavailable (${change.message})`;
+        case CHANGE_TYPES.STATUS_CHANGED:
+            return `moved to ${change.to} (${change.message})`;
+        case CHANGE_TYPES.PICKUP_QUOTE_CHANGED:
+            return `pickup quote changed from "${change.from}" to "${change.to}"`;
+        case CHANGE_TYPES.PICKUP_TYPE_CHANGED:
+            return `pickup type changed from ${change.from || 'none'} to ${change.to || 'none'}`;
+        case CHANGE_TYPES.DELIVERY_STATUS_CHANGED:
+            return `delivery moved to ${change.to || 'none'} (${change.message || 'no delivery quote'})`;
+        case CHANGE_TYPES.DELIVERY_QUOTE_CHANGED:
+            return `delivery quote changed from "${change.from || 'none'}" to "${change.to || 'none'}"`;
+        case CHANGE_TYPES.STORE_ADDED:
+            return `appeared in nearby stores (${change.message})`;
+        case CHANGE_TYPES.STORE_REMOVED:
+            return 'disappeared from nearby stores';
+        default:
+            return change.type;
+    }
+}
+
+/**
+ * Build a change event with its summary
+ */
+function change(type, scope, { storeNumber = null, storeName = null, from = null, to = null, message = null }) {
+    const event = { type, scope, storeNumber, storeName, from, to, message };
+    const description = describeChange(event);
+    event.summary = storeName
+        ? `${storeName}: ${description}`
+        : description.charAt(0).toUpperCase() + description.slice(1);
+    return event;
+}
+
+/**
+ * Availability, status or quote change between two results at one store
+ * @returns {Object|null} Change event
+ */
+function compareQuotes(scope, previous, current, store) {
+    const details = { ...store, message: current.message };
+    if (Boolean(previous.available) !== Boolean(current.available)) {
+        const type = current.available ? CHANGE_TYPES.BECAME_AVAILABLE : CHANGE_TYPES.BECAME_UNAVAILABLE;
+        return change(type, scope, { ...details, from: statusOf(previous), to: statusOf(current) });
+    }
+    if (statusOf(previous) !== statusOf(current)) {
+        return change(CHANGE_TYPES.STATUS_CHANGED, scope, { ...details, from: statusOf(previous), to: statusOf(current) });
+    }
+    if (previous.message !== current.message) {
+        return change(CHANGE_TYPES.PICKUP_QUOTE_CHANGED, scope, { ...details, from: previous.message, to: current.message });
+    }
+    return null;
+}
+
+/**
+ * Compare a watch's baseline with its latest snapshot. Events come in
+ * this order: the watch's own result (scope "watch"), each store in the
+ * response (scope "store"), then the part's delivery status or quote
+ * (scope "part").
+ * The store the watch's result comes from only reports pickup type
+ * changes at store scope, as its other changes are the watch's own.
+ * Baselines saved before a field was recorded skip that comparison.
+ * @param {Object} previous - Last known status
+ * @param {Object} current - Snapshot from snapshotOf()
+ * @returns {Object[]} Change events: { type, scope, storeNumber, storeName,
+ *   from, to, message, summary }
+ */
+function diffSnapshots(previous, current) {
+    const changes = [];
+
+    const watchChange = compareQuotes('watch', previous, current, {
+        storeNumber: current.storeNumber,
+        storeName: current.storeName,
+    });
+    if (watchChange) {
+        changes.push(watchChange);
+    }
+
+    if (Array.isArray(previous.stores)) {
+        const before = new Map(previous.stores.map(store => [store.storeNumber, store]));
+        const after = new Set(current.stores.map(store => store.storeNumber));
+
+        current.stores.forEach((store) => {
+            const details = { storeNumber: store.storeNumber, storeName: store.storeName };
+            const old = before.get(store.storeNumber);
+            if (!old) {
+                changes.push(change(CHANGE_TYPES.STORE_ADDED, 'store', { ...details, message: store.message }));
+                return;
+            }
+            if (store.storeNumber !== current.storeNumber) {
+                const quoteChange = compareQuotes('store', old, store, details);
+                if (quoteChange) {
+                    changes.push(quoteChange);
+                }
+            }
+            if ((old.pickupType || null) !== (store.pickupType || null)) {
+                changes.push(change(CHANGE_TYPES.PICKUP_TYPE_CHANGED, 'store', {
+                    ...details,
+                    from: old.pickupType || null,
+                    to: store.pickupType || null,
+                    message: store.message,
+                }));
+            }
+        });
+
+        previous.stores
+            .filter(store => !after.has(store.storeNumber))
+            .forEach((store) => {
+                changes.push(change(CHANGE_TYPES.STORE_REMOVED, 'store', {
+                    storeNumber: store.storeNumber,
+                    storeName: store.storeName,
+                    message: store.message,
+                }));
+            });
+    }
+
+    if (previous.delivery !== undefined) {
+        const before = previous.delivery || { status: null, quote: null };
+        const after = current.delivery || { status: null, quote: null };
+        if (before.status !== after.status) {
+            changes.push(change(CHANGE_TYPES.DELIVERY_STATUS_CHANGED, 'part', {
+                from: before.status,
+                to: after.status,
+                message: after.quote,
+            }));
+        } else if (before.quote !== after.quote) {
+            changes.push(change(CHANGE_TYPES.DELIVERY_QUOTE_CHANGED, 'part', {
+                from: before.quote,
+                to: after.quote,
+                message: after.quote,
+            }));
+        }
+    }
+
+    return changes;
+}
+
+module.exports = { CHANGE_TYPES, statusOf, snapshotOf, describeChange, diffSnapshots };
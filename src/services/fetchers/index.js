@@ -0,0 +1,30 @@
+const httpFetcher = require('./httpFetcher');
+const playwrightFetcher = require('./playwrightFetcher');
+const replayFetcher = require('./replayFetcher');
+
+/**
+ * Available fetch strategies, keyed by the name used in config.yml.
+ * `auto` is handled by AppleStoreService: http first, then browser.
+ */
+const fetchers = {
+    http: httpFetcher,
+    browser: playwrightFetcher,
+    replay: replayFetcher,
+};
+
+const strategies = ['auto', ...Object.keys(fetchers)];
+
+/**
+ * Look up a fetch strategy by name
+ * @param {string} name - Strategy name
+ * @returns {Object} Fetcher with fetchJson(url) and cleanup()
+ */
+function getFetcher(name) {
+    const fetcher = fetchers[name];
+    if (!fetcher) {
+        throw new Error(`Unknown fetcher "${name}"`);
+    }
+    return fetcher;
+}
+
+module.exports = { getFetcher, strategies };
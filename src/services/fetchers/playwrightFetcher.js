@@ -0,0 +1,263 @@
+const { chromium } = require('playwright');
+const logger = require('../../utils/logger');
+
+/**
+ * Fetch strategy that loads the API in a headless Chromium session.
+ * Slow and heavy, but gets past Apple's bot detection most reliably.
+ */
+class PlaywrightFetcher {
+    constructor() {
+        this.name = 'browser';
+        this.browser = null;
+        // One browser context per storefront region, keyed by region code
+        this.contexts = new Map();
+    }
+
+    /**
+     * Initialize browser instance
+     */
+    async _initBrowser() {
+        if (!this.browser) {
+            this.browser = await chromium.launch({
+                headless: true,
+                args: [
+                    '--disable-blink-features=AutomationControlled',
+                    '--disable-dev-shm-usage',
+                    '--no-sandbox',
+                    '--disable-setuid-sandbox',
+                    '--disable-infobars',
+                    '--window-size=1920,1080',
+                    '--disable-web-security',
+                    '--disable-features=IsolateOrigins,site-per-process',
+                ],
+            });
+        }
+    }
+
+    /**
+     * Get the browser context for a storefront, creating it with
+     * anti-detection measures and the region's locale and timezone
+     * @param {Object} region - Storefront from getRegion()
+     */
+    async _getContext(region) {
+        await this._initBrowser();
+
+        if (!this.contexts.has(region.code)) {
+            // Use realistic browser fingerprint
+            const userAgents = [
+                'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+                'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/130.0.0.0 Safari/537.36',
+                'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+            ];
+            const randomUA = userAgents[Math.floor(Math.random() * userAgents.length)];
+
+            const context = await this.browser.newContext({
+                userAgent: randomUA,
+                viewport: { width: 1920, height: 1080 },
+                locale: region.locale,
+                timezoneId: region.timezone,
+                extraHTTPHeaders: {
+                    'Accept-Language': region.acceptLanguage,
+                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
+                    'Accept-Encoding': 'gzip, deflate, br',
+                    'Sec-Fetch-Dest': 'document',
+                    'Sec-Fetch-Mode': 'navigate',
+                    'Sec-Fetch-Site': 'none',
+                    'Sec-Fetch-User': '?1',
+                    'Upgrade-Insecure-Requests': '1',
+                },
+                javaScriptEnabled: true,
+                bypassCSP: false,
+                ignoreHTTPSErrors: false,
+            });
+
+            // Add comprehensive init scripts to mask automation
+            await context.addInitScript((languages) => {
+                // Override navigator.webdriver
+                Object.defineProperty(navigator, 'webdriver', {
+                    get: () => false,
+                });
+
+                // Add chrome object with more realistic properties
+                window.chrome = {
+                    runtime: {},
+                    loadTimes: function() {},
+                    csi: function() {},
+                    app: {},
+                };
+
+                // Override plugins to appear more realistic
+                Object.defineProperty(navigator, 'plugins', {
+                    get: () => [1, 2, 3, 4, 5],
+                });
+
+                // Override languages
+                Object.defineProperty(navigator, 'languages', {
+                    get: () => languages,
+                });
+
+                // Mock permissions
+                const originalQuery = window.navigator.permissions.query;
+                window.navigator.permissions.query = (parameters) => (
+                    parameters.name === 'notifications' ?
+                        Promise.resolve({ state: Notification.permission }) :
+                        originalQuery(parameters)
+                );
+
+                // Override battery API
+                delete navigator.getBattery;
+
+                // Add more realistic platform info
+                Object.defineProperty(navigator, 'platform', {
+                    get: () => 'Win32',
+                });
+
+                // Add connection info
+                Object.defineProperty(navigator, 'connection', {
+                    get: () => ({
+                        effectiveType: '4g',
+                        rtt: 50,
+                        downlink: 10,
+                        saveData: false,
+                    }),
+                });
+            }, region.languages);
+
+            this.contexts.set(region.code, context);
+        }
+
+        return this.contexts.get(region.code);
+    }
+
+    /**
+     * Close browser instance
+     */
+    async _closeBrowser() {
+        for (const context of this.contexts.values()) {
+            await context.close();
+        }
+        this.contexts.clear();
+        if (this.browser) {
+            await this.browser.close();
+            this.browser = null;
+        }
+    }
+
+    /**
+     * Close the browser so the next fetch starts a fresh session
+     */
+    async cleanup() {
+        await this._closeBrowser();
+        logger.debug('Browser cleanup completed');
+    }
+
+    /**
+     * Generate random delay for human-like behavior
+     */
+    _randomDelay(min = 2000, max = 5000) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Simulate mouse movement for human-like behavior
+     */
+    async _simulateHumanBehavior(page) {
+        try {
+            // Random scroll
+            await page.evaluate(() => {
+                window.scrollBy(0, Math.random() * 300);
+            });
+            await page.waitForTimeout(500 + Math.random() * 500);
+
+            // Random mouse movement
+            const x = Math.floor(Math.random() * 1000);
+            const y = Math.floor(Math.random() * 600);
+            await page.mouse.move(x, y);
+        } catch (error) {
+            // Silently ignore errors in simulation
+        }
+    }
+
+    /**
+     * Load a fulfillment-messages URL in a warmed-up browser session
+     * @param {string} url - API URL to load
+     * @param {Object} region - Storefront from getRegion()
+     * @returns {Promise<{statusCode: number, data: Object}>}
+     */
+    async fetchJson(url, region) {
+        let page = null;
+
+        try {
+            const context = await this._getContext(region);
+
+            page = await context.newPage();
+
+            // Block unnecessary resources to reduce detection
+            await page.route('**/*', (route) => {
+                const resourceType = route.request().resourceType();
+                if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
+                    route.abort();
+                } else {
+                    route.continue();
+                }
+            });
+
+            // Visit Apple homepage first to establish a session and get cookies
+            logger.trace(`Establishing session by visiting Apple homepage (${region.name})...`);
+            await page.goto(region.homeUrl, {
+                waitUntil: 'domcontentloaded',
+                timeout: 45000,
+            });
+
+            // Simulate human behavior on homepage
+            await page.waitForTimeout(this._randomDelay(1500, 3000));
+            await this._simulateHumanBehavior(page);
+
+            // Navigate to iPhone shop page
+            logger.trace('Navigating to iPhone shop page...');
+            await page.goto(region.shopUrl, {
+                waitUntil: 'domcontentloaded',
+                timeout: 45000,
+            });
+
+            // More human-like interaction
+            await page.waitForTimeout(this._randomDelay(2000, 4000));
+            await this._simulateHumanBehavior(page);
+
+            // Set up request interception to capture the API response
+            let apiResponse = null;
+            page.on('response', async (response) => {
+                if (response.url().includes('fulfillment-messages')) {
+                    apiResponse = response;
+                }
+            });
+
+            // Now navigate to the API endpoint
+            logger.trace('Fetching stock availability...');
+            await page.goto(url, {
+                waitUntil: 'networkidle',
+                timeout: 45000,
+            });
+
+            // Wait for the response to be fully captured
+            await page.waitForTimeout(3000);
+
+            if (!apiResponse) {
+                throw new Error('No API response captured');
+            }
+
+            const statusCode = apiResponse.status();
+            if (statusCode !== 200) {
+                return { statusCode, data: null };
+            }
+
+            return { statusCode, data: await apiResponse.json() };
+        } finally {
+            if (page) {
+                await page.close();
+            }
+        }
+    }
+}
+
+module.exports = new PlaywrightFetcher();
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/config');
+const logger = require('../../utils/logger');
+
+/**
+ * Expand a hand-written step's `stores` shorthand into a
+ * fulfillment-messages body:
+ *   { stores: [{ storeNumber: 'R742', parts: { 'MFYM4X/A': 'Available Today' } }] }
+ * A part's value is its pickupSearchQuote, or the full partsAvailability entry.
+ * `delivery` maps part numbers to their delivery quote, or to the full
+ * deliveryMessage entry: { 'MFYM4X/A': 'Delivers Tue 21 Oct – Free' }
+ */
+function expandStores(stores, delivery = {}) {
+    return {
+        body: {
+            content: {
+                deliveryMessage: Object.fromEntries(Object.entries(delivery).map(([partNumber, quote]) => [
+                    partNumber,
+                    typeof quote === 'string'
+                        ? { regular: { deliveryOptionMessages: [{ displayName: quote }], buyability: { isBuyable: true } } }
+                        : quote,
+                ])),
+                pickupMessage: {
+                    stores: stores.map(({ parts = {}, ...store }) => ({
+                        storeName: store.storeNumber,
+                        ...store,
+                        partsAvailability: Object.fromEntries(Object.entries(parts).map(([partNumber, part]) => [
+                            partNumber,
+                            typeof part === 'string' ? { pickupSearchQuote: part, storePickupQuote: part } : part,
+                        ])),
+                    })),
+                },
+            },
+        },
+    };
+}
+
+/**
+ * Read a sequence from a JSON file, or from a directory of recorded
+ * responses played in file name order
+ */
+function readSequence(source) {
+    if (fs.statSync(source).isDirectory()) {
+        const steps = fs.readdirSync(source)
+            .filter(name => name.endsWith('.json'))
+            .sort()
+            .map(name => JSON.parse(fs.readFileSync(path.join(source, name), 'utf8')));
+        return { loop: false, steps };
+    }
+    return JSON.parse(fs.readFileSync(source, 'utf8'));
+}
+
+/**
+ * Fetch strategy that serves recorded or hand-written responses instead of
+ * calling Apple, for offline testing of parsing and change detection.
+ * Each step is a recorded response ({ statusCode, data }), a shorthand
+ * ({ stores: [...], delivery: {...} }) or a failure ({ error: 'message' });
+ * a step with a storeNumber is only served for that store. Every store walks
+ * through the sequence on its own and keeps getting the last step once it
+ * reaches the end, unless the sequence sets `loop: true`.
+ */
+class ReplayFetcher {
+    constructor() {
+        this.name = 'replay';
+        // Replayed responses are served once each, never retried
+        this.maxRetries = 0;
+        this.steps = null;
+        this.loop = false;
+        // Position in the sequence per store number
+        this.cursors = new Map();
+    }
+
+    /**
+     * Load a sequence and start it from the beginning
+     * @param {string|Object[]|Object} source - Path to a sequence file or
+     *   recording directory, a list of steps, or { loop, steps }
+     */
+    load(source) {
+        const sequence = typeof source === 'string' ? readSequence(source) : source;
+        const { steps, loop = false } = Array.isArray(sequence) ? { steps: sequence } : sequence;
+        if (!Array.isArray(steps) || steps.length === 0) {
+            throw new Error('Replay sequence has no steps');
+        }
+
+        this.steps = steps;
+        this.loop = loop;
+        this.reset();
+    }
+
+    /**
+     * Rewind every store to the first step
+     */
+    reset() {
+        this.cursors.clear();
+    }
+
+    _nextStep(storeNumber) {
+        if (!this.steps) {
+            if (!config.fixtures.replay) {
+                throw new Error('No replay sequence configured (fixtures.replay)');
+            }
+            this.load(config.fixtures.replay);
+        }
+
+        const steps = this.steps.filter(step => !step.storeNumber || step.storeNumber === storeNumber);
+        if (steps.length === 0) {
+            throw new Error(`Replay sequence has no steps for store ${storeNumber}`);
+        }
+
+        const position = this.cursors.get(storeNumber) || 0;
+        this.cursors.set(storeNumber, position + 1);
+        if (position < steps.length) {
+            return steps[position];
+        }
+        return this.loop ? steps[position % steps.length] : steps[steps.length - 1];
+    }
+
+    /**
+     * Serve the next step for the store in the URL
+     * @param {string} url - API URL that would have been requested
+     * @returns {Promise<{statusCode: number, data: Object}>}
+     */
+    async fetchJson(url) {
+        const storeNumber = new URL(url).searchParams.get('store');
+        const step = this._nextStep(storeNumber);
+        logger.debug(`Replaying response for store ${storeNumber}`);
+
+        if (step.error) {
+            throw new Error(step.error);
+        }
+        return {
+            statusCode: step.statusCode || 200,
+            data: step.stores ? expandStores(step.stores, step.delivery) : step.data || null,
+        };
+    }
+
+    async cleanup() {}
+}
+
+module.exports = new ReplayFetcher();
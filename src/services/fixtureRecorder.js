@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+/**
+ * Saves raw fulfillment-messages responses as fixtures, one JSON file per
+ * request. File names start with the time of the request, so a directory
+ * of recordings replays in the order it was recorded.
+ */
+class FixtureRecorder {
+    constructor() {
+        this.enabled = config.fixtures.record;
+        this.dir = config.fixtures.recordDir;
+    }
+
+    /**
+     * Record one API response
+     * @param {Object} response - Request and response details
+     * @param {string} response.url - Requested URL
+     * @param {string} response.fetcher - Fetch strategy that made the request
+     * @param {string} response.region - Storefront code
+     * @param {string} response.storeNumber - Queried store
+     * @param {string[]} response.partNumbers - Queried parts
+     * @param {number} response.statusCode - HTTP status
+     * @param {Object|null} response.data - Parsed JSON body
+     */
+    async record({ url, fetcher, region, storeNumber, partNumbers, statusCode, data }) {
+        if (!this.enabled) {
+            return;
+        }
+
+        const recordedAt = new Date().toISOString();
+        const fileName = `${recordedAt.replace(/[:.]/g, '-')}-${storeNumber}-${fetcher}.json`;
+        const filePath = path.join(this.dir, fileName);
+
+        try {
+            await fs.promises.mkdir(this.dir, { recursive: true });
+            await fs.promises.writeFile(filePath, JSON.stringify({
+                recordedAt,
+                url,
+                fetcher,
+                region,
+                storeNumber,
+                partNumbers,
+                statusCode,
+                data,
+            }, null, 2));
+            logger.debug(`Recorded API response to ${filePath}`);
+        } catch (error) {
+            logger.error(`Failed to record API response to ${filePath}`, error);
+        }
+    }
+}
+
+module.exports = new FixtureRecorder();
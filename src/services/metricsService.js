@@ -0,0 +1,178 @@
+const { Counter, Gauge, Histogram, Registry } = require('../utils/metrics');
+
+/**
+ * Classify a failed check for the failures counter
+ * @param {Error} error - Error thrown by checkAvailability
+ * @returns {string} timeout, http_541, http_error, parse_error or network
+ */
+function classifyFailure(error) {
+    const message = String(error && error.message);
+    if (/status 541/.test(message)) {
+        return 'http_541';
+    }
+    if (/status \d+/.test(message)) {
+        return 'http_error';
+    }
+    if (/timeout/i.test(message)) {
+        return 'timeout';
+    }
+    if (/pars|JSON/i.test(message)) {
+        return 'parse_error';
+    }
+    return 'network';
+}
+
+/**
+ * Prometheus metrics for the monitor, exposed on /metrics
+ */
+class MetricsService {
+    constructor() {
+        this.registry = new Registry();
+
+        this.checks = this.registry.register(new Counter(
+            'phone_notify_checks_total',
+            'Availability checks per watch by result',
+            ['watch', 'store', 'result']
+        ));
+        this.failures = this.registry.register(new Counter(
+            'phone_notify_check_failures_total',
+            'Failed store requests by failure type',
+            ['store', 'fetcher', 'type']
+        ));
+        this.retries = this.registry.register(new Counter(
+            'phone_notify_fetch_retries_total',
+            'Retries performed by checkAvailability',
+            ['fetcher', 'reason']
+        ));
+        this.notificationsSent = this.registry.register(new Counter(
+            'phone_notify_notifications_sent_total',
+            'Notifications delivered per channel',
+            ['channel']
+        ));
+        this.notificationsFailed = this.registry.register(new Counter(
+            'phone_notify_notifications_failed_total',
+            'Notifications that failed per channel',
+            ['channel']
+        ));
+        this.checkDuration = this.registry.register(new Histogram(
+            'phone_notify_check_duration_seconds',
+            'Duration of one store request including retries',
+            ['store', 'fetcher'],
+            [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120]
+        ));
+        this.availability = this.registry.register(new Gauge(
+            'phone_notify_availability',
+            'Whether a watched part is available at a store (1) or not (0)',
+            ['watch', 'part', 'store']
+        ));
+        this.running = this.registry.register(new Gauge(
+            'phone_notify_monitor_running',
+            'Whether the monitoring loop is running',
+            []
+        ));
+        this.running.set({}, 0);
+        this.circuitOpen = this.registry.register(new Gauge(
+            'phone_notify_circuit_open',
+            'Whether a watch\'s circuit breaker is open (1) or not (0)',
+            ['watch']
+        ));
+    }
+
+    /**
+     * Record a completed store request
+     * @param {Object} details - Request outcome
+     * @param {string} details.store - Store number
+     * @param {string} details.fetcher - Fetch strategy
+     * @param {number} details.durationMs - Request duration
+     * @param {Error} details.error - Error when the request failed
+     */
+    recordStoreRequest({ store, fetcher, durationMs, error = null }) {
+        this.checkDuration.observe({ store, fetcher }, durationMs / 1000);
+        if (error) {
+            this.failures.inc({ store, fetcher, type: classifyFailure(error) });
+        }
+    }
+
+    /**
+     * Record one watch's check result and its availability per store
+     * @param {Object} watch - Watch configuration
+     * @param {Object|null} stockData - Parsed stock data, or null when the check failed
+     */
+    recordWatchCheck(watch, stockData) {
+        // JSON watches have no part or store
+        const storeNumber = watch.storeNumber || '';
+        this.checks.inc({ watch: watch.id, store: storeNumber, result: stockData ? 'success' : 'failure' });
+        if (!stockData) {
+            return;
+        }
+
+        const stores = stockData.stores && stockData.stores.length > 0
+            ? stockData.stores
+            : [{ storeNumber, available: stockData.available }];
+        this.availability.remove({ watch: watch.id });
+        stores.forEach((store) => {
+            this.availability.set(
+                { watch: watch.id, part: watch.partNumber || '', store: store.storeNumber },
+                store.available ? 1 : 0
+            );
+        });
+    }
+
+    /**
+     * Forget per-watch series, e.g. after a watch is removed
+     * @param {string} watchId - Watch id
+     */
+    removeWatch(watchId) {
+        this.availability.remove({ watch: watchId });
+        this.circuitOpen.remove({ watch: watchId });
+    }
+
+    /**
+     * Record whether a watch's circuit breaker is open
+     * @param {string} watchId - Watch id
+     * @param {boolean} open
+     */
+    setCircuitOpen(watchId, open) {
+        this.circuitOpen.set({ watch: watchId }, open ? 1 : 0);
+    }
+
+    /**
+     * Record a retry inside checkAvailability
+     * @param {string} fetcher - Fetch strategy
+     * @param {string} reason - http_541 or network
+     */
+    recordRetry(fetcher, reason) {
+        this.retries.inc({ fetcher, reason });
+    }
+
+    /**
+     * Record a notification attempt
+     * @param {string} channel - Channel name
+     * @param {boolean} success - Whether it was delivered
+     */
+    recordNotification(channel, success) {
+        if (success) {
+            this.notificationsSent.inc({ channel });
+        } else {
+            this.notificationsFailed.inc({ channel });
+        }
+    }
+
+    /**
+     * Record whether the monitoring loop is running
+     * @param {boolean} running
+     */
+    setRunning(running) {
+        this.running.set({}, running ? 1 : 0);
+    }
+
+    /**
+     * Render all metrics in the Prometheus text format
+     * @returns {string}
+     */
+    render() {
+        return this.registry.render();
+    }
+}
+
+module.exports = new MetricsService();
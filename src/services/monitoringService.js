@@ -1,18 +1,341 @@
-const appleStoreService = require('./appleStoreService');
-const pushoverService = require('./pushoverService');
+const EventEmitter = require('events');
+const notificationService = require('./notificationService');
+const stateStore = require('./stateStore');
+const metricsService = require('./metricsService');
+const ruleEngine = require('./ruleEngine');
+const notificationPolicy = require('./notificationPolicy');
+const scheduler = require('./scheduler');
+const circuitBreaker = require('./circuitBreaker');
+const { statusOf, snapshotOf, diffSnapshots } = require('./diffEngine');
+const { getProvider, listProviders } = require('./providers');
 const config = require('../config/config');
+const { writeWatchesFile } = require('../config/watches');
+const { describePart } = require('../config/catalogue');
+const { getStore } = require('../config/stores');
 const logger = require('../utils/logger');
 
+// Number of recent errors kept per watch for /status and the dashboard
+const RECENT_ERROR_LIMIT = 5;
+
 /**
- * Core monitoring service for iPhone stock availability
+ * Core monitoring service for iPhone stock availability.
+ * Emits `check` with the full status after every check and `transition`
+ * whenever a watch's status changes.
  */
-class MonitoringService {
+class MonitoringService extends EventEmitter {
     constructor() {
+        super();
         this.intervalMs = config.monitoring.intervalMs;
         this.isRunning = false;
-        this.intervalId = null;
-        this.lastKnownStatus = null;
+        // Timer for the earliest due watch
+        this.timer = null;
+        this.nextCheckAt = null;
         this.checkCount = 0;
+        this.isChecking = false;
+
+        // Checks share one browser, so they run one after another
+        this.checkQueue = Promise.resolve();
+
+        // Per-watch state: baseline status and check counter
+        this.watches = new Map();
+        config.watches.forEach((watch) => {
+            this.watches.set(watch.id, this._createWatchState(watch));
+        });
+
+        this._restoreState();
+    }
+
+    /**
+     * Create fresh state for a watch with no baseline yet
+     * @param {Object} watch - Normalised watch configuration
+     */
+    _createWatchState(watch) {
+        return {
+            watch,
+            lastKnownStatus: null,
+            checkCount: 0,
+            lastCheckedAt: null,
+            lastError: null,
+            recentErrors: [],
+            consecutiveFailures: 0,
+            // Start of the current run of failed checks, and whether it
+            // reached monitoring.health.degradedAfterFailures
+            failingSince: null,
+            degraded: false,
+            paused: false,
+            // Scheduling: next check time in epoch ms, the plan behind it,
+            // and whether a check of this watch is queued or running
+            nextCheckAt: null,
+            schedule: null,
+            inFlight: false,
+        };
+    }
+
+    /**
+     * Add a watch and check it right away when monitoring is running
+     * @param {Object} watch - Normalised watch configuration
+     * @param {Object} definition - Watch as sent to the API, which is what
+     *   gets saved (default: the normalised watch)
+     * @returns {Promise<boolean>} False if a watch with the same id exists
+     */
+    async addWatch(watch, definition = watch) {
+        if (this.watches.has(watch.id)) {
+            return false;
+        }
+
+        this.watches.set(watch.id, this._createWatchState(watch));
+        logger.info(`[${watch.id}] Watch added: ${getProvider(watch.type).describe(watch)}`);
+
+        await this._persistWatches(watch.id, definition);
+        this._checkIfRunning(watch.id);
+        return true;
+    }
+
+    /**
+     * Replace a watch's configuration.
+     * The baseline is reset when the watch's type or target changes.
+     * @param {Object} watch - Normalised watch configuration with an existing id
+     * @param {Object} definition - Watch as sent to the API (default: the
+     *   normalised watch)
+     * @returns {Promise<boolean>} False if the watch does not exist
+     */
+    async updateWatch(watch, definition = watch) {
+        const state = this.watches.get(watch.id);
+        if (!state) {
+            return false;
+        }
+
+        const targetChanged = this._replaceWatch(state, watch);
+        logger.info(`[${watch.id}] Watch updated`);
+
+        await this._persistWatches(watch.id, definition);
+        if (targetChanged) {
+            this._checkIfRunning(watch.id);
+        }
+        return true;
+    }
+
+    /**
+     * Remove a watch
+     * @param {string} id - Watch id
+     * @returns {Promise<boolean>} False if the watch does not exist
+     */
+    async removeWatch(id) {
+        if (!this.watches.has(id)) {
+            return false;
+        }
+
+        this._forgetWatch(id);
+        logger.info(`[${id}] Watch removed`);
+        this._armTimer();
+        await this._persistWatches(id, null);
+        await this._saveState();
+        return true;
+    }
+
+    /**
+     * Put a new configuration into a watch's state.
+     * The baseline is reset when the watch's type or target changes, e.g.
+     * its part or store, or its URL or field.
+     * @returns {boolean} Whether the type or target changed
+     */
+    _replaceWatch(state, watch) {
+        const targetChanged = state.watch.type !== watch.type ||
+            getProvider(state.watch.type).targetKey(state.watch) !== getProvider(watch.type).targetKey(watch);
+        if (targetChanged) {
+            Object.assign(state, this._createWatchState(watch), { paused: state.paused });
+            notificationPolicy.removeWatch(watch.id);
+            circuitBreaker.removeWatch(watch.id);
+            metricsService.setCircuitOpen(watch.id, false);
+        } else {
+            state.watch = watch;
+            notificationPolicy.updateWatch(watch);
+        }
+        return targetChanged;
+    }
+
+    /**
+     * Drop a watch and everything tracked for it
+     */
+    _forgetWatch(id) {
+        this.watches.delete(id);
+        metricsService.removeWatch(id);
+        notificationPolicy.removeWatch(id);
+        circuitBreaker.removeWatch(id);
+    }
+
+    /**
+     * Apply a reloaded configuration: the monitoring block and the watch
+     * list. Unchanged watches keep their baseline; added watches and watches
+     * whose part or store changed are checked right away while running.
+     */
+    applyConfig() {
+        scheduler.configure(config.monitoring);
+        circuitBreaker.configure(config.monitoring.circuitBreaker).forEach((id) => {
+            const state = this.watches.get(id);
+            if (state) {
+                this._recoverWatch(state);
+            }
+        });
+        this.intervalMs = config.monitoring.intervalMs;
+
+        const next = new Map(config.watches.map(watch => [watch.id, watch]));
+        [...this.watches.keys()].filter(id => !next.has(id)).forEach((id) => {
+            this._forgetWatch(id);
+            logger.info(`[${id}] Watch removed`);
+        });
+
+        const checkNow = [];
+        next.forEach((watch, id) => {
+            const state = this.watches.get(id);
+            if (!state) {
+                this.watches.set(id, this._createWatchState(watch));
+                logger.info(`[${id}] Watch added: ${getProvider(watch.type).describe(watch)}`);
+                checkNow.push(id);
+            } else if (JSON.stringify(state.watch) !== JSON.stringify(watch)) {
+                if (this._replaceWatch(state, watch)) {
+                    checkNow.push(id);
+                }
+                logger.info(`[${id}] Watch updated`);
+            }
+        });
+
+        if (this.isRunning) {
+            // Replan with the new interval and windows, like setCheckInterval()
+            this._planNextChecks([...this.watches.values()]
+                .filter(state => !state.inFlight && !checkNow.includes(state.watch.id)));
+            const now = Date.now();
+            checkNow.forEach((id) => {
+                this.watches.get(id).nextCheckAt = now;
+            });
+            this._armTimer();
+        }
+        this._saveState();
+    }
+
+    /**
+     * Treat a watch whose circuit was closed by disabling the circuit breaker
+     * like one whose check succeeded: clear the circuit metric and its
+     * degraded health, sending the recovered notification
+     */
+    _recoverWatch(state) {
+        metricsService.setCircuitOpen(state.watch.id, false);
+        this._updateHealth(state, true)
+            .catch(error => logger.error(`[${state.watch.id}] Failed to send recovered notification`, error));
+    }
+
+    /**
+     * Queue an immediate check of one watch while monitoring is running
+     */
+    _checkIfRunning(id) {
+        if (this.isRunning) {
+            this._performCheck([id]).catch(error => logger.error(`[${id}] Initial check failed`, error));
+        }
+    }
+
+    /**
+     * Record a watch change made through the API and save it to the watches
+     * file. Definitions are saved as sent, so defaults from config.yml keep
+     * applying to them; removing a config.yml watch is saved as its id.
+     * @param {string} id - Watch id
+     * @param {Object|null} definition - New definition, or null when removed
+     */
+    async _persistWatches(id, definition) {
+        config.watches = [...this.watches.values()].map(state => state.watch);
+
+        const saved = config.savedWatches;
+        saved.watches = saved.watches.filter(entry => String(entry.id) !== id);
+        saved.removed = saved.removed.filter(removedId => removedId !== id);
+        if (definition) {
+            saved.watches.push({ ...definition, id });
+        } else {
+            saved.removed.push(id);
+        }
+
+        if (!config.storage.watchesFile) {
+            logger.warn('Storage is disabled - watch changes will be lost on restart');
+            return;
+        }
+
+        try {
+            await writeWatchesFile(config.storage.watchesFile, saved);
+        } catch (error) {
+            logger.error('Failed to save watches', error);
+        }
+    }
+
+    /**
+     * Restore baselines and check counters saved by a previous run
+     */
+    _restoreState() {
+        const saved = stateStore.loadState();
+        if (!saved) {
+            return;
+        }
+
+        this.checkCount = saved.checkCount || 0;
+        let restored = 0;
+        Object.entries(saved.watches || {}).forEach(([id, watchState]) => {
+            const state = this.watches.get(id);
+            if (state) {
+                state.lastKnownStatus = watchState.lastKnownStatus || null;
+                state.checkCount = watchState.checkCount || 0;
+                state.paused = Boolean(watchState.paused);
+                notificationPolicy.importState(state.watch, watchState.notificationPolicy);
+                restored++;
+            }
+        });
+
+        logger.info(`Restored state of ${restored} watches from previous run (check #${this.checkCount})`);
+    }
+
+    /**
+     * Persist baselines and check counters
+     */
+    async _saveState() {
+        const watches = {};
+        this.watches.forEach((state, id) => {
+            watches[id] = {
+                lastKnownStatus: state.lastKnownStatus,
+                checkCount: state.checkCount,
+                paused: state.paused,
+                notificationPolicy: notificationPolicy.exportState(id),
+            };
+        });
+
+        await stateStore.saveState({
+            checkCount: this.checkCount,
+            savedAt: new Date().toISOString(),
+            watches,
+        });
+    }
+
+    /**
+     * Build a history record for one watch's check result
+     * @param {Object} state - Watch state
+     * @param {Object} details - Check outcome
+     * @returns {Object} History record
+     */
+    _buildHistoryRecord(state, { stockData = null, error = null, latencyMs }) {
+        return {
+            timestamp: new Date().toISOString(),
+            check: this.checkCount,
+            watch: state.watch.id,
+            partNumber: state.watch.partNumber,
+            storeNumber: state.watch.storeNumber,
+            status: error ? 'error' : stockData.status,
+            available: stockData ? stockData.available : null,
+            message: stockData ? stockData.message : null,
+            store: stockData ? stockData.storeName || null : null,
+            delivery: stockData && stockData.delivery
+                ? { status: stockData.delivery.status, quote: stockData.delivery.quote, days: stockData.delivery.days }
+                : null,
+            latencyMs,
+            error: error ? error.message : null,
+            changed: false,
+            // Change events from the diff engine
+            changes: [],
+        };
     }
 
     /**
@@ -25,17 +348,177 @@ class MonitoringService {
         }
 
         logger.info(`Starting monitoring service with ${this.intervalMs}ms interval`);
-        logger.info(`Monitoring Part: ${config.appleStore.partNumber} at Store: ${config.appleStore.storeNumber}`);
+        this.watches.forEach(({ watch }) => {
+            logger.info(`Monitoring ${getProvider(watch.type).describe(watch)} (${watch.id})`);
+        });
 
         this.isRunning = true;
+        metricsService.setRunning(true);
+        notificationPolicy.start();
 
         // Run first check immediately
-        this._performCheck();
+        const now = Date.now();
+        this.watches.forEach((state) => {
+            state.nextCheckAt = now;
+        });
+        this._armTimer();
+    }
+
+    /**
+     * Logger that tags entries with the current check, the watch and its store
+     */
+    _logFor(watch) {
+        return logger.child({ check: this.checkCount, watch: watch.id, store: watch.storeNumber });
+    }
 
-        // Schedule periodic checks
-        this.intervalId = setInterval(() => {
-            this._performCheck();
-        }, this.intervalMs);
+    /**
+     * Group key of watches that are checked with one request
+     */
+    _groupKey(watch) {
+        return getProvider(watch.type).groupKey(watch);
+    }
+
+    /**
+     * (Re)start the timer for the earliest due watch
+     */
+    _armTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const due = [...this.watches.values()]
+            .filter(state => !state.paused && !state.inFlight && state.nextCheckAt !== null)
+            .map(state => state.nextCheckAt);
+        if (!this.isRunning || due.length === 0) {
+            this.nextCheckAt = null;
+            return;
+        }
+
+        this.nextCheckAt = Math.min(...due);
+        this.timer = setTimeout(() => this._runDueChecks(), Math.max(0, this.nextCheckAt - Date.now()));
+    }
+
+    /**
+     * Check every due watch. Watches whose previous check is still queued
+     * or running are left alone, so a slow check never overlaps itself.
+     */
+    _runDueChecks() {
+        this.timer = null;
+        const now = Date.now();
+        const idle = [...this.watches.values()].filter(state => !state.paused && !state.inFlight);
+
+        // Watches sharing a request with a due watch are checked along with it
+        const dueGroups = new Set(idle
+            .filter(state => state.nextCheckAt !== null && state.nextCheckAt <= now)
+            .map(state => this._groupKey(state.watch)));
+        const states = idle.filter(state => dueGroups.has(this._groupKey(state.watch)));
+
+        if (states.length > 0) {
+            states.forEach((state) => {
+                state.inFlight = true;
+            });
+            this._performCheck(states.map(state => state.watch.id))
+                .catch(error => logger.error('Scheduled check failed', error))
+                .finally(() => {
+                    states.forEach((state) => {
+                        state.inFlight = false;
+                    });
+                    this._armTimer();
+                });
+        }
+
+        this._armTimer();
+    }
+
+    /**
+     * Plan the next check of watches that were just checked together
+     * @param {Object[]} states - Watch states from one request
+     */
+    _planNextChecks(states) {
+        const now = Date.now();
+        const jitterDraw = Math.random();
+
+        states.forEach((state) => {
+            const plan = scheduler.nextRun(state.watch, this.intervalMs, state.consecutiveFailures, now, jitterDraw);
+            state.nextCheckAt = plan.at;
+            state.schedule = { intervalMs: plan.intervalMs, window: plan.window, backedOff: plan.backedOff };
+
+            // An open circuit holds scheduled checks until its cooldown ends
+            const retryAt = circuitBreaker.retryAt(state.watch.id);
+            if (retryAt !== null) {
+                state.nextCheckAt = Math.max(plan.at, retryAt);
+            } else if (plan.backedOff) {
+                this._logFor(state.watch).warn(
+                    `[${state.watch.id}] ${state.consecutiveFailures} failures in a row, next check in ${Math.round((plan.at - now) / 1000)}s`,
+                    { failures: state.consecutiveFailures, intervalMs: plan.intervalMs }
+                );
+            }
+        });
+    }
+
+    /**
+     * Change the check interval without restarting the process
+     * @param {number} intervalMs - New interval in milliseconds
+     */
+    setCheckInterval(intervalMs) {
+        this.intervalMs = intervalMs;
+        logger.info(`Check interval changed to ${intervalMs}ms`);
+
+        if (this.isRunning) {
+            this._planNextChecks([...this.watches.values()].filter(state => !state.inFlight));
+            this._armTimer();
+        }
+    }
+
+    /**
+     * Pause or resume scheduled checks for one watch
+     * @param {string} id - Watch id
+     * @param {boolean} paused - Whether the watch is paused
+     * @returns {boolean} False if the watch does not exist
+     */
+    setWatchPaused(id, paused) {
+        const state = this.watches.get(id);
+        if (!state) {
+            return false;
+        }
+
+        state.paused = paused;
+        logger.info(`[${id}] Watch ${paused ? 'paused' : 'resumed'}`);
+        this._armTimer();
+        this._saveState();
+        return true;
+    }
+
+    /**
+     * Acknowledge a watch's alert so it is no longer repeated
+     * @param {string} id - Watch id
+     * @returns {boolean|null} Null if the watch does not exist, false when
+     *   no alert was waiting for acknowledgement
+     */
+    acknowledgeAlert(id) {
+        if (!this.watches.has(id)) {
+            return null;
+        }
+
+        const acknowledged = notificationPolicy.acknowledge(id);
+        if (acknowledged) {
+            this._saveState();
+        }
+        return acknowledged;
+    }
+
+    /**
+     * Run a check immediately and return the resulting watch status
+     * @param {string[]|null} watchIds - Watches to check, or null for all active watches
+     * @returns {Promise<Object[]>} Status of the checked watches
+     */
+    async checkNow(watchIds = null) {
+        await this._performCheck(watchIds);
+
+        return this.getStatus().watches.filter(watch =>
+            watchIds ? watchIds.includes(watch.id) : !watch.paused
+        );
     }
 
     /**
@@ -49,120 +532,328 @@ class MonitoringService {
 
         logger.info('Stopping monitoring service');
         this.isRunning = false;
+        metricsService.setRunning(false);
 
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
         }
+        this.nextCheckAt = null;
+        this.watches.forEach((state) => {
+            state.nextCheckAt = null;
+        });
+        notificationPolicy.stop();
 
         // Clean up browser resources
-        await appleStoreService.cleanup();
+        for (const provider of listProviders()) {
+            await provider.cleanup();
+        }
         logger.info('Browser resources cleaned up');
     }
 
     /**
-     * Perform a single availability check
+     * Group watch states by their provider's group key, e.g. store, fetch
+     * strategy and storefront region, so each request is made once per check
+     * @param {string[]|null} watchIds - Watches to include, or null for all unpaused watches
+     * @returns {Map<string, Object[]>} Watch states keyed by group key
+     */
+    _groupByRequest(watchIds = null) {
+        const groups = new Map();
+        this.watches.forEach((state) => {
+            if (watchIds ? !watchIds.includes(state.watch.id) : state.paused) {
+                return;
+            }
+
+            const key = this._groupKey(state.watch);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(state);
+        });
+        return groups;
+    }
+
+    /**
+     * Queue an availability check behind any check already running
+     * @param {string[]|null} watchIds - Watches to check, or null for all unpaused watches
      */
-    async _performCheck() {
+    _performCheck(watchIds = null) {
+        const run = this.checkQueue.then(() => this._runCheck(watchIds));
+        this.checkQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Perform a single availability check across the selected watches
+     * @param {string[]|null} watchIds - Watches to check, or null for all unpaused watches
+     */
+    async _runCheck(watchIds) {
+        const groups = this._groupByRequest(watchIds);
+        if (groups.size === 0) {
+            logger.info('All watches are paused - skipping check');
+            return;
+        }
+
+        this.isChecking = true;
+        this.checkCount++;
+        logger.info(`--- Check #${this.checkCount} ---`, { check: this.checkCount });
+
         try {
-            this.checkCount++;
-            logger.info(`--- Check #${this.checkCount} ---`);
-
-            const stockData = await appleStoreService.checkAvailability();
-
-            // Detect status change
-            const statusChanged = this._detectStatusChange(stockData);
-            const isFirstCheck = this.lastKnownStatus === null;
-
-            // Send notification if:
-            // 1. Status changed from unavailable to available, OR
-            // 2. First check AND stock is available (to catch immediate availability)
-            if (statusChanged) {
-                logger.info('Stock status changed!');
-                await this._handleStatusChange(stockData);
-            } else if (isFirstCheck && stockData.available) {
-                logger.info('First check - stock is AVAILABLE!');
-                await this._handleStatusChange(stockData);
-            } else {
-                logger.info('No status change detected');
+            for (const states of groups.values()) {
+                await this._checkGroup(states);
             }
+        } finally {
+            this.isChecking = false;
+            // Checked watches have a new next check time
+            this._armTimer();
+            this.emit('check', this.getStatus());
+        }
+    }
 
-            // Update last known status
-            this.lastKnownStatus = {
-                available: stockData.available,
-                message: stockData.message,
-                timestamp: new Date().toISOString(),
-            };
+    /**
+     * Check every watch of one group with a single request
+     * @param {Object[]} states - Watch states sharing a group key
+     */
+    async _checkGroup(states) {
+        const provider = getProvider(states[0].watch.type);
+        const startedAt = Date.now();
+        const history = [];
+        // Until the provider names the request, e.g. when a JSON watch's
+        // URL cannot be expanded, it is reported under the first watch
+        let name = states[0].watch.id;
+        let fetcher = states[0].watch.fetcher;
+        let log = logger.child({ check: this.checkCount, store: name, fetcher });
+
+        try {
+            states.forEach(state => circuitBreaker.beforeCheck(state.watch.id));
+            ({ name, fetcher } = provider.describeRequest(states[0].watch));
+            log = logger.child({ check: this.checkCount, store: name, fetcher });
+
+            const results = await provider.check(states.map(state => state.watch));
+            const latencyMs = Date.now() - startedAt;
+            metricsService.recordStoreRequest({ store: name, fetcher, durationMs: latencyMs });
+            log.info(`${provider.type === 'apple' ? 'Store ' : ''}${name} answered in ${latencyMs}ms`, {
+                durationMs: latencyMs,
+                watches: states.map(state => state.watch.id),
+            });
+
+            for (const state of states) {
+                state.checkCount++;
+                state.lastCheckedAt = new Date().toISOString();
+                state.lastError = null;
+                circuitBreaker.recordSuccess(state.watch.id);
+                metricsService.setCircuitOpen(state.watch.id, false);
+                await this._updateHealth(state, true);
+                state.consecutiveFailures = 0;
+                state.failingSince = null;
+                const stockData = results[state.watch.id];
+                metricsService.recordWatchCheck(state.watch, stockData);
+                const record = this._buildHistoryRecord(state, { stockData, latencyMs });
+                history.push(record);
+                Object.assign(record, await this._processResult(state, stockData));
+            }
 
             // Clean up browser after each check to avoid detection patterns
             // This makes each check appear as a fresh session
-            await appleStoreService.cleanup();
-            logger.debug('Browser cleanup after check');
+            await provider.cleanup();
+            log.trace('Provider cleanup after check');
 
         } catch (error) {
-            logger.error(`Check #${this.checkCount} failed`, error);
+            const latencyMs = Date.now() - startedAt;
+            log.error(`Check #${this.checkCount} failed for ${provider.type === 'apple' ? 'store ' : ''}${name}`, error, { durationMs: latencyMs });
+
+            if (history.length === 0) {
+                metricsService.recordStoreRequest({ store: name, fetcher, durationMs: latencyMs, error });
+            }
+            states.forEach((state) => {
+                // Watches processed before the failure keep their result
+                if (history.some(record => record.watch === state.watch.id)) {
+                    return;
+                }
+
+                state.checkCount++;
+                state.lastCheckedAt = new Date().toISOString();
+                state.lastError = {
+                    message: error.message,
+                    timestamp: state.lastCheckedAt,
+                };
+                state.recentErrors = [state.lastError, ...state.recentErrors].slice(0, RECENT_ERROR_LIMIT);
+                state.consecutiveFailures++;
+                state.failingSince = state.failingSince || state.lastCheckedAt;
+                metricsService.recordWatchCheck(state.watch, null);
+                history.push(this._buildHistoryRecord(state, { error, latencyMs }));
+            });
+
+            for (const state of states.filter(state => state.lastError)) {
+                if (circuitBreaker.recordFailure(state.watch.id, state.consecutiveFailures)) {
+                    metricsService.setCircuitOpen(state.watch.id, true);
+                }
+                await this._updateHealth(state, false);
+            }
 
             // Clean up browser even on error
             try {
-                await appleStoreService.cleanup();
+                await provider.cleanup();
             } catch (cleanupError) {
-                logger.error('Failed to cleanup browser', cleanupError);
+                log.error('Failed to cleanup browser', cleanupError);
             }
 
             // Continue monitoring despite errors
         }
+
+        this._planNextChecks(states);
+        await stateStore.appendHistory(history);
+        await this._saveState();
     }
 
     /**
-     * Detect if stock status has changed
-     * @param {Object} currentStock - Current stock data
-     * @returns {boolean} True if status changed
+     * Track whether a watch is degraded and send the degraded and
+     * recovered notifications
+     * @param {Object} state - Watch state, before a success resets its failures
+     * @param {boolean} succeeded - Whether the latest check succeeded
      */
-    _detectStatusChange(currentStock) {
-        // First check - no previous status
-        if (this.lastKnownStatus === null) {
-            logger.info('First check - establishing baseline status');
-            return false;
+    async _updateHealth(state, succeeded) {
+        const { degradedAfterFailures, notify, priority } = config.monitoring.health;
+        const degraded = !succeeded && state.consecutiveFailures >= degradedAfterFailures;
+        if (degraded === state.degraded) {
+            return;
         }
 
-        // Check if availability status changed
-        const availabilityChanged =
-            this.lastKnownStatus.available !== currentStock.available;
+        state.degraded = degraded;
+        const { id } = state.watch;
+        const log = this._logFor(state.watch);
+        const fields = { failures: state.consecutiveFailures, failingSince: state.failingSince };
+        if (degraded) {
+            log.warn(`[${id}] Monitor degraded: ${state.consecutiveFailures} checks failed in a row since ${state.failingSince}`, fields);
+        } else {
+            log.info(`[${id}] Monitor recovered after ${state.consecutiveFailures} failed checks`, fields);
+        }
 
-        // Check if message changed
-        const messageChanged =
-            this.lastKnownStatus.message !== currentStock.message;
+        if (notify) {
+            const success = await notificationService.notifyMonitorHealth(state.watch, {
+                degraded,
+                failures: state.consecutiveFailures,
+                error: state.lastError ? state.lastError.message : null,
+                since: state.failingSince,
+            }, priority);
+            if (!success) {
+                log.error(`[${id}] Failed to send ${degraded ? 'degraded' : 'recovered'} notification`);
+            }
+        }
+    }
+
+    /**
+     * Compare a watch's new stock data with its baseline and notify
+     * @param {Object} state - Watch state
+     * @param {Object} stockData - Parsed stock data for the watched part
+     * @returns {Promise<{changed: boolean, changes: Object[]}>} Whether this
+     *   check set or changed the baseline, and the change events found
+     */
+    async _processResult(state, stockData) {
+        const { watch } = state;
+        const log = this._logFor(watch);
+        const previous = state.lastKnownStatus;
+        const isFirstCheck = previous === null;
+        const snapshot = snapshotOf(stockData);
+
+        const changes = isFirstCheck ? [] : diffSnapshots(previous, snapshot);
+        if (isFirstCheck) {
+            log.info(`[${watch.id}] First check - establishing baseline status`);
+        }
+        changes.forEach((change) => {
+            log.info(`[${watch.id}] ${change.summary}`, {
+                change: change.type,
+                storeNumber: change.storeNumber,
+                from: change.from,
+                to: change.to,
+            });
+        });
 
-        if (availabilityChanged || messageChanged) {
-            logger.info(
-                `Status change detected:\n` +
-                `  Previous: ${this.lastKnownStatus.message} (available: ${this.lastKnownStatus.available})\n` +
-                `  Current: ${currentStock.message} (available: ${currentStock.available})`
-            );
-            return true;
+        // The alert rules decide which status changes notify; the first
+        // check counts as a change from "none". Quote changes within the
+        // same status, and changes at other stores, are recorded but never alert.
+        let alert = null;
+        const previousStatus = isFirstCheck ? null : statusOf(previous);
+        if (isFirstCheck || previousStatus !== stockData.status) {
+            const rule = watch.type === 'json'
+                ? ruleEngine.matchJsonAlert(watch, previousStatus, stockData.status)
+                : ruleEngine.matchAlert(previousStatus, stockData.status);
+            if (rule) {
+                log.info(`[${watch.id}] Stock status changed to ${stockData.status}!`, { status: stockData.status, previousStatus });
+                alert = { rule, previousStatus, changes };
+            } else {
+                log.info(`[${watch.id}] Status is ${stockData.status} - no alert rule matched`);
+            }
+        } else if (changes.length === 0) {
+            log.info(`[${watch.id}] No status change detected`);
         }
 
-        return false;
+        // Confirmations, cooldowns, quiet hours and escalation
+        await notificationPolicy.observe(watch, stockData, alert);
+        if (stockData.delivery) {
+            await this._processDelivery(state, stockData, changes);
+        }
+
+        // Update last known status
+        state.lastKnownStatus = {
+            ...snapshot,
+            timestamp: new Date().toISOString(),
+        };
+
+        const changed = isFirstCheck || changes.length > 0;
+        if (changed) {
+            this.emit('transition', {
+                watch: watch.id,
+                label: watch.label,
+                from: previous
+                    ? { status: statusOf(previous), available: previous.available, message: previous.message }
+                    : null,
+                to: { status: stockData.status, available: stockData.available, message: stockData.message },
+                changes,
+                timestamp: state.lastKnownStatus.timestamp,
+            });
+        }
+
+        return { changed, changes };
     }
 
     /**
-     * Handle status change
-     * @param {Object} stockData - New stock data
+     * Track the part's delivery quote as a status of its own, alerting on
+     * the transitions chosen by the delivery alert rules
+     * @param {Object} state - Watch state, still holding the previous baseline
+     * @param {Object} stockData - Parsed stock data with its delivery quote
+     * @param {Object[]} changes - Change events of this check
      */
-    async _handleStatusChange(stockData) {
-        // Only send notification if stock becomes available
-        if (stockData.available) {
-            logger.info('Stock is now AVAILABLE - sending notification');
-            const success = await pushoverService.notifyStockAvailable(stockData);
+    async _processDelivery(state, stockData, changes) {
+        const { watch } = state;
+        const log = this._logFor(watch);
+        const { delivery } = stockData;
+        const previous = state.lastKnownStatus && state.lastKnownStatus.delivery;
+        // Without an earlier delivery status the transition comes from "none"
+        const previousStatus = previous ? previous.status : null;
 
-            if (success) {
-                logger.info('Notification sent successfully');
-            } else {
-                logger.error('Failed to send notification');
+        let alert = null;
+        if (previousStatus !== delivery.status) {
+            const rule = ruleEngine.matchDeliveryAlert(previousStatus, delivery.status);
+            if (rule) {
+                log.info(`[${watch.id}] Delivery status changed to ${delivery.status}!`, {
+                    status: delivery.status,
+                    previousStatus,
+                    days: delivery.days,
+                });
+                alert = { rule, previousStatus, changes };
             }
-        } else {
-            logger.info('Stock became unavailable - no notification sent');
         }
+
+        // Delivery is not tied to a store, so it is reported for the watched store
+        await notificationPolicy.observe(watch, {
+            ...stockData,
+            status: delivery.status,
+            available: delivery.available,
+            message: delivery.message,
+            storeName: null,
+            nearbyStore: null,
+        }, alert, 'delivery');
     }
 
     /**
@@ -171,11 +862,63 @@ class MonitoringService {
     getStatus() {
         return {
             isRunning: this.isRunning,
+            isChecking: this.isChecking,
             intervalMs: this.intervalMs,
+            nextCheckAt: this.nextCheckAt ? new Date(this.nextCheckAt).toISOString() : null,
             checkCount: this.checkCount,
-            lastKnownStatus: this.lastKnownStatus,
-            partNumber: config.appleStore.partNumber,
-            storeNumber: config.appleStore.storeNumber,
+            watches: [...this.watches.values()].map(state => ({
+                id: state.watch.id,
+                type: state.watch.type,
+                label: state.watch.label,
+                url: state.watch.url || null,
+                field: state.watch.field || null,
+                partNumber: state.watch.partNumber,
+                product: describePart(state.watch.partNumber),
+                storeNumber: state.watch.storeNumber,
+                store: getStore(state.watch.storeNumber),
+                fetcher: state.watch.fetcher,
+                region: state.watch.region,
+                recipients: state.watch.recipients,
+                nearby: state.watch.nearby,
+                paused: state.paused,
+                checkCount: state.checkCount,
+                lastCheckedAt: state.lastCheckedAt,
+                nextCheckAt: this.isRunning && state.nextCheckAt && !state.paused
+                    ? new Date(state.nextCheckAt).toISOString()
+                    : null,
+                schedule: state.schedule,
+                consecutiveFailures: state.consecutiveFailures,
+                failingSince: state.failingSince,
+                degraded: state.degraded,
+                circuit: circuitBreaker.getWatchStatus(state.watch.id),
+                lastKnownStatus: state.lastKnownStatus,
+                lastError: state.lastError,
+                recentErrors: state.recentErrors,
+                alerts: notificationPolicy.getWatchStatus(state.watch.id),
+            })),
+        };
+    }
+
+    /**
+     * Monitor health: unhealthy while an unpaused watch is degraded or
+     * its circuit is open
+     * @returns {{healthy: boolean, isRunning: boolean, failing: Object[]}}
+     */
+    getHealth() {
+        const failing = [...this.watches.values()]
+            .filter(state => !state.paused && (state.degraded || circuitBreaker.isOpen(state.watch.id)))
+            .map(state => ({
+                id: state.watch.id,
+                consecutiveFailures: state.consecutiveFailures,
+                failingSince: state.failingSince,
+                lastError: state.lastError,
+                circuit: circuitBreaker.getWatchStatus(state.watch.id),
+            }));
+
+        return {
+            healthy: failing.length === 0,
+            isRunning: this.isRunning,
+            failing,
         };
     }
 }
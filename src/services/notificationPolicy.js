@@ -0,0 +1,391 @@
+const logger = require('../utils/logger');
+const notificationService = require('./notificationService');
+const pushoverService = require('./pushoverService');
+const { getRegion } = require('../config/regions');
+const { zonedTime, parseClock, inClockRange } = require('../utils/time');
+
+// How often deferred alerts and escalations are re-evaluated
+const TICK_MS = 30000;
+
+// Alert tracks of a watch: its pickup status and its delivery status
+const TRACKS = ['pickup', 'delivery'];
+
+/**
+ * Key of a watch's policy state; the pickup track keeps the plain watch id
+ */
+function stateKey(watchId, track) {
+    return track === 'pickup' ? watchId : `${watchId}:${track}`;
+}
+
+/**
+ * Policy layer between MonitoringService and the notifiers.
+ * Alerts chosen by the alert rules must hold for a number of consecutive
+ * checks, are suppressed while the watch's cooldown for that status runs,
+ * are held back during quiet hours, and high-priority alerts can be
+ * repeated until acknowledged. A watch's pickup and delivery statuses
+ * run through the policy as separate tracks.
+ */
+class NotificationPolicy {
+    constructor() {
+        // Per-watch policy state, keyed by stateKey()
+        this.watches = new Map();
+        this.timer = null;
+
+        // Claiming an emergency alert in the Pushover app acknowledges it here too
+        pushoverService.on('acknowledged', ({ watchId }) => {
+            if (watchId) {
+                this.acknowledge(watchId);
+            }
+        });
+    }
+
+    _stateFor(watch, track = 'pickup') {
+        const key = stateKey(watch.id, track);
+        if (!this.watches.has(key)) {
+            this.watches.set(key, {
+                watch,
+                track,
+                currentStatus: null,
+                candidate: null,
+                deferred: null,
+                escalation: null,
+                lastAlerts: {},
+            });
+        }
+        return this.watches.get(key);
+    }
+
+    /**
+     * Whether a watch is inside its quiet hours
+     * @param {Object} watch - Watch configuration
+     * @param {Date} now - Time to test
+     * @returns {boolean}
+     */
+    isQuiet(watch, now = new Date()) {
+        const { quietHours } = watch.notificationPolicy;
+        if (!quietHours) {
+            return false;
+        }
+
+        const timezone = quietHours.timezone || getRegion(watch.region).timezone;
+        const { minutes } = zonedTime(now, timezone);
+        return inClockRange(minutes, parseClock(quietHours.start), parseClock(quietHours.end));
+    }
+
+    /**
+     * Feed one successful check of a watch through the policy
+     * @param {Object} watch - Watch configuration
+     * @param {Object} stockData - Stock data from this check
+     * @param {Object|null} alert - { rule, previousStatus, changes } when this
+     *   check's status change matched an alert rule
+     * @param {string} track - "pickup", or "delivery" for the delivery status
+     */
+    async observe(watch, stockData, alert = null, track = 'pickup') {
+        const state = this._stateFor(watch, track);
+        state.watch = watch;
+        state.currentStatus = stockData.status;
+
+        // An escalation ends once the watch leaves the alerted status
+        if (state.escalation && state.escalation.status !== stockData.status) {
+            logger.info(`[${watch.id}] Status is now ${stockData.status}, stopping repeated alerts`);
+            state.escalation = null;
+        }
+
+        if (alert) {
+            state.candidate = {
+                status: stockData.status,
+                rule: alert.rule,
+                previousStatus: alert.previousStatus,
+                changes: alert.changes || [],
+                count: 0,
+            };
+        } else if (state.candidate && state.candidate.status !== stockData.status) {
+            logger.info(`[${watch.id}] ${state.candidate.status} did not hold for ${watch.notificationPolicy.confirmations} checks, alert dropped`);
+            state.candidate = null;
+        }
+
+        if (state.candidate) {
+            state.candidate.count++;
+            state.candidate.stockData = stockData;
+
+            const required = watch.notificationPolicy.confirmations;
+            if (state.candidate.count < required) {
+                logger.info(`[${watch.id}] ${state.candidate.status} seen ${state.candidate.count} of ${required} times, waiting for confirmation`);
+            } else {
+                const confirmed = state.candidate;
+                state.candidate = null;
+                await this._release(state, confirmed);
+            }
+        }
+
+        this._updateTimer();
+    }
+
+    /**
+     * Apply cooldown and quiet hours to a confirmed alert
+     */
+    async _release(state, alert) {
+        const { watch } = state;
+        const cooldownMs = watch.notificationPolicy.cooldownMinutes * 60000;
+        const lastAlertAt = state.lastAlerts[alert.status];
+
+        if (lastAlertAt && Date.now() - Date.parse(lastAlertAt) < cooldownMs) {
+            logger.info(`[${watch.id}] ${alert.status} alert suppressed, last sent at ${lastAlertAt}`);
+            return;
+        }
+
+        if (this.isQuiet(watch)) {
+            logger.info(`[${watch.id}] Quiet hours, holding ${alert.status} alert until they end`);
+            state.deferred = alert;
+            return;
+        }
+
+        await this._deliver(state, alert);
+    }
+
+    /**
+     * Send an alert and start its escalation when the policy asks for one
+     */
+    async _deliver(state, alert, repeat = 0) {
+        const { watch } = state;
+        logger.info(`[${watch.id}] Sending ${alert.rule.priority} priority ${state.track} notification${repeat ? ` (repeat ${repeat})` : ''}`);
+
+        const success = await notificationService.notifyStatusChange(watch, alert.stockData, {
+            priority: alert.rule.priority,
+            title: alert.rule.title,
+            previousStatus: alert.previousStatus,
+            changes: alert.changes || [],
+            track: state.track,
+            repeat,
+        });
+
+        if (success) {
+            logger.info('Notification sent successfully');
+        } else {
+            logger.error('Failed to send notification');
+        }
+
+        const sentAt = new Date().toISOString();
+        state.lastAlerts[alert.status] = sentAt;
+
+        const { escalation } = watch.notificationPolicy;
+        if (repeat === 0 && escalation && escalation.priorities.includes(alert.rule.priority)) {
+            state.escalation = { ...alert, repeats: 0, startedAt: sentAt, lastSentAt: sentAt };
+        } else if (state.escalation) {
+            state.escalation.lastSentAt = sentAt;
+        }
+    }
+
+    /**
+     * Send held-back alerts after quiet hours and due escalation repeats
+     */
+    async _tick() {
+        const now = Date.now();
+
+        for (const state of this.watches.values()) {
+            const { watch } = state;
+            if (this.isQuiet(watch)) {
+                continue;
+            }
+
+            if (state.deferred) {
+                const alert = state.deferred;
+                state.deferred = null;
+                if (alert.status === state.currentStatus) {
+                    await this._deliver(state, alert);
+                } else {
+                    logger.info(`[${watch.id}] Held-back ${alert.status} alert is stale, dropped`);
+                }
+            }
+
+            const { escalation } = state;
+            const options = watch.notificationPolicy.escalation;
+            if (escalation && options && now - Date.parse(escalation.lastSentAt) >= options.intervalMinutes * 60000) {
+                escalation.repeats++;
+                await this._deliver(state, escalation, escalation.repeats);
+                if (escalation.repeats >= options.maxRepeats) {
+                    logger.warn(`[${watch.id}] Alert not acknowledged after ${escalation.repeats} repeats, giving up`);
+                    state.escalation = null;
+                }
+            }
+        }
+
+        this._updateTimer();
+    }
+
+    /**
+     * Run the timer only while alerts are held back or escalating
+     */
+    _updateTimer() {
+        const pending = [...this.watches.values()].some(state => state.deferred || state.escalation);
+
+        if (pending && !this.timer) {
+            this.timer = setInterval(() => {
+                this._tick().catch(error => logger.error('Notification policy tick failed', error));
+            }, TICK_MS);
+            this.timer.unref();
+        } else if (!pending && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Acknowledge a watch's alert, ending its escalation and cancelling an
+     * unacknowledged Pushover emergency alert
+     * @param {string} watchId - Watch id
+     * @returns {boolean} False when nothing was waiting for acknowledgement
+     */
+    acknowledge(watchId) {
+        const states = TRACKS.map(track => this.watches.get(stateKey(watchId, track)))
+            .filter(state => state && (state.escalation || state.deferred));
+        const pendingEmergency = pushoverService.hasPendingReceipt(watchId);
+        if (!pendingEmergency && states.length === 0) {
+            return false;
+        }
+
+        logger.info(`[${watchId}] Alert acknowledged`);
+        states.forEach((state) => {
+            state.escalation = null;
+            state.deferred = null;
+        });
+        this._updateTimer();
+        if (pendingEmergency) {
+            pushoverService.cancelReceipts(watchId)
+                .catch(error => logger.error(`[${watchId}] Failed to cancel emergency alert`, error));
+        }
+        return true;
+    }
+
+    /**
+     * Replace the configuration of a watch that was edited
+     * @param {Object} watch - Updated watch configuration
+     */
+    updateWatch(watch) {
+        TRACKS.forEach((track) => {
+            const state = this.watches.get(stateKey(watch.id, track));
+            if (state) {
+                state.watch = watch;
+            }
+        });
+    }
+
+    /**
+     * Forget a removed watch
+     * @param {string} watchId - Watch id
+     */
+    removeWatch(watchId) {
+        TRACKS.forEach(track => this.watches.delete(stateKey(watchId, track)));
+        this._updateTimer();
+    }
+
+    /**
+     * Resume re-evaluating held-back alerts and escalations kept across a stop
+     */
+    start() {
+        this._updateTimer();
+    }
+
+    /**
+     * Stop re-evaluating held-back alerts and escalations
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Pending confirmation, held-back alert, escalation and last alert
+     * times of one track
+     */
+    _describeTrack(state) {
+        if (!state) {
+            return { pendingConfirmation: null, heldBack: null, escalation: null, lastAlerts: {} };
+        }
+
+        return {
+            pendingConfirmation: state.candidate
+                ? {
+                    status: state.candidate.status,
+                    count: state.candidate.count,
+                    required: state.watch.notificationPolicy.confirmations,
+                }
+                : null,
+            heldBack: state.deferred ? { status: state.deferred.status } : null,
+            escalation: state.escalation
+                ? {
+                    status: state.escalation.status,
+                    repeats: state.escalation.repeats,
+                    startedAt: state.escalation.startedAt,
+                    lastSentAt: state.escalation.lastSentAt,
+                }
+                : null,
+            lastAlerts: state.lastAlerts,
+        };
+    }
+
+    /**
+     * Policy state of one watch for /status, with its delivery track under `delivery`
+     * @param {string} watchId - Watch id
+     * @returns {Object}
+     */
+    getWatchStatus(watchId) {
+        const { lastAlerts, ...pickup } = this._describeTrack(this.watches.get(watchId));
+        return {
+            ...pickup,
+            emergency: pushoverService.getReceiptStatus(watchId),
+            lastAlerts,
+            delivery: this._describeTrack(this.watches.get(stateKey(watchId, 'delivery'))),
+        };
+    }
+
+    /**
+     * Serialisable policy state of one watch for the state file
+     * @param {string} watchId - Watch id
+     * @returns {Object|null}
+     */
+    exportState(watchId) {
+        const [pickup, delivery] = TRACKS.map((track) => {
+            const state = this.watches.get(stateKey(watchId, track));
+            if (!state) {
+                return null;
+            }
+            const { candidate, deferred, escalation, lastAlerts, currentStatus } = state;
+            return { currentStatus, candidate, deferred, escalation, lastAlerts };
+        });
+
+        if (!pickup && !delivery) {
+            return null;
+        }
+        return { ...pickup, delivery };
+    }
+
+    /**
+     * Restore policy state saved by exportState()
+     * @param {Object} watch - Watch configuration
+     * @param {Object|null} saved - Saved policy state
+     */
+    importState(watch, saved) {
+        if (!saved) {
+            return;
+        }
+
+        const { delivery, ...pickup } = saved;
+        [['pickup', pickup], ['delivery', delivery]]
+            .filter(([, track]) => track)
+            .forEach(([track, trackState]) => {
+                Object.assign(this._stateFor(watch, track), {
+                    currentStatus: trackState.currentStatus || null,
+                    candidate: trackState.candidate || null,
+                    deferred: trackState.deferred || null,
+                    escalation: trackState.escalation || null,
+                    lastAlerts: trackState.lastAlerts || {},
+                });
+            });
+        this._updateTimer();
+    }
+}
+
+module.exports = new NotificationPolicy();
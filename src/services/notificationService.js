@@ -0,0 +1,212 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { createNotifier } = require('./notifiers');
+const { render } = require('../utils/template');
+const { getRegion } = require('../config/regions');
+const { getStore, formatAddress, mapsUrl } = require('../config/stores');
+
+/**
+ * Registry of notification channels configured in config.yml.
+ * Fans each alert out to every enabled channel.
+ */
+class NotificationService {
+    constructor() {
+        // Disabled channels are skipped so they need not be fully configured
+        this.channels = config.notifications
+            .filter(options => options.enabled)
+            .map(options => createNotifier(options.name, options));
+    }
+
+    /**
+     * Channels that are currently enabled
+     * @returns {BaseNotifier[]}
+     */
+    getEnabledChannels() {
+        return this.channels.filter(channel => channel.enabled);
+    }
+
+    /**
+     * Build template values for a watch's stock data
+     * @param {Object} watch - Watch configuration
+     * @param {Object} stockData - Stock availability data
+     * @returns {Object} Template context
+     */
+    buildContext(watch, stockData) {
+        const region = getRegion(watch.region);
+        if (watch.type === 'json') {
+            return this._buildJsonContext(watch, stockData, region);
+        }
+
+        // Stock found at a nearby store is located at that store
+        const store = getStore(stockData.nearbyStore ? stockData.nearbyStore.storeNumber : watch.storeNumber);
+        const storeName = stockData.storeName || (store && store.name) || watch.storeNumber;
+        return {
+            watchId: watch.id,
+            watchType: watch.type,
+            label: watch.label,
+            part: watch.label !== watch.partNumber ? `${watch.label} (${watch.partNumber})` : watch.partNumber,
+            partNumber: watch.partNumber,
+            storeNumber: watch.storeNumber,
+            storeName,
+            // Address from the store directory, the store name when unknown
+            storeAddress: formatAddress(store) || storeName,
+            storeCity: (store && store.city) || '',
+            // Google Maps link to the store's coordinates, or a search for its name
+            mapsUrl: mapsUrl(store, storeName),
+            message: stockData.message,
+            available: stockData.available,
+            // Delivery quote of the part and its estimate in days, when the response had one
+            deliveryQuote: stockData.delivery ? stockData.delivery.quote : null,
+            deliveryDays: stockData.delivery ? stockData.delivery.days : null,
+            region: region.code,
+            regionName: region.name,
+            // Storefront link, e.g. https://www.apple.com/sg/shop/buy-iphone
+            buyUrl: region.shopUrl,
+            // Pushover recipient names, null for every recipient
+            recipients: watch.recipients,
+            timestamp: new Date().toISOString(),
+        };
+    }
+
+    /**
+     * Template values of a JSON watch. Part and store values are empty and
+     * buyUrl links to the watched endpoint.
+     */
+    _buildJsonContext(watch, stockData, region) {
+        return {
+            watchId: watch.id,
+            watchType: watch.type,
+            label: watch.label,
+            part: watch.label,
+            partNumber: '',
+            storeNumber: '',
+            storeName: '',
+            storeAddress: '',
+            storeCity: '',
+            mapsUrl: '',
+            message: stockData.message,
+            available: stockData.available,
+            deliveryQuote: null,
+            deliveryDays: null,
+            region: region.code,
+            regionName: region.name,
+            // Placeholders are left in, so no secret reaches the channels
+            buyUrl: watch.url,
+            recipients: watch.recipients,
+            timestamp: new Date().toISOString(),
+        };
+    }
+
+    /**
+     * Send a notification context to every enabled channel
+     * @param {Object} context - Template context
+     * @param {string} priority - Priority level (lowest, low, normal, high, emergency)
+     * @returns {Promise<boolean>} True if at least one channel succeeded
+     */
+    async dispatch(context, priority = 'normal') {
+        const channels = this.getEnabledChannels();
+        if (channels.length === 0) {
+            logger.warn('No notification channels are enabled');
+            return false;
+        }
+
+        const results = await Promise.all(channels.map(channel => channel.notify(context, priority)));
+        return results.some(Boolean);
+    }
+
+    /**
+     * Send a test alert through each enabled channel in turn
+     * @param {Object} watch - Watch whose details fill the templates
+     * @param {string|null} channelName - Only this channel, or null for all
+     * @returns {Promise<{channel: string, success: boolean}[]>} Result per channel
+     */
+    async sendTest(watch, channelName = null) {
+        const context = {
+            ...this.buildContext(watch, { message: 'Test notification, no stock change', available: false }),
+            status: 'test',
+            previousStatus: 'none',
+            headline: `Test notification: ${watch.label}`,
+        };
+
+        const results = [];
+        for (const channel of this.getEnabledChannels()) {
+            if (channelName && channel.name !== channelName) {
+                continue;
+            }
+            results.push({ channel: channel.name, success: await channel.notify(context, 'normal') });
+        }
+        return results;
+    }
+
+    /**
+     * Send a notification for a status transition chosen by an alert rule
+     * @param {Object} watch - Watch configuration
+     * @param {Object} stockData - Stock availability data
+     * @param {Object} alert - Alert details
+     * @param {string} alert.priority - Priority level (lowest, low, normal, high, emergency)
+     * @param {string|null} alert.title - Headline from the alert rule
+     * @param {string|null} alert.previousStatus - Status before the transition
+     * @param {Object[]} alert.changes - Change events of the check that raised the alert
+     * @param {string} alert.track - "pickup", or "delivery" for a delivery status alert
+     * @param {number} alert.repeat - Escalation repeat number, 0 for the first alert
+     * @returns {Promise<boolean>} True if at least one channel succeeded
+     */
+    async notifyStatusChange(watch, stockData, { priority = 'high', title = null, previousStatus = null, changes = [], track = 'pickup', repeat = 0 } = {}) {
+        // Delivery changes are the part's, pickup changes the watch's own
+        const scope = track === 'delivery' ? 'part' : 'watch';
+        const context = {
+            ...this.buildContext(watch, stockData),
+            status: stockData.status,
+            previousStatus: previousStatus || 'none',
+            track,
+            // Type of the tracked change, e.g. "became-available"
+            change: (changes.find(change => change.scope === scope) || {}).type || null,
+            // One line per change event
+            changes: changes.map(change => change.summary).join('\n'),
+        };
+        let defaultHeadline = stockData.available ? 'iPhone Stock Available!' : '{{label}}: {{previousStatus}} -> {{status}}';
+        if (track === 'delivery') {
+            defaultHeadline = stockData.available ? '{{label}} can be delivered: {{message}}' : '{{label}} delivery: {{previousStatus}} -> {{status}}';
+        } else if (watch.type === 'json') {
+            defaultHeadline = stockData.available ? '{{label}} matched: {{message}}' : '{{label}}: {{message}}';
+        }
+        context.headline = render(title || defaultHeadline, context);
+        if (repeat > 0) {
+            context.headline = `[Reminder ${repeat}] ${context.headline}`;
+        }
+
+        return await this.dispatch(context, priority);
+    }
+
+    /**
+     * Send a notification when the monitor starts or stops failing to check a watch
+     * @param {Object} watch - Watch configuration
+     * @param {Object} health - Health change
+     * @param {boolean} health.degraded - True when checks keep failing, false on recovery
+     * @param {number} health.failures - Failed checks in a row
+     * @param {string|null} health.error - Last error message
+     * @param {string} health.since - When the failures started
+     * @param {string} priority - Priority level (lowest, low, normal, high, emergency)
+     * @returns {Promise<boolean>} True if at least one channel succeeded
+     */
+    async notifyMonitorHealth(watch, { degraded, failures, error = null, since }, priority = 'normal') {
+        const context = {
+            ...this.buildContext(watch, {
+                message: degraded
+                    ? `${failures} checks failed in a row since ${since}: ${error}`
+                    : `Checks are succeeding again after ${failures} failures since ${since}`,
+                available: false,
+            }),
+            health: degraded ? 'degraded' : 'recovered',
+            failures,
+            error,
+        };
+        context.headline = degraded
+            ? render('Monitor degraded: {{label}}', context)
+            : render('Monitor recovered: {{label}}', context);
+
+        return await this.dispatch(context, priority);
+    }
+}
+
+module.exports = new NotificationService();
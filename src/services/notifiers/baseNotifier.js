@@ -0,0 +1,109 @@
+const logger = require('../../utils/logger');
+const metricsService = require('../metricsService');
+const { render } = require('../../utils/template');
+
+// Headline chosen by the matching alert rule
+const DEFAULT_TITLE = '{{headline}}';
+const DEFAULT_TEMPLATE =
+    'Part: {{part}}\n' +
+    'Store: {{storeName}}\n' +
+    'Address: {{storeAddress}}\n' +
+    'Status: {{message}}\n\n' +
+    'Check now: {{buyUrl}}\n' +
+    'Map: {{mapsUrl}}';
+// JSON watches have no part or store
+const DEFAULT_JSON_TEMPLATE =
+    'Watch: {{label}}\n' +
+    'Value: {{message}}\n\n' +
+    'Source: {{buyUrl}}';
+
+/**
+ * Base class for notification channels.
+ * Subclasses implement `send(notification)` and resolve to true on success.
+ */
+class BaseNotifier {
+    /**
+     * @param {string} name - Channel name from config.yml
+     * @param {Object} options - Channel options
+     * @param {boolean} options.enabled - Whether the channel is active
+     * @param {string} options.title - Title template
+     * @param {string} options.template - Message template
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.type = options.type;
+        this.enabled = options.enabled !== false;
+        this.titleTemplate = options.title || DEFAULT_TITLE;
+        // Null picks the default template for the watch's type
+        this.messageTemplate = options.template || null;
+        this.options = options;
+    }
+
+    /**
+     * Message template for a notification context
+     * @param {Object} context - Template values
+     * @returns {string}
+     */
+    messageTemplateFor(context) {
+        if (this.messageTemplate) {
+            return this.messageTemplate;
+        }
+        return context.watchType === 'json' ? DEFAULT_JSON_TEMPLATE : DEFAULT_TEMPLATE;
+    }
+
+    /**
+     * Render the channel's templates against a notification context
+     * @param {Object} context - Template values
+     * @returns {{title: string, message: string}}
+     */
+    render(context) {
+        return {
+            title: render(this.titleTemplate, context),
+            message: render(this.messageTemplateFor(context), context),
+        };
+    }
+
+    /**
+     * Render and deliver a notification, never throwing
+     * @param {Object} context - Template values
+     * @param {string} priority - Priority level (lowest, low, normal, high, emergency)
+     * @returns {Promise<boolean>} Success status
+     */
+    async notify(context, priority = 'normal') {
+        try {
+            const { title, message } = this.render(context);
+            logger.debug(`Sending ${this.name} notification: ${title}`);
+
+            const success = await this.send({
+                title,
+                message,
+                priority,
+                url: context.buyUrl,
+                context,
+            });
+
+            if (success) {
+                logger.info(`${this.name} notification sent successfully`);
+            } else {
+                logger.error(`${this.name} notification was rejected`);
+            }
+            metricsService.recordNotification(this.name, success);
+            return success;
+        } catch (error) {
+            logger.error(`Failed to send ${this.name} notification`, error);
+            metricsService.recordNotification(this.name, false);
+            return false;
+        }
+    }
+
+    /**
+     * Deliver a rendered notification
+     * @param {Object} notification - Rendered notification
+     * @returns {Promise<boolean>} Success status
+     */
+    async send(notification) {
+        throw new Error(`${this.constructor.name} must implement send()`);
+    }
+}
+
+module.exports = BaseNotifier;
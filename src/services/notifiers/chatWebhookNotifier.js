@@ -0,0 +1,28 @@
+const BaseNotifier = require('./baseNotifier');
+const { postJson, isSuccess } = require('../../utils/httpClient');
+
+/**
+ * Slack- or Discord-style incoming webhook channel.
+ * `style: slack` posts `{ text }`, `style: discord` posts `{ content }`.
+ */
+class ChatWebhookNotifier extends BaseNotifier {
+    constructor(name, options) {
+        super(name, options);
+        if (!options.url) {
+            throw new Error(`Notification channel "${name}" requires a url`);
+        }
+        this.url = options.url;
+        this.style = options.style || options.type;
+    }
+
+    async send({ title, message }) {
+        const payload = this.style === 'discord'
+            ? { content: `**${title}**\n${message}` }
+            : { text: `*${title}*\n${message}` };
+
+        const response = await postJson(this.url, payload);
+        return isSuccess(response.statusCode);
+    }
+}
+
+module.exports = ChatWebhookNotifier;
@@ -0,0 +1,36 @@
+const BaseNotifier = require('./baseNotifier');
+const { sendMail } = require('../../utils/smtpClient');
+
+/**
+ * SMTP email channel
+ */
+class EmailNotifier extends BaseNotifier {
+    constructor(name, options) {
+        super(name, options);
+        if (!options.host || !options.from || !options.to) {
+            throw new Error(`Notification channel "${name}" requires host, from and to`);
+        }
+        this.server = {
+            host: options.host,
+            port: options.port,
+            secure: options.secure,
+            starttls: options.starttls,
+            username: options.username,
+            password: options.password,
+        };
+        this.from = options.from;
+        this.to = Array.isArray(options.to) ? options.to : [options.to];
+    }
+
+    async send({ title, message }) {
+        await sendMail(this.server, {
+            from: this.from,
+            to: this.to,
+            subject: title,
+            text: message,
+        });
+        return true;
+    }
+}
+
+module.exports = EmailNotifier;
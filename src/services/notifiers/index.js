@@ -0,0 +1,36 @@
+const PushoverNotifier = require('./pushoverNotifier');
+const WebhookNotifier = require('./webhookNotifier');
+const ChatWebhookNotifier = require('./chatWebhookNotifier');
+const TelegramNotifier = require('./telegramNotifier');
+const NtfyNotifier = require('./ntfyNotifier');
+const EmailNotifier = require('./emailNotifier');
+
+/**
+ * Notification channel types that can be configured in config.yml
+ */
+const notifierTypes = {
+    pushover: PushoverNotifier,
+    webhook: WebhookNotifier,
+    slack: ChatWebhookNotifier,
+    discord: ChatWebhookNotifier,
+    telegram: TelegramNotifier,
+    ntfy: NtfyNotifier,
+    email: EmailNotifier,
+};
+
+/**
+ * Create a notifier for a configured channel
+ * @param {string} name - Channel name
+ * @param {Object} options - Channel options, `type` defaults to the name
+ * @returns {BaseNotifier}
+ */
+function createNotifier(name, options) {
+    const type = options.type || name;
+    const Notifier = notifierTypes[type];
+    if (!Notifier) {
+        throw new Error(`Unknown notification channel type "${type}" for "${name}"`);
+    }
+    return new Notifier(name, { ...options, type });
+}
+
+module.exports = { createNotifier, notifierTypes };
@@ -0,0 +1,52 @@
+const BaseNotifier = require('./baseNotifier');
+const { request, isSuccess } = require('../../utils/httpClient');
+
+/**
+ * ntfy channel: publishes the message to a topic
+ */
+class NtfyNotifier extends BaseNotifier {
+    constructor(name, options) {
+        super(name, options);
+        if (!options.topic) {
+            throw new Error(`Notification channel "${name}" requires a topic`);
+        }
+        this.server = (options.server || 'https://ntfy.sh').replace(/\/+$/, '');
+        this.topic = options.topic;
+        this.token = options.token;
+    }
+
+    async send({ title, message, priority, url }) {
+        const priorityMap = {
+            lowest: '1',
+            low: '2',
+            normal: '3',
+            high: '4',
+            emergency: '5',
+        };
+
+        const headers = {
+            'Content-Type': 'text/plain; charset=utf-8',
+            // Header values must be ASCII; ntfy accepts RFC 2047 encoded titles
+            Title: /^[\x20-\x7e]*$/.test(title)
+                ? title
+                : `=?UTF-8?B?${Buffer.from(title, 'utf8').toString('base64')}?=`,
+            Priority: priorityMap[priority] || '3',
+        };
+        if (url) {
+            headers.Click = url;
+        }
+        if (this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        }
+
+        const response = await request(`${this.server}/${encodeURIComponent(this.topic)}`, {
+            method: 'POST',
+            headers,
+            body: message,
+        });
+
+        return isSuccess(response.statusCode);
+    }
+}
+
+module.exports = NtfyNotifier;
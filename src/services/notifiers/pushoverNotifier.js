@@ -0,0 +1,71 @@
+const BaseNotifier = require('./baseNotifier');
+const pushoverService = require('../pushoverService');
+const { render } = require('../../utils/template');
+
+/**
+ * Notification channel backed by the Pushover API.
+ * Channel options sound, device, html, urlTitle, ttl, retry and expire are
+ * passed on as Pushover message parameters. Each recipient routed to the
+ * watch gets its own message, rendered with {{recipient}} and optionally
+ * the recipient's own title and template.
+ */
+class PushoverNotifier extends BaseNotifier {
+    constructor(name, options) {
+        super(name, options);
+        this.messageOptions = {
+            sound: options.sound,
+            device: options.device,
+            html: options.html,
+            ttl: options.ttl,
+            retry: options.retry,
+            expire: options.expire,
+            callback: options.callback,
+            tags: options.tags,
+        };
+        this.urlTitleTemplate = options.urlTitle || null;
+    }
+
+    /**
+     * Render a notification for one recipient
+     * @param {Object} recipient - Pushover recipient
+     * @param {Object} context - Template values
+     * @returns {{title: string, message: string, context: Object}}
+     */
+    _renderFor(recipient, context) {
+        const personal = { ...context, recipient: recipient.label };
+        return {
+            title: render(recipient.title || this.titleTemplate, personal),
+            message: render(recipient.template || this.messageTemplateFor(personal), personal),
+            context: personal,
+        };
+    }
+
+    async send({ title, message, priority, url, context }) {
+        if (pushoverService.recipients.length === 0) {
+            // Without named recipients, PUSHOVER_USER_KEY receives the message
+            return await pushoverService.sendNotification(title, message, priority, {
+                ...this.messageOptions,
+                url,
+                urlTitle: this.urlTitleTemplate ? render(this.urlTitleTemplate, context) : null,
+                watchId: context.watchId,
+            });
+        }
+
+        const recipients = pushoverService.getRecipients(context.recipients);
+        const results = await Promise.all(recipients.map((recipient) => {
+            const personal = this._renderFor(recipient, context);
+            return pushoverService.sendNotification(personal.title, personal.message, priority, {
+                ...this.messageOptions,
+                device: recipient.devices.length > 0 ? recipient.devices : this.messageOptions.device,
+                url,
+                urlTitle: this.urlTitleTemplate ? render(this.urlTitleTemplate, personal.context) : null,
+                user: recipient.keys,
+                watchId: context.watchId,
+                recipient: recipient.name,
+            });
+        }));
+        return results.some(Boolean);
+    }
+}
+
+module.exports = PushoverNotifier;
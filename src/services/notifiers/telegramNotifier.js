@@ -0,0 +1,29 @@
+const BaseNotifier = require('./baseNotifier');
+const { postJson, isSuccess } = require('../../utils/httpClient');
+
+/**
+ * Telegram bot channel using the sendMessage API
+ */
+class TelegramNotifier extends BaseNotifier {
+    constructor(name, options) {
+        super(name, options);
+        if (!options.botToken || !options.chatId) {
+            throw new Error(`Notification channel "${name}" requires botToken and chatId`);
+        }
+        this.apiUrl = options.apiUrl || 'https://api.telegram.org';
+        this.botToken = options.botToken;
+        this.chatId = options.chatId;
+    }
+
+    async send({ title, message }) {
+        const response = await postJson(`${this.apiUrl}/bot${this.botToken}/sendMessage`, {
+            chat_id: this.chatId,
+            text: `${title}\n\n${message}`,
+            disable_web_page_preview: true,
+        });
+
+        return isSuccess(response.statusCode);
+    }
+}
+
+module.exports = TelegramNotifier;
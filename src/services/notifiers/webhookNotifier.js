@@ -0,0 +1,34 @@
+const BaseNotifier = require('./baseNotifier');
+const { postJson, isSuccess } = require('../../utils/httpClient');
+
+/**
+ * Generic webhook channel: POSTs the notification as JSON
+ */
+class WebhookNotifier extends BaseNotifier {
+    constructor(name, options) {
+        super(name, options);
+        if (!options.url) {
+            throw new Error(`Notification channel "${name}" requires a url`);
+        }
+        this.url = options.url;
+        this.headers = options.headers || {};
+    }
+
+    async send({ title, message, priority, url, context }) {
+        const response = await postJson(this.url, {
+            title,
+            message,
+            priority,
+            url,
+            watch: context.watchId,
+            partNumber: context.partNumber,
+            storeNumber: context.storeNumber,
+            available: context.available,
+            timestamp: context.timestamp,
+        }, this.headers);
+
+        return isSuccess(response.statusCode);
+    }
+}
+
+module.exports = WebhookNotifier;
@@ -0,0 +1,99 @@
+const appleStoreService = require('../appleStoreService');
+const logger = require('../../utils/logger');
+
+/**
+ * Provider for Apple pickup availability: watches sharing a store, fetch
+ * strategy and storefront are checked with one fulfillment-messages request.
+ */
+class AppleProvider {
+    constructor() {
+        this.type = 'apple';
+    }
+
+    groupKey(watch) {
+        return `apple|${watch.storeNumber}|${watch.fetcher}|${watch.region}`;
+    }
+
+    targetKey(watch) {
+        return `${watch.partNumber}@${watch.storeNumber}`;
+    }
+
+    describe(watch) {
+        return `${watch.partNumber} at ${watch.storeNumber}`;
+    }
+
+    describeRequest(watch) {
+        return { name: watch.storeNumber, fetcher: watch.fetcher };
+    }
+
+    async check(watches) {
+        const { storeNumber, fetcher, region } = watches[0];
+        const partNumbers = [...new Set(watches.map(watch => watch.partNumber))];
+        const result = await appleStoreService.checkAvailability(storeNumber, partNumbers, fetcher, region);
+
+        return Object.fromEntries(watches.map(watch => [
+            watch.id,
+            this._resolveStockData(watch, result.parts[watch.partNumber]),
+        ]));
+    }
+
+    // Closes the browser, so every check looks like a fresh session
+    async cleanup() {
+        await appleStoreService.cleanup();
+    }
+
+    /**
+     * Check whether a nearby store qualifies for a watch's nearby option
+     * @param {Object} nearby - Watch nearby option
+     * @param {Object} store - Parsed store availability
+     * @returns {boolean}
+     */
+    _isNearbyMatch(nearby, store) {
+        const allowed = nearby.stores.some(entry =>
+            entry === store.storeNumber ||
+            entry.toLowerCase() === store.storeName.toLowerCase()
+        );
+        const withinDistance = nearby.maxDistanceKm !== null &&
+            store.distanceKm !== null &&
+            store.distanceKm <= nearby.maxDistanceKm;
+
+        return allowed || withinDistance;
+    }
+
+    /**
+     * Apply the watch's nearby option to the parsed part result.
+     * When the home store is out of stock but a qualifying nearby store has
+     * the part, the watch is reported available at that store.
+     * @param {Object} watch - Watch configuration
+     * @param {Object} partResult - Parsed availability for the watched part
+     * @returns {Object} Stock data for change detection and notifications
+     */
+    _resolveStockData(watch, partResult) {
+        if (partResult.available || !watch.nearby) {
+            return partResult;
+        }
+
+        const match = partResult.stores
+            .filter(store => store.storeNumber !== partResult.storeNumber && store.available)
+            .filter(store => this._isNearbyMatch(watch.nearby, store))
+            .sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity))[0];
+
+        if (!match) {
+            return partResult;
+        }
+
+        const distance = match.distanceKm !== null ? ` (${match.distanceKm} km)` : '';
+        logger.info(`[${watch.id}] Available at nearby store ${match.storeName}${distance}`);
+
+        return {
+            ...partResult,
+            status: match.status,
+            available: true,
+            message: `${match.message} at ${match.storeName}${distance}`,
+            storeName: match.storeName,
+            nearbyStore: match,
+        };
+    }
+}
+
+module.exports = new AppleProvider();
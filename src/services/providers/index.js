@@ -0,0 +1,45 @@
+const appleProvider = require('./appleProvider');
+const jsonProvider = require('./jsonProvider');
+
+/**
+ * Check providers, keyed by watch `type`. The monitor schedules, diffs and
+ * notifies every watch the same way and leaves the check to its provider:
+ *
+ * - `groupKey(watch)`: watches with the same key are checked with one request
+ * - `targetKey(watch)`: what the watch checks; a watch whose target changes
+ *   starts over with a new baseline
+ * - `describe(watch)`: short description of the watch for logs
+ * - `describeRequest(watch)`: `{name, fetcher}` of the group's request, for
+ *   logs and metrics; may throw, which fails the check
+ * - `check(watches)`: resolves to stock data keyed by watch id, with at least
+ *   `status`, `available`, `message`, `storeNumber`, `storeName` and `stores`;
+ *   rejects when the request fails
+ * - `cleanup()`: called after every check, successful or not, and on stop
+ */
+const providers = {
+    apple: appleProvider,
+    json: jsonProvider,
+};
+
+/**
+ * Look up the provider of a watch type
+ * @param {string} type - Watch type, e.g. "json"
+ * @returns {Object} Provider
+ */
+function getProvider(type) {
+    const provider = providers[type || 'apple'];
+    if (!provider) {
+        throw new Error(`Unknown watch type "${type}"`);
+    }
+    return provider;
+}
+
+/**
+ * Every registered provider
+ * @returns {Object[]}
+ */
+function listProviders() {
+    return Object.values(providers);
+}
+
+module.exports = { getProvider, listProviders };
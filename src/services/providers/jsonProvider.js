@@ -0,0 +1,117 @@
+const httpClient = require('../../utils/httpClient');
+const { expandEnv } = require('../../config/watches');
+const { compileMatcher } = require('../../utils/match');
+const { compilePath, isMultiple, readPath } = require('../../utils/jsonPath');
+
+// Longest field value shown in messages and used as a status
+const MAX_VALUE_LENGTH = 200;
+
+/**
+ * Display text of a field value
+ */
+function formatValue(value) {
+    if (value === undefined) {
+        return 'missing';
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Provider for JSON watches: requests any JSON endpoint and reads one field.
+ * Watches with the same request share it, each reading its own field.
+ */
+class JsonProvider {
+    constructor() {
+        this.type = 'json';
+    }
+
+    groupKey(watch) {
+        return `json|${watch.method}|${watch.url}|${JSON.stringify(watch.headers)}|${JSON.stringify(watch.body)}`;
+    }
+
+    targetKey(watch) {
+        return `${watch.method} ${watch.url} ${watch.field}`;
+    }
+
+    describe(watch) {
+        return `${watch.field} of ${watch.method} ${watch.url}`;
+    }
+
+    // Named by the endpoint's host
+    describeRequest(watch) {
+        return { name: new URL(expandEnv(watch.url, `[${watch.id}] url`)).host, fetcher: 'http' };
+    }
+
+    // Placeholders are expanded for each request, and an object body is sent as JSON
+    async check(watches) {
+        const { id, url, method, headers, body } = watches[0];
+        const where = `[${id}]`;
+        const payload = body === null || typeof body === 'string' ? body : JSON.stringify(body);
+        const requestHeaders = Object.fromEntries(Object.entries(headers)
+            .map(([name, value]) => [name, expandEnv(value, `${where} header ${name}`)]));
+        if (payload !== null && !Object.keys(requestHeaders).some(name => name.toLowerCase() === 'content-type')) {
+            requestHeaders['Content-Type'] = typeof body === 'string' ? 'text/plain' : 'application/json';
+        }
+
+        let response;
+        try {
+            response = await httpClient.request(expandEnv(url, `${where} url`), {
+                method,
+                headers: { Accept: 'application/json', ...requestHeaders },
+                body: payload === null ? null : expandEnv(payload, `${where} body`),
+            });
+        } catch (error) {
+            throw new Error(`Request failed: ${error.message}`);
+        }
+        if (!httpClient.isSuccess(response.statusCode)) {
+            throw new Error(`Endpoint responded with status ${response.statusCode}`);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(response.body);
+        } catch (error) {
+            throw new Error(`Response parsing failed: ${error.message}`);
+        }
+
+        return Object.fromEntries(watches.map(watch => [watch.id, this._readField(watch, data)]));
+    }
+
+    /**
+     * Read a watch's field and decide its status. With `match` the status
+     * is available while the value (any value, for a wildcard path)
+     * matches, and unavailable otherwise; without it the status is the
+     * value itself, so every change of the value is a status change.
+     * @param {Object} watch - Watch configuration
+     * @param {*} data - Parsed response
+     * @returns {Object} Stock data for change detection and notifications
+     */
+    _readField(watch, data) {
+        const segments = compilePath(watch.field);
+        const value = readPath(data, segments);
+        const text = formatValue(value);
+
+        let status = text;
+        let available = false;
+        if (watch.match !== null) {
+            const test = compileMatcher(watch.match, `${watch.id}.match`);
+            available = isMultiple(segments) ? value.some(test) : test(value);
+            status = available ? 'available' : 'unavailable';
+        }
+
+        return {
+            status,
+            available,
+            message: `${watch.field} is ${text}`,
+            value: value === undefined ? null : value,
+            storeNumber: null,
+            storeName: null,
+            stores: [],
+        };
+    }
+
+    async cleanup() {}
+}
+
+module.exports = new JsonProvider();
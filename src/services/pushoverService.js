@@ -1,60 +1,148 @@
-const https = require('https');
-const { URL } = require('url');
+const EventEmitter = require('events');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { request, postJson } = require('../utils/httpClient');
+
+// Pushover priority values (https://pushover.net/api#priority)
+const PRIORITIES = {
+    lowest: -2,
+    low: -1,
+    normal: 0,
+    high: 1,
+    emergency: 2,
+};
+
+// Limits Pushover enforces on emergency retry/expire, in seconds
+const MIN_RETRY_SECONDS = 30;
+const MAX_EXPIRE_SECONDS = 10800;
 
 /**
- * Service for sending notifications via Pushover API
+ * Service for sending notifications via Pushover API.
+ * Emergency-priority messages keep alerting until acknowledged in the
+ * Pushover app; their receipts are polled and an `acknowledged` event is
+ * emitted once someone claims the alert.
  */
-class PushoverService {
+class PushoverService extends EventEmitter {
     constructor() {
-        this.apiUrl = config.pushover.apiUrl;
-        this.apiKey = config.pushover.apiKey;
-        this.userKey = config.pushover.userKey;
+        super();
+        // Emergency receipts by receipt id
+        this.receipts = new Map();
+        this.pollTimer = null;
+        this.configure(config.pushover);
+    }
+
+    /**
+     * Apply the pushover block, at startup and when config.yml is reloaded.
+     * Receipts of emergency alerts already sent keep being polled.
+     * @param {Object} pushover - Pushover configuration
+     */
+    configure(pushover) {
+        this.apiUrl = pushover.apiUrl;
+        this.apiKey = pushover.apiKey;
+        this.userKey = pushover.userKey;
+        // Named recipients, each with user/group keys and optional devices
+        this.recipients = pushover.recipients;
+        // e.g. https://api.pushover.net/1, for the receipts API
+        this.apiBase = this.apiUrl.replace(/\/messages\.json$/, '');
+        this.receiptPollMs = pushover.receiptPollSeconds * 1000;
+
+        // Restart polling at the new interval
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+            this._updatePolling();
+        }
+    }
+
+    /**
+     * Recipients a watch notifies
+     * @param {string[]|null} names - Recipient names, or null for every recipient
+     * @returns {Object[]} Recipients
+     */
+    getRecipients(names = null) {
+        return names
+            ? this.recipients.filter(recipient => names.includes(recipient.name))
+            : this.recipients;
+    }
+
+    /**
+     * Build the messages API payload
+     * @param {string} title - Notification title
+     * @param {string} message - Notification message
+     * @param {string} priority - Priority level
+     * @param {Object} options - Optional message parameters
+     * @returns {Object} Request body
+     */
+    _buildPayload(title, message, priority, options) {
+        const payload = {
+            token: this.apiKey,
+            // Pushover accepts a comma-separated list of user and group keys
+            user: [].concat(options.user || this.userKey).join(','),
+            title,
+            message,
+            priority: PRIORITIES[priority] !== undefined ? PRIORITIES[priority] : 0,
+        };
+
+        const optional = {
+            url: options.url,
+            url_title: options.urlTitle,
+            sound: options.sound,
+            device: Array.isArray(options.device) ? options.device.join(',') : options.device,
+            html: options.html ? 1 : undefined,
+            timestamp: options.timestamp,
+            ttl: options.ttl,
+        };
+        Object.entries(optional).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                payload[key] = value;
+            }
+        });
+
+        if (payload.priority === PRIORITIES.emergency) {
+            payload.retry = Math.max(Number(options.retry) || 60, MIN_RETRY_SECONDS);
+            payload.expire = Math.min(Number(options.expire) || 3600, MAX_EXPIRE_SECONDS);
+            if (options.callback) {
+                payload.callback = options.callback;
+            }
+            if (options.tags) {
+                payload.tags = [].concat(options.tags).join(',');
+            }
+            // ttl cannot be combined with emergency priority
+            delete payload.ttl;
+        }
+
+        return payload;
     }
 
     /**
      * Send a notification via Pushover
      * @param {string} title - Notification title
      * @param {string} message - Notification message
-     * @param {string} priority - Priority level (normal, high)
+     * @param {string} priority - Priority level (lowest, low, normal, high, emergency)
+     * @param {Object} options - Optional message parameters: url, urlTitle,
+     *   sound, device, html, timestamp, ttl, and for emergency priority retry,
+     *   expire, callback and tags; user overrides the recipient key(s);
+     *   watchId and recipient link an emergency receipt to a watch
      * @returns {Promise<boolean>} Success status
      */
-    async sendNotification(title, message, priority = 'normal') {
+    async sendNotification(title, message, priority = 'normal', options = {}) {
         try {
-            const priorityMap = {
-                low: -1,
-                normal: 0,
-                high: 1,
-            };
-
-            const payload = JSON.stringify({
-                token: this.apiKey,
-                user: this.userKey,
-                title,
-                message,
-                priority: priorityMap[priority] || 0,
-            });
+            const payload = this._buildPayload(title, message, priority, options);
 
             logger.debug(`Sending Pushover notification: ${title}`);
 
-            const url = new URL(this.apiUrl);
-            const options = {
-                hostname: url.hostname,
-                port: url.port || 443,
-                path: url.pathname,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Content-Length': Buffer.byteLength(payload),
-                },
-                timeout: 10000, // 10 second timeout
-            };
-
-            const response = await this._makeRequest(options, payload);
+            const response = await this._post(this.apiUrl, payload);
 
             if (response.status === 1) {
                 logger.info('Pushover notification sent successfully');
+                if (response.receipt) {
+                    this._trackReceipt(response.receipt, {
+                        watchId: options.watchId || null,
+                        recipient: options.recipient || null,
+                        title,
+                        expireSeconds: payload.expire,
+                    });
+                }
                 return true;
             } else {
                 logger.error('Pushover API returned error', response);
@@ -67,58 +155,180 @@ class PushoverService {
     }
 
     /**
-     * Make HTTPS request
-     * @param {Object} options - Request options
-     * @param {string} payload - Request body
-     * @returns {Promise<Object>} Response data
+     * Start tracking an emergency receipt
      */
-    _makeRequest(options, payload) {
-        return new Promise((resolve, reject) => {
-            const req = https.request(options, (res) => {
-                let data = '';
-
-                res.on('data', (chunk) => {
-                    data += chunk;
-                });
-
-                res.on('end', () => {
-                    try {
-                        const parsed = JSON.parse(data);
-                        resolve(parsed);
-                    } catch (error) {
-                        logger.error('Failed to parse Pushover response', error);
-                        reject(new Error('Invalid JSON response'));
-                    }
-                });
-            });
-
-            req.on('error', (error) => {
-                reject(error);
-            });
-
-            req.on('timeout', () => {
-                req.destroy();
-                reject(new Error('Request timeout'));
-            });
-
-            req.write(payload);
-            req.end();
+    _trackReceipt(receipt, { watchId, recipient, title, expireSeconds }) {
+        const sentAt = new Date();
+        this.receipts.set(receipt, {
+            receipt,
+            watchId,
+            recipient,
+            title,
+            sentAt: sentAt.toISOString(),
+            expiresAt: new Date(sentAt.getTime() + expireSeconds * 1000).toISOString(),
+            acknowledged: false,
+            acknowledgedAt: null,
+            acknowledgedBy: null,
+            acknowledgedByDevice: null,
+            lastDeliveredAt: null,
+            expired: false,
+            cancelled: false,
         });
+        logger.info(`Emergency alert sent, tracking receipt ${receipt}`);
+        this._updatePolling();
+    }
+
+    _isPending(entry) {
+        return !entry.acknowledged && !entry.expired && !entry.cancelled;
     }
 
     /**
-     * Send stock availability notification
-     * @param {Object} stockData - Stock availability data
+     * Poll receipts only while an emergency alert is unacknowledged
      */
-    async notifyStockAvailable(stockData) {
-        const title = `iPhone Stock Available!`;
-        const message =
-            `Part: ${config.appleStore.partNumber}\n` +
-            `Store: ${stockData.storeName || config.appleStore.storeNumber}\n` +
-            `Status: ${stockData.message}\n\n` +
-            `Check now: https://www.apple.com/my/shop`;
-
-        return await this.sendNotification(title, message, 'high');
+    _updatePolling() {
+        const pending = [...this.receipts.values()].some(entry => this._isPending(entry));
+
+        if (pending && !this.pollTimer) {
+            this.pollTimer = setInterval(() => {
+                this._pollReceipts().catch(error => logger.error('Failed to poll Pushover receipts', error));
+            }, this.receiptPollMs);
+            this.pollTimer.unref();
+        } else if (!pending && this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    /**
+     * Refresh every pending receipt from the receipts API
+     */
+    async _pollReceipts() {
+        for (const entry of this.receipts.values()) {
+            if (!this._isPending(entry)) {
+                continue;
+            }
+
+            try {
+                const url = `${this.apiBase}/receipts/${entry.receipt}.json?token=${encodeURIComponent(this.apiKey)}`;
+                const response = await request(url);
+                const data = JSON.parse(response.body);
+                if (data.status !== 1) {
+                    logger.warn(`Pushover receipt ${entry.receipt} lookup failed`, { response: data });
+                    continue;
+                }
+
+                const toIso = seconds => (seconds ? new Date(seconds * 1000).toISOString() : null);
+                entry.lastDeliveredAt = toIso(data.last_delivered_at);
+                entry.expired = data.expired === 1;
+
+                if (data.acknowledged === 1) {
+                    Object.assign(entry, {
+                        acknowledged: true,
+                        acknowledgedAt: toIso(data.acknowledged_at),
+                        acknowledgedBy: data.acknowledged_by || null,
+                        acknowledgedByDevice: data.acknowledged_by_device || null,
+                    });
+                    logger.info(`Emergency alert ${entry.receipt} acknowledged${entry.acknowledgedByDevice ? ` on ${entry.acknowledgedByDevice}` : ''}`);
+                    this.emit('acknowledged', { ...entry });
+                } else if (entry.expired) {
+                    logger.warn(`Emergency alert ${entry.receipt} expired without acknowledgement`);
+                }
+            } catch (error) {
+                logger.error(`Failed to poll Pushover receipt ${entry.receipt}`, error);
+            }
+        }
+
+        this._pruneReceipts();
+        this._updatePolling();
+    }
+
+    /**
+     * Latest receipt per watch and recipient
+     * @returns {Map<string, Object>}
+     */
+    _latestReceipts() {
+        const latest = new Map();
+        this.receipts.forEach((entry) => {
+            const key = `${entry.watchId}|${entry.recipient}`;
+            const current = latest.get(key);
+            if (!current || current.sentAt <= entry.sentAt) {
+                latest.set(key, entry);
+            }
+        });
+        return latest;
+    }
+
+    /**
+     * Keep pending receipts and the latest receipt of each watch and recipient
+     */
+    _pruneReceipts() {
+        const latest = new Set(this._latestReceipts().values());
+        this.receipts.forEach((entry, receipt) => {
+            if (!this._isPending(entry) && !latest.has(entry)) {
+                this.receipts.delete(receipt);
+            }
+        });
+    }
+
+    /**
+     * Whether a watch has an emergency alert that nobody acknowledged yet
+     * @param {string} watchId - Watch id
+     * @returns {boolean}
+     */
+    hasPendingReceipt(watchId) {
+        return [...this.receipts.values()].some(entry => entry.watchId === watchId && this._isPending(entry));
+    }
+
+    /**
+     * Stop a watch's unacknowledged emergency alerts from repeating
+     * @param {string} watchId - Watch id
+     */
+    async cancelReceipts(watchId) {
+        const pending = [...this.receipts.values()].filter(entry => entry.watchId === watchId && this._isPending(entry));
+
+        for (const entry of pending) {
+            try {
+                const data = await this._post(`${this.apiBase}/receipts/${entry.receipt}/cancel.json`, { token: this.apiKey });
+                if (data.status !== 1) {
+                    logger.error(`Failed to cancel Pushover receipt ${entry.receipt}`, { response: data });
+                    continue;
+                }
+                entry.cancelled = true;
+                logger.info(`Emergency alert ${entry.receipt} cancelled`);
+            } catch (error) {
+                logger.error(`Failed to cancel Pushover receipt ${entry.receipt}`, error);
+            }
+        }
+
+        this._updatePolling();
+    }
+
+    /**
+     * Latest emergency receipt per recipient of a watch for /status
+     * @param {string} watchId - Watch id
+     * @returns {Object[]}
+     */
+    getReceiptStatus(watchId) {
+        return [...this._latestReceipts().values()]
+            .filter(entry => entry.watchId === watchId)
+            .map(entry => ({ ...entry }));
+    }
+
+    /**
+     * POST a payload to the Pushover API
+     * @param {string} url - Endpoint URL
+     * @param {Object} payload - Request body
+     * @returns {Promise<Object>} Parsed response data
+     */
+    async _post(url, payload) {
+        const response = await postJson(url, payload);
+
+        try {
+            return JSON.parse(response.body);
+        } catch (error) {
+            logger.error('Failed to parse Pushover response', error);
+            throw new Error('Invalid JSON response');
+        }
     }
 }
 
@@ -0,0 +1,226 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { compileMatcher } = require('../utils/match');
+
+// Reproduces the original behaviour: "Available Today" is available and
+// alerts fire whenever a watch becomes (or first shows up) available
+const DEFAULT_RULES = {
+    statuses: [
+        { status: 'available', match: { pickupSearchQuote: '/available today/i' } },
+    ],
+    defaultStatus: 'unavailable',
+    availableStatuses: ['available'],
+    alerts: [
+        { to: 'available', priority: 'high' },
+    ],
+};
+
+// Delivery quotes are tracked as their own status. Alerting on them is
+// opt-in through rules.delivery.alerts.
+const DEFAULT_DELIVERY_RULES = {
+    statuses: [
+        { status: 'delivery-soon', match: { days: '<= 3' } },
+        { status: 'delivery', match: { buyable: true } },
+    ],
+    defaultStatus: 'no-delivery',
+    availableStatuses: ['delivery-soon'],
+    alerts: [],
+};
+
+// JSON watches with a `match` alert when the value starts matching;
+// those without one alert on every change of the value after the first check
+const JSON_ALERT_RULES = {
+    matched: { from: undefined, to: 'available', priority: 'high', title: null },
+    changed: { from: undefined, to: undefined, priority: 'normal', title: null },
+};
+
+// `from` value of the first check, before any status is known
+const NO_STATUS = 'none';
+
+/**
+ * Read a dot-path field such as "messageTypes.regular.storePickupQuote"
+ */
+function getField(data, fieldPath) {
+    return fieldPath.split('.').reduce(
+        (current, key) => (current === undefined || current === null ? undefined : current[key]),
+        data
+    );
+}
+
+/**
+ * Match a transition endpoint: "*" (or omitted) matches anything
+ */
+function matchesState(expected, actual) {
+    if (expected === undefined || expected === '*') {
+        return true;
+    }
+    return Array.isArray(expected) ? expected.includes(actual) : expected === actual;
+}
+
+/**
+ * Compile one set of status and alert rules, falling back to the defaults
+ * for omitted sections
+ * @param {Object} rules - Rules from config.yml
+ * @param {Object} defaults - Rules used for omitted sections
+ * @param {string} prefix - Location used in error messages, e.g. "rules"
+ * @returns {Object} { statusRules, defaultStatus, availableStatuses, alertRules }
+ */
+function compileRuleSet(rules, defaults, prefix) {
+    const source = { ...defaults, ...(rules || {}) };
+    ['statuses', 'availableStatuses', 'alerts'].forEach((key) => {
+        if (!Array.isArray(source[key])) {
+            throw new Error(`${prefix}.${key} must be a list`);
+        }
+    });
+
+    const statusRules = source.statuses.map((rule, index) => {
+        const where = `${prefix}.statuses[${index}]`;
+        if (!rule || !rule.status || !rule.match || typeof rule.match !== 'object') {
+            throw new Error(`${where} must define status and match`);
+        }
+
+        const fields = Object.entries(rule.match).map(([field, expected]) => ({
+            field,
+            test: compileMatcher(expected, `${where}.match.${field}`),
+        }));
+        return { status: String(rule.status), fields };
+    });
+
+    const alertRules = source.alerts.map((rule, index) => {
+        if (!rule || typeof rule !== 'object') {
+            throw new Error(`${prefix}.alerts[${index}] must be an object`);
+        }
+        return {
+            from: rule.from,
+            to: rule.to,
+            priority: rule.priority || 'normal',
+            title: rule.title || null,
+        };
+    });
+
+    return {
+        statusRules,
+        defaultStatus: String(source.defaultStatus),
+        availableStatuses: source.availableStatuses.map(String),
+        alertRules,
+    };
+}
+
+/**
+ * Classify data with a compiled rule set
+ * @returns {{status: string, available: boolean}}
+ */
+function classifyWith(ruleSet, data) {
+    const rule = ruleSet.statusRules.find(candidate =>
+        candidate.fields.every(({ field, test }) => test(getField(data, field)))
+    );
+    const status = rule ? rule.status : ruleSet.defaultStatus;
+
+    return {
+        status,
+        available: ruleSet.availableStatuses.includes(status),
+    };
+}
+
+/**
+ * First alert rule of a compiled rule set matching a transition
+ * @returns {Object|null}
+ */
+function matchAlertWith(ruleSet, fromStatus, toStatus, kind) {
+    const from = fromStatus === null ? NO_STATUS : fromStatus;
+    const rule = ruleSet.alertRules.find(candidate =>
+        matchesState(candidate.from, from) && matchesState(candidate.to, toStatus)
+    );
+
+    logger.debug(`${kind} alert rule for ${from} -> ${toStatus}: ${rule ? `priority ${rule.priority}` : 'none'}`);
+    return rule || null;
+}
+
+/**
+ * Rule engine configured by the `rules` block in config.yml.
+ * Status rules classify a part's quote at a store into a named status;
+ * alert rules choose which status transitions send notifications.
+ * `rules.delivery` holds a second set of the same rules for the part's
+ * delivery quote.
+ */
+class RuleEngine {
+    constructor() {
+        this.load(config.rules);
+    }
+
+    /**
+     * Compile rules, falling back to the defaults for omitted sections.
+     * Invalid rules throw and leave the current rules in place.
+     * @param {Object|null} rules - `rules` block from config.yml
+     */
+    load(rules) {
+        const { delivery, ...pickup } = rules || {};
+        const pickupRules = compileRuleSet(pickup, DEFAULT_RULES, 'rules');
+        const deliveryRules = compileRuleSet(delivery, DEFAULT_DELIVERY_RULES, 'rules.delivery');
+
+        Object.assign(this, pickupRules);
+        this.delivery = deliveryRules;
+    }
+
+    /**
+     * Classify one part's availability data at a store
+     * @param {Object} partData - Entry from a store's partsAvailability
+     * @returns {{status: string, available: boolean}}
+     */
+    classify(partData) {
+        return classifyWith(this, partData);
+    }
+
+    /**
+     * Classify one part's delivery quote
+     * @param {Object} delivery - Parsed delivery quote: quote, compactQuote,
+     *   date, days, shippingCost, buyable, regular, compact
+     * @returns {{status: string, available: boolean}}
+     */
+    classifyDelivery(delivery) {
+        return classifyWith(this.delivery, delivery);
+    }
+
+    /**
+     * Find the alert rule for a status transition
+     * @param {string|null} fromStatus - Previous status, null on the first check
+     * @param {string} toStatus - New status
+     * @returns {Object|null} First matching alert rule, or null for no alert
+     */
+    matchAlert(fromStatus, toStatus) {
+        return matchAlertWith(this, fromStatus, toStatus, 'Pickup');
+    }
+
+    /**
+     * Find the delivery alert rule for a delivery status transition
+     * @param {string|null} fromStatus - Previous delivery status, null when none was known
+     * @param {string} toStatus - New delivery status
+     * @returns {Object|null} First matching alert rule, or null for no alert
+     */
+    matchDeliveryAlert(fromStatus, toStatus) {
+        return matchAlertWith(this.delivery, fromStatus, toStatus, 'Delivery');
+    }
+
+    /**
+     * Find the alert rule for a JSON watch's status transition. The status
+     * of a watch with `match` is available or unavailable; without it the
+     * status is the field's value.
+     * @param {Object} watch - JSON watch configuration
+     * @param {string|null} fromStatus - Previous status, null on the first check
+     * @param {string} toStatus - New status
+     * @returns {Object|null} Alert rule, or null for no alert
+     */
+    matchJsonAlert(watch, fromStatus, toStatus) {
+        let rule = null;
+        if (watch.match !== null) {
+            rule = toStatus === 'available' ? JSON_ALERT_RULES.matched : null;
+        } else if (fromStatus !== null) {
+            rule = JSON_ALERT_RULES.changed;
+        }
+
+        logger.debug(`JSON alert rule for ${fromStatus === null ? NO_STATUS : fromStatus} -> ${toStatus}: ${rule ? `priority ${rule.priority}` : 'none'}`);
+        return rule;
+    }
+}
+
+module.exports = new RuleEngine();
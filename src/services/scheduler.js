@@ -0,0 +1,112 @@
+const config = require('../config/config');
+const { getRegion } = require('../config/regions');
+const { zonedTime, parseClock, inClockRange } = require('../utils/time');
+
+const MINUTE_MS = 60000;
+
+/**
+ * Decides when each watch is checked next: the base interval, the interval
+ * of a polling window such as "every 30s from 07:55 to 08:30 on launch
+ * days", backoff after consecutive failures, and random jitter.
+ * Window times are in the window's timezone, or the watch's storefront
+ * timezone when none is set.
+ */
+class Scheduler {
+    constructor() {
+        this.configure(config.monitoring);
+    }
+
+    /**
+     * Apply the monitoring block's jitter, windows and backoff
+     * @param {Object} monitoring - Monitoring configuration
+     */
+    configure(monitoring) {
+        this.jitterMs = monitoring.jitterMs;
+        this.windows = monitoring.windows;
+        this.backoff = monitoring.backoff;
+    }
+
+    /**
+     * Polling window active for a watch at a moment
+     * @param {Object} watch - Watch configuration
+     * @param {Date} date - Moment to test
+     * @returns {Object|null} First matching window
+     */
+    activeWindow(watch, date = new Date()) {
+        return this.windows.find((window) => {
+            const time = zonedTime(date, window.timezone || getRegion(watch.region).timezone);
+            if (window.days.length > 0 && !window.days.includes(time.weekday)) {
+                return false;
+            }
+            if (window.dates.length > 0 && !window.dates.includes(time.date)) {
+                return false;
+            }
+            return inClockRange(time.minutes, parseClock(window.from), parseClock(window.to));
+        }) || null;
+    }
+
+    /**
+     * Check interval for a watch at a moment, before jitter
+     * @param {Object} watch - Watch configuration
+     * @param {number} baseIntervalMs - Interval outside polling windows
+     * @param {number} failures - Consecutive failed checks of the watch
+     * @param {Date} date - Moment to plan for
+     * @returns {{intervalMs: number, jitterMs: number, window: string|null, backedOff: boolean}}
+     */
+    intervalFor(watch, baseIntervalMs, failures = 0, date = new Date()) {
+        const window = this.activeWindow(watch, date);
+        let intervalMs = window ? window.intervalMs : baseIntervalMs;
+        let backedOff = false;
+
+        if (this.backoff && failures >= this.backoff.afterFailures) {
+            const steps = failures - this.backoff.afterFailures + 1;
+            const ceiling = Math.max(this.backoff.maxIntervalMs, intervalMs);
+            intervalMs = Math.min(intervalMs * this.backoff.factor ** steps, ceiling);
+            backedOff = true;
+        }
+
+        return {
+            intervalMs,
+            jitterMs: window && window.jitterMs !== null ? window.jitterMs : this.jitterMs,
+            window: window ? window.name : null,
+            backedOff,
+        };
+    }
+
+    /**
+     * Plan the next check of a watch
+     * @param {Object} watch - Watch configuration
+     * @param {number} baseIntervalMs - Interval outside polling windows
+     * @param {number} failures - Consecutive failed checks of the watch
+     * @param {number} now - Current time in epoch milliseconds
+     * @param {number} jitterDraw - Random number in [0, 1); watches checked
+     *   together share one draw so they stay in the same request
+     * @returns {{at: number, intervalMs: number, window: string|null, backedOff: boolean}}
+     */
+    nextRun(watch, baseIntervalMs, failures = 0, now = Date.now(), jitterDraw = Math.random()) {
+        let plan = this.intervalFor(watch, baseIntervalMs, failures, new Date(now));
+        let at = now + plan.intervalMs;
+
+        // Switch to a faster window as soon as it opens rather than waiting
+        // out the current interval; backoff keeps its longer interval
+        if (!plan.backedOff && this.windows.length > 0) {
+            for (let time = Math.ceil((now + 1) / MINUTE_MS) * MINUTE_MS; time < at; time += MINUTE_MS) {
+                const upcoming = this.intervalFor(watch, baseIntervalMs, failures, new Date(time));
+                if (upcoming.intervalMs < plan.intervalMs) {
+                    plan = upcoming;
+                    at = time;
+                    break;
+                }
+            }
+        }
+
+        return {
+            at: at + Math.floor(jitterDraw * plan.jitterMs),
+            intervalMs: plan.intervalMs,
+            window: plan.window,
+            backedOff: plan.backedOff,
+        };
+    }
+}
+
+module.exports = new Scheduler();
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const RotatingFile = require('../utils/rotatingFile');
+
+/**
+ * File-backed storage for monitor state and check history.
+ * State is a JSON snapshot rewritten after each check; history is an
+ * append-only JSON-lines file with one record per watch per check, rotated
+ * by size (storage.history) so it does not grow without bound.
+ */
+class StateStore {
+    constructor() {
+        this.enabled = config.storage.enabled;
+        this.dir = config.storage.dir;
+        this.statePath = path.join(this.dir, 'state.json');
+        this.historyPath = path.join(this.dir, 'history.jsonl');
+        this.historyRetention = config.storage.history;
+        this.historyFile = null;
+    }
+
+    _ensureDir() {
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    /**
+     * Load the saved state snapshot
+     * @returns {Object|null} Saved state, or null when nothing was saved
+     */
+    loadState() {
+        if (!this.enabled) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`Failed to load saved state from ${this.statePath}`, error);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Save the state snapshot atomically
+     * @param {Object} state - State to save
+     */
+    async saveState(state) {
+        if (!this.enabled) {
+            return;
+        }
+
+        try {
+            this._ensureDir();
+            const tempPath = `${this.statePath}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(state, null, 2));
+            await fs.promises.rename(tempPath, this.statePath);
+        } catch (error) {
+            logger.error('Failed to save monitor state', error);
+        }
+    }
+
+    /**
+     * Append check results to the history file
+     * @param {Object[]} records - Check results
+     */
+    async appendHistory(records) {
+        if (!this.enabled || records.length === 0) {
+            return;
+        }
+
+        try {
+            if (!this.historyFile) {
+                this.historyFile = new RotatingFile(this.historyPath, this.historyRetention);
+            }
+            records.forEach(record => this.historyFile.write(JSON.stringify(record)));
+        } catch (error) {
+            logger.error('Failed to append check history', error);
+        }
+    }
+
+    /**
+     * History files oldest first: history.jsonl.N ... history.jsonl.1, history.jsonl
+     */
+    _historyFiles() {
+        const rotated = [];
+        for (let index = this.historyRetention.maxFiles; index >= 1; index--) {
+            rotated.push(`${this.historyPath}.${index}`);
+        }
+        return [...rotated, this.historyPath].filter(file => fs.existsSync(file));
+    }
+
+    /**
+     * Query check history, newest first
+     * @param {Object} filters - Query filters
+     * @param {string} filters.watch - Only records for this watch id
+     * @param {Date} filters.from - Only records at or after this time
+     * @param {Date} filters.to - Only records at or before this time
+     * @param {boolean} filters.changesOnly - Only records where the status changed
+     * @param {number} filters.limit - Maximum number of records
+     * @returns {Promise<Object[]>} Matching records
+     */
+    async queryHistory({ watch = null, from = null, to = null, changesOnly = false, limit = 100 } = {}) {
+        if (!this.enabled) {
+            return [];
+        }
+
+        const fromMs = from ? from.getTime() : -Infinity;
+        const toMs = to ? to.getTime() : Infinity;
+        const matches = [];
+
+        for (const file of this._historyFiles()) {
+            await this._scanHistory(file, (record) => {
+                const timestamp = Date.parse(record.timestamp);
+                if (watch && record.watch !== watch) {
+                    return;
+                }
+                if (changesOnly && !record.changed) {
+                    return;
+                }
+                if (timestamp < fromMs || timestamp > toMs) {
+                    return;
+                }
+
+                matches.push(record);
+                // Only the newest `limit` records are kept
+                if (matches.length > limit) {
+                    matches.shift();
+                }
+            });
+        }
+
+        return matches.reverse();
+    }
+
+    /**
+     * Pass each record of one history file to a callback
+     */
+    async _scanHistory(file, onRecord) {
+        const lines = readline.createInterface({
+            input: fs.createReadStream(file, 'utf8'),
+            crlfDelay: Infinity,
+        });
+
+        for await (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                logger.warn('Skipping malformed history line');
+                continue;
+            }
+
+            onRecord(record);
+        }
+    }
+}
+
+module.exports = new StateStore();
@@ -0,0 +1,78 @@
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { rememberStore, writeStoresFile } = require('../config/stores');
+
+/**
+ * Optional number from a response field such as "3.1423"
+ */
+function parseCoordinate(value) {
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Directory entry from a store in a fulfillment-messages response
+ * @param {Object} entry - pickupMessage.stores[] entry
+ * @param {string} region - Storefront that answered
+ */
+function storeFromResponse(entry, region) {
+    const address = entry.address || {};
+    // Hand-written replay steps name stores by their number
+    const named = entry.storeName && entry.storeName !== entry.storeNumber;
+    return {
+        storeNumber: entry.storeNumber,
+        name: named ? String(entry.storeName).replace(/^Apple\s+/, '') : null,
+        address: [address.address2, address.address3]
+            .filter(Boolean)
+            .join(', ') || null,
+        city: entry.city || null,
+        postalCode: address.postalCode || null,
+        latitude: parseCoordinate(entry.storelatitude),
+        longitude: parseCoordinate(entry.storelongitude),
+        region,
+    };
+}
+
+/**
+ * Adds stores seen in API responses to the store directory and saves them
+ * so names, addresses and coordinates are known after a restart.
+ */
+class StoreDirectory {
+    constructor() {
+        this.filePath = config.storage.storesFile;
+        this.saving = null;
+    }
+
+    /**
+     * Remember every store listed in a response
+     * @param {Object} data - Raw fulfillment-messages response
+     * @param {string} region - Storefront code that answered
+     */
+    learnFromResponse(data, region) {
+        const stores = data?.body?.content?.pickupMessage?.stores || [];
+        let changed = false;
+        stores
+            .filter(entry => entry.storeNumber)
+            .forEach((entry) => {
+                changed = rememberStore(storeFromResponse(entry, region)) || changed;
+            });
+
+        if (changed) {
+            logger.debug(`Store directory updated from ${region} response`);
+            this._save();
+        }
+    }
+
+    async _save() {
+        if (!this.filePath) {
+            return;
+        }
+        // One write at a time; later changes are picked up by the next write
+        this.saving = (this.saving || Promise.resolve())
+            .then(() => writeStoresFile(this.filePath))
+            .catch(error => logger.error('Failed to save store directory', error));
+        await this.saving;
+    }
+}
+
+module.exports = new StoreDirectory();
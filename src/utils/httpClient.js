@@ -0,0 +1,94 @@
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+/**
+ * Minimal HTTP(S) client shared by services that call external APIs.
+ * Plain http:// URLs are supported so integrations can be pointed at a
+ * local stand-in server.
+ * @param {string} targetUrl - Absolute URL to request
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.headers - Request headers
+ * @param {string|Buffer} options.body - Request body
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+ */
+function request(targetUrl, { method = 'GET', headers = {}, body = null, timeout = 10000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const url = new URL(targetUrl);
+        const transport = url.protocol === 'http:' ? http : https;
+        const requestHeaders = { ...headers };
+
+        if (body !== null && requestHeaders['Content-Length'] === undefined) {
+            requestHeaders['Content-Length'] = Buffer.byteLength(body);
+        }
+
+        const req = transport.request({
+            hostname: url.hostname,
+            port: url.port || (url.protocol === 'http:' ? 80 : 443),
+            path: `${url.pathname}${url.search}`,
+            method,
+            headers: requestHeaders,
+            timeout,
+        }, (res) => {
+            let data = '';
+
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+
+            res.on('end', () => {
+                resolve({
+                    statusCode: res.statusCode,
+                    headers: res.headers,
+                    body: data,
+                });
+            });
+        });
+
+        req.on('error', (error) => {
+            reject(error);
+        });
+
+        req.on('timeout', () => {
+            req.destroy();
+            reject(new Error('Request timeout'));
+        });
+
+        if (body !== null) {
+            req.write(body);
+        }
+        req.end();
+    });
+}
+
+/**
+ * POST a JSON payload
+ * @param {string} targetUrl - Absolute URL to request
+ * @param {Object} payload - Body to serialise as JSON
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+ */
+function postJson(targetUrl, payload, headers = {}) {
+    return request(targetUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...headers,
+        },
+        body: JSON.stringify(payload),
+    });
+}
+
+/**
+ * Whether a response status code is 2xx
+ * @param {number} statusCode - HTTP status code
+ * @returns {boolean}
+ */
+function isSuccess(statusCode) {
+    return statusCode >= 200 && statusCode < 300;
+}
+
+module.exports = { request, postJson, isSuccess };
@@ -0,0 +1,79 @@
+// Segment that matches every element of a list or value of an object
+const WILDCARD = Symbol('wildcard');
+
+// One path segment: ".key", "key", "[0]", "[-1]", "[*]", "['key']" or "[\"key\"]"
+const SEGMENT = /\.?([^.[\]\s]+)|\[\s*(-?\d+|\*|'[^']*'|"[^"]*")\s*\]/y;
+
+/**
+ * Compile a field expression into path segments. Accepts dot paths such as
+ * "data.items.0.stock" and the common JSONPath subset: a leading "$",
+ * bracketed keys and indexes ("['in stock']", "[0]", "[-1]" from the end)
+ * and wildcards ("[*]" or ".*").
+ * @param {string} expression - Field expression
+ * @returns {Array<string|number|symbol>} Segments
+ */
+function compilePath(expression) {
+    const text = String(expression).trim();
+    const segments = [];
+    let position = text.startsWith('$') ? 1 : 0;
+
+    while (position < text.length) {
+        SEGMENT.lastIndex = position;
+        const match = SEGMENT.exec(text);
+        if (!match) {
+            throw new Error(`"${expression}" is not a valid field expression (at position ${position})`);
+        }
+        position = SEGMENT.lastIndex;
+
+        const [, key, bracket] = match;
+        if (key !== undefined) {
+            segments.push(key === '*' ? WILDCARD : key);
+        } else if (bracket === '*') {
+            segments.push(WILDCARD);
+        } else if (/^-?\d+$/.test(bracket)) {
+            segments.push(Number(bracket));
+        } else {
+            segments.push(bracket.slice(1, -1));
+        }
+    }
+    return segments;
+}
+
+/**
+ * Whether a compiled path can select several values
+ * @param {Array} segments - Segments from compilePath()
+ * @returns {boolean}
+ */
+function isMultiple(segments) {
+    return segments.includes(WILDCARD);
+}
+
+/**
+ * Read the value a compiled path selects
+ * @param {*} data - Parsed JSON document
+ * @param {Array} segments - Segments from compilePath()
+ * @returns {*} The value, undefined when absent, or a list of every
+ *   selected value for a path with wildcards
+ */
+function readPath(data, segments) {
+    let values = [data];
+    segments.forEach((segment) => {
+        values = values.flatMap((value) => {
+            if (value === null || typeof value !== 'object') {
+                return [];
+            }
+            if (segment === WILDCARD) {
+                return Array.isArray(value) ? value : Object.values(value);
+            }
+            if (typeof segment === 'number' && Array.isArray(value)) {
+                const index = segment < 0 ? value.length + segment : segment;
+                return index >= 0 && index < value.length ? [value[index]] : [];
+            }
+            const key = String(segment);
+            return Object.prototype.hasOwnProperty.call(value, key) ? [value[key]] : [];
+        });
+    });
+    return isMultiple(segments) ? values : values[0];
+}
+
+module.exports = { compilePath, isMultiple, readPath };
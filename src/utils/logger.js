@@ -1,43 +1,150 @@
 const config = require('../config/config');
+const RotatingFile = require('./rotatingFile');
+
+// Most to least severe; a level also logs everything above it
+const LEVELS = {
+    error: 0,
+    warn: 1,
+    info: 2,
+    debug: 3,
+    trace: 4,
+};
 
 /**
- * Simple logger utility with timestamps
+ * Plain-object form of an error for JSON output
+ */
+function serializeError(error) {
+    if (error instanceof Error) {
+        return { name: error.name, message: error.message, stack: error.stack };
+    }
+    return error;
+}
+
+/**
+ * Logger with levels, optional JSON output and an optional rotating file.
+ * Fields such as the check number, watch, store or request id are attached
+ * with child(); they appear in JSON output, while text output keeps the
+ * `[timestamp] [LEVEL] message` format.
  */
 class Logger {
     constructor() {
-        this.enabled = config.logging.enabled;
-        this.level = config.logging.level;
+        this.file = null;
+        this.fields = {};
+        this.configure(config.logging);
     }
 
-    _formatMessage(level, message) {
-        const timestamp = new Date().toISOString();
-        return `[${timestamp}] [${level.toUpperCase()}] ${message}`;
-    }
+    /**
+     * Apply the logging block, at startup and when config.yml is reloaded.
+     * Child loggers share these settings.
+     * @param {Object} logging - Logging configuration
+     */
+    configure(logging) {
+        this.enabled = logging.enabled;
+        this.level = logging.level;
+        // Console output: text or json
+        this.format = logging.format;
 
-    info(message) {
-        if (this.enabled) {
-            console.log(this._formatMessage('info', message));
+        const fileChanged = JSON.stringify(logging.file) !== JSON.stringify(this.fileOptions || null);
+        if (fileChanged) {
+            this.close();
+            this.file = logging.file ? new RotatingFile(logging.file.path, logging.file) : null;
         }
+        this.fileOptions = logging.file;
+        this.fileFormat = logging.file ? logging.file.format : null;
     }
 
-    error(message, error = null) {
-        if (this.enabled) {
-            console.error(this._formatMessage('error', message));
+    /**
+     * Logger that adds fields to every entry and shares this logger's
+     * level and outputs
+     * @param {Object} fields - e.g. { check: 12, watch: 'MFYM4X/A@R742' }
+     * @returns {Logger}
+     */
+    child(fields) {
+        const child = Object.create(this);
+        child.fields = { ...this.fields, ...fields };
+        return child;
+    }
+
+    /**
+     * Whether entries of a level are written
+     * @param {string} level - error, warn, info, debug or trace
+     * @returns {boolean}
+     */
+    isLevelEnabled(level) {
+        return this.enabled && LEVELS[level] <= LEVELS[this.level];
+    }
+
+    _formatMessage(entry) {
+        return `[${entry.timestamp}] [${entry.level.toUpperCase()}] ${entry.message}`;
+    }
+
+    _write(level, message, fields, error = null) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level,
+            message,
+            ...this.fields,
+            ...fields,
+        };
+        if (error) {
+            entry.error = serializeError(error);
+        }
+
+        const print = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+        if (this.format === 'json') {
+            print(JSON.stringify(entry));
+        } else {
+            print(this._formatMessage(entry));
             if (error) {
                 console.error(error);
             }
         }
-    }
 
-    warn(message) {
-        if (this.enabled) {
-            console.warn(this._formatMessage('warn', message));
+        if (this.file) {
+            const text = entry.error && entry.error.stack
+                ? `${this._formatMessage(entry)}\n${entry.error.stack}`
+                : this._formatMessage(entry);
+            this.file.write(this.fileFormat === 'json' ? JSON.stringify(entry) : text);
         }
     }
 
-    debug(message) {
-        if (this.enabled && this.level === 'debug') {
-            console.log(this._formatMessage('debug', message));
+    /**
+     * @param {string} message
+     * @param {Error|Object} error - Error or error response to include
+     * @param {Object} fields - Extra structured fields
+     */
+    error(message, error = null, fields = {}) {
+        this._write('error', message, fields, error);
+    }
+
+    warn(message, fields = {}) {
+        this._write('warn', message, fields);
+    }
+
+    info(message, fields = {}) {
+        this._write('info', message, fields);
+    }
+
+    debug(message, fields = {}) {
+        this._write('debug', message, fields);
+    }
+
+    trace(message, fields = {}) {
+        this._write('trace', message, fields);
+    }
+
+    /**
+     * Close the log file, e.g. before exiting
+     */
+    close() {
+        if (this.file) {
+            this.file.close();
+            this.file = null;
+            this.fileOptions = null;
         }
     }
 }
@@ -0,0 +1,50 @@
+// Numeric comparisons such as "<= 3" or "> 0"
+const COMPARISONS = {
+    '<': (actual, limit) => actual < limit,
+    '<=': (actual, limit) => actual <= limit,
+    '≤': (actual, limit) => actual <= limit,
+    '>': (actual, limit) => actual > limit,
+    '>=': (actual, limit) => actual >= limit,
+    '≥': (actual, limit) => actual >= limit,
+};
+
+/**
+ * Compile a match value: "/pattern/flags" is a regular expression, "<= 3"
+ * compares numbers, a list matches any of its entries, anything else is a
+ * case-insensitive equality. Used by the status rules and by JSON watches.
+ * @param {*} expected - Match value from config.yml
+ * @param {string} where - Location used in error messages
+ * @returns {function(*): boolean}
+ */
+function compileMatcher(expected, where) {
+    if (Array.isArray(expected)) {
+        const matchers = expected.map((value, index) => compileMatcher(value, `${where}[${index}]`));
+        return actual => matchers.some(matcher => matcher(actual));
+    }
+
+    const comparison = typeof expected === 'string' && expected.trim().match(/^(<=|>=|<|>|≤|≥)\s*(-?\d+(?:\.\d+)?)$/);
+    if (comparison) {
+        const compare = COMPARISONS[comparison[1]];
+        const limit = Number(comparison[2]);
+        return actual => actual !== undefined && actual !== null && actual !== '' &&
+            !Number.isNaN(Number(actual)) && compare(Number(actual), limit);
+    }
+
+    const regexMatch = typeof expected === 'string' && expected.match(/^\/(.*)\/([a-z]*)$/);
+    if (regexMatch) {
+        let pattern;
+        try {
+            // g and y keep lastIndex between tests, so the same value would
+            // match on one check and fail on the next
+            pattern = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+        } catch (error) {
+            throw new Error(`${where} is not a valid regular expression: ${error.message}`);
+        }
+        return actual => actual !== undefined && actual !== null && pattern.test(String(actual));
+    }
+
+    const wanted = String(expected).toLowerCase();
+    return actual => actual !== undefined && actual !== null && String(actual).toLowerCase() === wanted;
+}
+
+module.exports = { compileMatcher };
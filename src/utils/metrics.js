@@ -0,0 +1,178 @@
+/**
+ * Minimal Prometheus metric types rendered in the text exposition format
+ * (https://prometheus.io/docs/instrumenting/exposition_formats/).
+ */
+
+/**
+ * Escape a label value
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as {a="1",b="2"}
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Format a sample value the way Prometheus expects
+ */
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return String(value);
+}
+
+/**
+ * Base class holding one value per label combination
+ */
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    _key(labels) {
+        return JSON.stringify(this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+    }
+
+    _labels(labels) {
+        const result = {};
+        this.labelNames.forEach((name) => {
+            result[name] = labels[name] === undefined ? '' : labels[name];
+        });
+        return result;
+    }
+
+    _header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+
+    render() {
+        const lines = this._header();
+        this.series.forEach(({ labels, value }) => {
+            lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        });
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Monotonically increasing counter
+ */
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        const key = this._key(labels);
+        const entry = this.series.get(key) || { labels: this._labels(labels), value: 0 };
+        entry.value += amount;
+        this.series.set(key, entry);
+    }
+}
+
+/**
+ * Value that can go up and down
+ */
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.series.set(this._key(labels), { labels: this._labels(labels), value });
+    }
+
+    /**
+     * Drop every series matching the given labels
+     */
+    remove(labels) {
+        this.series.forEach((entry, key) => {
+            const matches = Object.entries(labels).every(([name, value]) => entry.labels[name] === value);
+            if (matches) {
+                this.series.delete(key);
+            }
+        });
+    }
+}
+
+/**
+ * Distribution of observations in cumulative buckets
+ */
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const key = this._key(labels);
+        let entry = this.series.get(key);
+        if (!entry) {
+            entry = {
+                labels: this._labels(labels),
+                counts: this.buckets.map(() => 0),
+                sum: 0,
+                count: 0,
+            };
+            this.series.set(key, entry);
+        }
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                entry.counts[index]++;
+            }
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    render() {
+        const lines = this._header();
+        this.series.forEach(({ labels, counts, sum, count }) => {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        });
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Collection of metrics rendered together
+ */
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    render() {
+        return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+    }
+}
+
+module.exports = { Counter, Gauge, Histogram, Registry };
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Append-only log file rotated by size: monitor.log is renamed to
+ * monitor.log.1, monitor.log.1 to monitor.log.2 and so on, keeping at most
+ * `maxFiles` rotated files. Writes are synchronous so lines logged right
+ * before the process exits are not lost.
+ */
+class RotatingFile {
+    /**
+     * @param {string} filePath - Log file path
+     * @param {Object} options
+     * @param {number} options.maxBytes - Size at which the file is rotated
+     * @param {number} options.maxFiles - Rotated files to keep
+     */
+    constructor(filePath, { maxBytes, maxFiles }) {
+        this.filePath = filePath;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        this.fd = null;
+        this.size = 0;
+    }
+
+    _open() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.fd = fs.openSync(this.filePath, 'a');
+        this.size = fs.fstatSync(this.fd).size;
+    }
+
+    _rotate() {
+        fs.closeSync(this.fd);
+        this.fd = null;
+
+        for (let index = this.maxFiles - 1; index >= 1; index--) {
+            const from = `${this.filePath}.${index}`;
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, `${this.filePath}.${index + 1}`);
+            }
+        }
+        if (this.maxFiles > 0) {
+            fs.renameSync(this.filePath, `${this.filePath}.1`);
+        } else {
+            fs.unlinkSync(this.filePath);
+        }
+        fs.rmSync(`${this.filePath}.${this.maxFiles + 1}`, { force: true });
+
+        this._open();
+    }
+
+    /**
+     * Append one line, rotating first when it would overflow the file
+     * @param {string} line - Line without trailing newline
+     */
+    write(line) {
+        if (this.fd === null) {
+            this._open();
+        }
+
+        const data = `${line}\n`;
+        const bytes = Buffer.byteLength(data);
+        if (this.size > 0 && this.size + bytes > this.maxBytes) {
+            this._rotate();
+        }
+
+        fs.writeSync(this.fd, data);
+        this.size += bytes;
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+}
+
+module.exports = RotatingFile;
@@ -0,0 +1,250 @@
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+/**
+ * Minimal SMTP client for sending plain-text notification emails.
+ * Supports implicit TLS (`secure`), STARTTLS and AUTH PLAIN, which covers
+ * common relays as well as local stand-in servers used for testing.
+ */
+class SmtpConnection {
+    constructor(options) {
+        this.options = options;
+        this.socket = null;
+        this.buffer = '';
+        this.pending = null;
+        this.responses = [];
+        // Set once the connection fails or closes; later reads reject with it
+        this.error = null;
+    }
+
+    /**
+     * Open the connection and wait for the server greeting
+     */
+    async connect() {
+        const { host, port, secure, timeout } = this.options;
+
+        this.socket = await new Promise((resolve, reject) => {
+            const socket = secure
+                ? tls.connect({ host, port, servername: host, rejectUnauthorized: this.options.rejectUnauthorized })
+                : net.connect({ host, port });
+
+            // Without a limit an unreachable server waits for the OS TCP timeout
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(new Error('SMTP connection timeout'));
+            }, timeout);
+            socket.once(secure ? 'secureConnect' : 'connect', () => {
+                clearTimeout(timer);
+                resolve(socket);
+            });
+            socket.once('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+
+        this._attach(this.socket, timeout);
+        await this._expect([220]);
+    }
+
+    /**
+     * Wire socket events into the response reader
+     */
+    _attach(socket, timeout) {
+        socket.setEncoding('utf8');
+        socket.setTimeout(timeout);
+        socket.on('data', chunk => this._onData(chunk));
+        socket.on('timeout', () => this._fail(new Error('SMTP timeout')));
+        socket.on('error', error => this._fail(error));
+        // A server may hang up with a reply pending, e.g. after a 421
+        socket.on('end', () => this._fail(new Error('SMTP connection closed')));
+        socket.on('close', () => this._fail(new Error('SMTP connection closed')));
+    }
+
+    _onData(chunk) {
+        this.buffer += chunk;
+
+        // A reply is complete once a line has a space after the status code
+        let match;
+        while ((match = this.buffer.match(/^(\d{3}) [^\r\n]*\r?\n/m))) {
+            const end = match.index + match[0].length;
+            const text = this.buffer.slice(0, end);
+            this.buffer = this.buffer.slice(end);
+            this.responses.push({ code: Number(match[1]), text: text.trim() });
+        }
+        this._flush();
+    }
+
+    _flush() {
+        if (this.pending && this.responses.length > 0) {
+            const { resolve } = this.pending;
+            this.pending = null;
+            resolve(this.responses.shift());
+        }
+    }
+
+    _fail(error) {
+        this.error = this.error || error;
+        if (this.pending) {
+            const { reject } = this.pending;
+            this.pending = null;
+            reject(error);
+        }
+    }
+
+    _read() {
+        return new Promise((resolve, reject) => {
+            if (this.error && this.responses.length === 0) {
+                reject(this.error);
+                return;
+            }
+            this.pending = { resolve, reject };
+            this._flush();
+        });
+    }
+
+    async _expect(codes) {
+        const response = await this._read();
+        if (!codes.includes(response.code)) {
+            throw new Error(`SMTP error: ${response.text}`);
+        }
+        return response;
+    }
+
+    /**
+     * Send a command and check the reply code
+     * @param {string} line - Command line without CRLF
+     * @param {number[]} codes - Accepted reply codes
+     */
+    async command(line, codes) {
+        this.socket.write(`${line}\r\n`);
+        return await this._expect(codes);
+    }
+
+    /**
+     * Upgrade the plain connection with STARTTLS
+     */
+    async startTls() {
+        await this.command('STARTTLS', [220]);
+
+        const plain = this.socket;
+        plain.removeAllListeners('data');
+        plain.removeAllListeners('timeout');
+        plain.removeAllListeners('error');
+        plain.removeAllListeners('end');
+        plain.removeAllListeners('close');
+
+        this.socket = await new Promise((resolve, reject) => {
+            const socket = tls.connect({
+                socket: plain,
+                servername: this.options.host,
+                rejectUnauthorized: this.options.rejectUnauthorized,
+            });
+            socket.once('secureConnect', () => resolve(socket));
+            socket.once('error', reject);
+        });
+
+        this._attach(this.socket, this.options.timeout);
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.end();
+            this.socket = null;
+        }
+    }
+}
+
+/**
+ * Encode a header value as RFC 2047 UTF-8 when it is not plain ASCII
+ */
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Extract the bare address from "Name <address>" form
+ */
+function addressOf(value) {
+    const match = String(value).match(/<([^>]+)>/);
+    return match ? match[1] : String(value).trim();
+}
+
+/**
+ * Build an RFC 5322 message with dot-stuffed body lines
+ */
+function buildMessage({ from, to, subject, text }) {
+    const headers = [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${os.hostname()}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+    ];
+
+    const body = String(text)
+        .split(/\r?\n/)
+        .map(line => (line.startsWith('.') ? `.${line}` : line))
+        .join('\r\n');
+
+    return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.`;
+}
+
+/**
+ * Send a plain-text email
+ * @param {Object} server - SMTP server settings
+ * @param {string} server.host - Server hostname
+ * @param {number} server.port - Server port
+ * @param {boolean} server.secure - Use implicit TLS
+ * @param {boolean} server.starttls - Upgrade with STARTTLS when not secure
+ * @param {string} server.username - AUTH PLAIN username (optional)
+ * @param {string} server.password - AUTH PLAIN password (optional)
+ * @param {Object} mail - Message
+ * @param {string} mail.from - Sender address
+ * @param {string[]} mail.to - Recipient addresses
+ * @param {string} mail.subject - Subject line
+ * @param {string} mail.text - Plain-text body
+ * @returns {Promise<void>}
+ */
+async function sendMail(server, mail) {
+    const connection = new SmtpConnection({
+        host: server.host,
+        port: server.port || (server.secure ? 465 : 587),
+        secure: Boolean(server.secure),
+        timeout: server.timeout || 10000,
+        rejectUnauthorized: server.rejectUnauthorized !== false,
+    });
+
+    try {
+        await connection.connect();
+        const greeting = await connection.command(`EHLO ${os.hostname()}`, [250]);
+
+        if (!server.secure && server.starttls !== false && /STARTTLS/i.test(greeting.text)) {
+            await connection.startTls();
+            await connection.command(`EHLO ${os.hostname()}`, [250]);
+        }
+
+        if (server.username) {
+            const credentials = Buffer.from(`\u0000${server.username}\u0000${server.password || ''}`).toString('base64');
+            await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+        }
+
+        await connection.command(`MAIL FROM:<${addressOf(mail.from)}>`, [250]);
+        for (const recipient of mail.to) {
+            await connection.command(`RCPT TO:<${addressOf(recipient)}>`, [250, 251]);
+        }
+        await connection.command('DATA', [354]);
+        await connection.command(buildMessage(mail), [250]);
+        await connection.command('QUIT', [221]);
+    } finally {
+        connection.close();
+    }
+}
+
+module.exports = { sendMail };
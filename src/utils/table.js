@@ -0,0 +1,24 @@
+/**
+ * Format rows as a plain-text table with a header row and columns padded
+ * to their widest value
+ * @param {{key: string, title: string}[]} columns - Columns in order
+ * @param {Object[]} rows - Row objects; missing values print as "-"
+ * @returns {string}
+ */
+function formatTable(columns, rows) {
+    const cells = rows.map(row => columns.map(({ key }) => {
+        const value = row[key];
+        return value === undefined || value === null || value === '' ? '-' : String(value);
+    }));
+    const widths = columns.map(({ title }, index) =>
+        Math.max(title.length, ...cells.map(line => line[index].length)));
+
+    const format = line => line.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+    return [
+        format(columns.map(({ title }) => title)),
+        format(widths.map(width => '-'.repeat(width))),
+        ...cells.map(format),
+    ].join('\n');
+}
+
+module.exports = { formatTable };
@@ -0,0 +1,18 @@
+/**
+ * Render a message template, replacing {{name}} placeholders with values
+ * from the context. Unknown placeholders render as an empty string.
+ * @param {string} template - Template text
+ * @param {Object} context - Placeholder values
+ * @returns {string} Rendered text
+ */
+function render(template, context) {
+    return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+        const value = key.split('.').reduce(
+            (current, part) => (current === undefined || current === null ? undefined : current[part]),
+            context
+        );
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+module.exports = { render };
@@ -0,0 +1,62 @@
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Wall-clock date, weekday and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone, e.g. "Asia/Kuala_Lumpur"
+ * @returns {{date: string, weekday: string, minutes: number}} date as
+ *   YYYY-MM-DD, weekday as mon..sun, minutes since midnight
+ */
+function zonedTime(date, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: parts.weekday.toLowerCase(),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    };
+}
+
+/**
+ * Parse "HH:MM" into minutes since midnight
+ */
+function parseClock(value) {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Whether minutes since midnight fall in [start, end); windows such as
+ * 23:00-07:00 wrap past midnight
+ */
+function inClockRange(minutes, start, end) {
+    return start <= end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+/**
+ * Parse an ISO timestamp or epoch milliseconds, e.g. from a query parameter
+ * @returns {Date|null|undefined} Date, null when absent, undefined when invalid
+ */
+function parseTime(value) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+module.exports = { WEEKDAYS, zonedTime, parseClock, inClockRange, parseTime };
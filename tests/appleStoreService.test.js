@@ -0,0 +1,134 @@
+const fulfillmentMessages = require('./fixtures/fulfillment-messages.json');
+
+let appleStoreService;
+let replayFetcher;
+
+beforeEach(() => {
+    jest.resetModules();
+    appleStoreService = require('../src/services/appleStoreService');
+    replayFetcher = require('../src/services/fetchers/replayFetcher');
+});
+
+describe('_parseResponse', () => {
+    test('reads the queried store and every nearby store', () => {
+        const result = appleStoreService._parseResponse(fulfillmentMessages, 'R742', ['MFYM4X/A']);
+        const part = result.parts['MFYM4X/A'];
+
+        expect(result.storeName).toBe('The Exchange TRX');
+        expect(part).toMatchObject({
+            storeNumber: 'R742',
+            status: 'unavailable',
+            available: false,
+            message: 'Currently unavailable',
+            pickupDisplay: 'ineligible',
+        });
+        expect(part.stores.map(store => [store.storeNumber, store.status, store.distanceKm])).toEqual([
+            ['R742', 'unavailable', 0.4],
+            // Distances in miles are converted to km
+            ['R669', 'available', 20.1],
+        ]);
+    });
+
+    test('reports a part missing from the response as unavailable', () => {
+        const result = appleStoreService._parseResponse(fulfillmentMessages, 'R742', ['MFYQ4X/A']);
+
+        expect(result.parts['MFYQ4X/A']).toMatchObject({
+            status: 'unavailable',
+            available: false,
+            message: 'Part not found in store data',
+        });
+    });
+
+    test('handles a response without stores', () => {
+        const result = appleStoreService._parseResponse({ body: {} }, 'R742', ['MFYM4X/A']);
+
+        expect(result.parts['MFYM4X/A']).toMatchObject({
+            available: false,
+            message: 'No store data available',
+            stores: [],
+        });
+    });
+});
+
+describe('checkAvailability with the replay fetcher', () => {
+    test('parses a recorded response', async () => {
+        replayFetcher.load([{ statusCode: 200, data: fulfillmentMessages }]);
+
+        const result = await appleStoreService.checkAvailability('R742', ['MFYM4X/A'], 'replay', 'my');
+
+        expect(result.parts['MFYM4X/A'].status).toBe('unavailable');
+        expect(result.rawData).toEqual(fulfillmentMessages);
+    });
+
+    test('fails on bot detection without retrying', async () => {
+        replayFetcher.load([{ statusCode: 541 }, { statusCode: 200, data: fulfillmentMessages }]);
+
+        await expect(appleStoreService.checkAvailability('R742', ['MFYM4X/A'], 'replay', 'my'))
+            .rejects.toThrow('Apple API responded with status 541');
+        // The next check gets the next step
+        await expect(appleStoreService.checkAvailability('R742', ['MFYM4X/A'], 'replay', 'my'))
+            .resolves.toHaveProperty('storeName', 'The Exchange TRX');
+    });
+
+    test('reports timeouts', async () => {
+        replayFetcher.load([{ error: 'Request timeout' }]);
+
+        await expect(appleStoreService.checkAvailability('R742', ['MFYM4X/A'], 'replay', 'my'))
+            .rejects.toThrow('Request timeout - Apple API did not respond in time');
+    });
+});
+
+describe('delivery quotes', () => {
+    const withDelivery = deliveryMessage => ({
+        ...fulfillmentMessages,
+        body: { content: { ...fulfillmentMessages.body.content, deliveryMessage } },
+    });
+
+    test('are read from the regular and compact messages', () => {
+        const data = withDelivery({
+            'MFYM4X/A': {
+                regular: {
+                    buyability: { isBuyable: true },
+                    deliveryOptionMessages: [{ displayName: 'Delivers in 2–3 business days – Free' }],
+                    deliveryOptions: [{ displayName: 'Standard Delivery', shippingCost: 'Free' }],
+                },
+                compact: {
+                    deliveryOptionMessages: [{ displayName: 'In 2–3 business days' }],
+                },
+            },
+        });
+
+        const result = appleStoreService._parseResponse(data, 'R742', ['MFYM4X/A'], 'Asia/Kuala_Lumpur');
+
+        expect(result.parts['MFYM4X/A'].delivery).toMatchObject({
+            quote: 'Delivers in 2–3 business days – Free',
+            compactQuote: 'In 2–3 business days',
+            days: 3,
+            shippingCost: 'Free',
+            buyable: true,
+            status: 'delivery-soon',
+            available: true,
+        });
+    });
+
+    test('are absent without a delivery message', () => {
+        const result = appleStoreService._parseResponse(fulfillmentMessages, 'R742', ['MFYM4X/A']);
+
+        expect(result.parts['MFYM4X/A'].delivery).toBeNull();
+    });
+
+    test('estimate days from dates, spans and words', () => {
+        const now = new Date('2026-10-19T03:00:00Z');
+        const estimate = text => appleStoreService._estimateDeliveryDays(text, 'Asia/Kuala_Lumpur', now);
+
+        expect(estimate('Delivers Tue 21 Oct – Free')).toBe(2);
+        expect(estimate('Delivers Oct 21 – Oct 24')).toBe(5);
+        expect(estimate('Delivers 2 Jan')).toBe(75);
+        expect(estimate('Ships in 1–2 weeks')).toBe(14);
+        expect(estimate('Delivers tomorrow')).toBe(1);
+        expect(estimate('Order today, delivers Oct 24')).toBe(5);
+        expect(estimate('Order today, delivers in 3 days')).toBe(3);
+        expect(estimate('Delivers today')).toBe(0);
+        expect(estimate('Currently unavailable')).toBeNull();
+    });
+});
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadCatalogue, describePart, searchCatalogue, resolveProduct } = require('../src/config/catalogue');
+const { normalizeWatch, loadWatchDefaults } = require('../src/config/watches');
+
+const defaults = loadWatchDefaults({ region: 'my' }, null);
+
+afterEach(() => {
+    loadCatalogue();
+});
+
+test('resolves a product name or spec to the part number of the region', () => {
+    expect(resolveProduct('iphone 17 pro 256 GB deep blue', 'my', 'watch.product').partNumber).toBe('MFYM4X/A');
+    expect(resolveProduct({ model: 'iPhone 17 Pro', capacity: '256gb', color: 'deep blue' }, 'my', 'watch.product'))
+        .toMatchObject({ partNumber: 'MFYM4X/A', name: 'iPhone 17 Pro 256GB Deep Blue' });
+    expect(() => resolveProduct('iPhone 17 Pro 256GB Deep Blue', 'jp', 'watch.product'))
+        .toThrow('is not in the catalogue for region "jp"');
+});
+
+test('searches by words and exact fields', () => {
+    expect(searchCatalogue({ q: 'pro 256 blue' }).map(entry => entry.partNumber)).toEqual(['MFYM4X/A']);
+    expect(searchCatalogue({ q: 'MFYM4X' })).toHaveLength(1);
+    expect(searchCatalogue({ capacity: '512GB' })).toEqual([]);
+});
+
+test('merges a local catalogue file over the bundled one', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'catalogue-'));
+    const file = path.join(dir, 'catalogue.json');
+    try {
+        fs.writeFileSync(file, JSON.stringify({
+            products: [
+                { model: 'iPhone 17 Pro', capacity: '256GB', colour: 'Cosmic Orange', parts: { my: 'MFYN4X/A' } },
+                { model: 'iPhone 17 Pro', capacity: '256GB', colour: 'Deep Blue (renamed)', parts: { my: 'MFYM4X/A' } },
+            ],
+        }));
+
+        loadCatalogue(file);
+
+        expect(describePart('MFYN4X/A').name).toBe('iPhone 17 Pro 256GB Cosmic Orange');
+        expect(describePart('MFYM4X/A').colour).toBe('Deep Blue (renamed)');
+        expect(() => resolveProduct({ model: 'iPhone 17 Pro' }, 'my', 'watch.product')).toThrow('matches 2 catalogue entries');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('watches can name their product and default to its name as label', () => {
+    const byProduct = normalizeWatch({ product: 'iPhone 17 Pro 256GB Deep Blue', storeNumber: 'R742' }, 'watches[0]', defaults);
+    expect(byProduct).toMatchObject({
+        id: 'MFYM4X/A@R742',
+        label: 'iPhone 17 Pro 256GB Deep Blue',
+        partNumber: 'MFYM4X/A',
+    });
+
+    // Watches saved with the part number as label get the product name too
+    const saved = normalizeWatch({ label: 'MFYM4X/A', partNumber: 'MFYM4X/A', storeNumber: 'R742' }, 'watches[0]', defaults);
+    expect(saved.label).toBe('iPhone 17 Pro 256GB Deep Blue');
+
+    const unknown = normalizeWatch({ partNumber: 'MG000X/A', storeNumber: 'R742' }, 'watches[0]', defaults);
+    expect(unknown.label).toBe('MG000X/A');
+});
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main } = require('../src/cli');
+const { EXIT } = require('../src/cli/common');
+const replayFetcher = require('../src/services/fetchers/replayFetcher');
+const { quotes } = require('./helpers');
+
+let output;
+beforeEach(() => {
+    output = [];
+    jest.spyOn(console, 'log').mockImplementation(line => output.push(line));
+    jest.spyOn(console, 'error').mockImplementation(line => output.push(line));
+});
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('check prints a table and exits 0 only when a part is available', async () => {
+    replayFetcher.load([quotes('Currently unavailable'), quotes('Available Today')]);
+
+    await expect(main(['check', '--store', 'R742', '--part', 'MFYM4X/A'])).resolves.toBe(EXIT.NOT_AVAILABLE);
+    expect(output.join('\n')).toMatch(/iPhone 17 Pro 256GB Deep Blue \(MFYM4X\/A\)\s+The Exchange TRX \(R742\)\s+-\s+unavailable/);
+
+    output = [];
+    await expect(main(['check', '-s', 'The Exchange TRX', '--product', 'iPhone 17 Pro 256GB Deep Blue', '--json']))
+        .resolves.toBe(EXIT.OK);
+    expect(JSON.parse(output.join('\n')).parts[0]).toMatchObject({ partNumber: 'MFYM4X/A', status: 'available' });
+});
+
+test('usage errors exit 2', async () => {
+    await expect(main([])).resolves.toBe(EXIT.USAGE);
+    await expect(main(['launch'])).resolves.toBe(EXIT.USAGE);
+    await expect(main(['check', '--part', 'MFYM4X/A'])).resolves.toBe(EXIT.USAGE);
+    await expect(main(['check', '--store', 'Nowhere', '--part', 'MFYM4X/A'])).resolves.toBe(EXIT.USAGE);
+    await expect(main(['history', '--limit', 'all'])).resolves.toBe(EXIT.USAGE);
+    await expect(main(['notify'])).resolves.toBe(EXIT.USAGE);
+});
+
+test('validate-config exits 3 with the problems of an invalid file', async () => {
+    await expect(main(['validate-config'])).resolves.toBe(EXIT.OK);
+    expect(output[0]).toMatch(/config\.yml is valid \(2 watches\)$/);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    const file = path.join(dir, 'config.yml');
+    const configFile = process.env.CONFIG_FILE;
+    try {
+        fs.writeFileSync(file, 'monitoring:\n  intervalMs: soon\n');
+        output = [];
+        await expect(main(['validate-config', '--file', file])).resolves.toBe(EXIT.CONFIG);
+        expect(output).toEqual([
+            `Invalid configuration in ${file}:\n  - monitoring.intervalMs must be a number, got "soon"`,
+        ]);
+    } finally {
+        process.env.CONFIG_FILE = configFile;
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('notify --test fails without enabled channels', async () => {
+    await expect(main(['notify', '--test'])).resolves.toBe(EXIT.FAILED);
+    expect(output).toEqual(['No notification channels are enabled']);
+});
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { applyEnvOverrides, validateConfig, ConfigError } = require('../src/config/schema');
+const { loadConfig } = require('../src/config/load');
+
+const FIXTURE = fs.readFileSync(process.env.CONFIG_FILE, 'utf8');
+
+let dir;
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+});
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Write a copy of the test configuration with some lines replaced
+ */
+function writeConfig(replacements = {}) {
+    const file = path.join(dir, 'config.yml');
+    const contents = Object.entries(replacements)
+        .reduce((text, [from, to]) => text.replace(from, to), FIXTURE);
+    fs.writeFileSync(file, contents);
+    return file;
+}
+
+test('coerces values and fills in omitted blocks', () => {
+    const { value, errors, warnings } = validateConfig({
+        monitoring: { intervalMs: '60000', backoff: 'false', health: { notify: 'no' } },
+        logging: { level: 'debug' },
+        intervalMS: 1,
+    });
+
+    expect(errors).toEqual([]);
+    expect(value.monitoring).toMatchObject({ intervalMs: 60000, backoff: false, health: { notify: false } });
+    expect(value.appleStore).toEqual({ params: {} });
+    expect(value.pushover.apiUrl).toBe('https://api.pushover.net/1/messages.json');
+    expect(value.watches).toEqual([]);
+    expect(warnings).toEqual(['intervalMS is not a known option and is ignored']);
+    expect(value).not.toHaveProperty('intervalMS');
+});
+
+test('reports every problem with its path', () => {
+    const { errors } = validateConfig({
+        appleStore: { baseUrl: 'www.apple.com/my', fetcher: 'curl' },
+        monitoring: { intervalMs: 'five minutes', windows: { from: '08:00' } },
+        watches: [{ partNumber: 'MFYM4X/A', storeNumber: 'R742', nearby: { maxDistanceKm: 'far' } }],
+    });
+
+    expect(errors).toEqual([
+        'appleStore.baseUrl must be an http(s) URL, got "www.apple.com/my"',
+        'appleStore.fetcher must be one of auto, http, browser, replay, got "curl"',
+        'watches[0].nearby.maxDistanceKm must be a number, got "far"',
+        'monitoring.intervalMs must be a number, got "five minutes"',
+        'monitoring.windows must be a list, got {"from":"08:00"}',
+    ]);
+});
+
+test('applies CONFIG__ environment overrides', () => {
+    const raw = { notifications: { ntfy: { enabled: false } } };
+    const unknown = applyEnvOverrides(raw, {
+        CONFIG__MONITORING__INTERVAL_MS: '60000',
+        CONFIG__NOTIFICATIONS__NTFY__ENABLED: 'true',
+        CONFIG__APPLE_STORE__NEARBY__STORES: '[R669, R742]',
+        CONFIG__MONITORING__INTERVAL: '1',
+    });
+    const { value, errors } = validateConfig(raw);
+
+    expect(unknown).toEqual(['CONFIG__MONITORING__INTERVAL']);
+    expect(errors).toEqual([]);
+    expect(value.monitoring.intervalMs).toBe(60000);
+    expect(value.notifications.ntfy.enabled).toBe(true);
+    expect(value.appleStore.nearby.stores).toEqual(['R669', 'R742']);
+});
+
+test('loadConfig throws a ConfigError listing the problems', () => {
+    const file = writeConfig({ 'intervalMs: 300000': 'intervalMs: "soon"', 'fetcher: "replay"': 'fetcher: "curl"' });
+
+    expect(() => loadConfig(file)).toThrow(ConfigError);
+    try {
+        loadConfig(file);
+    } catch (error) {
+        expect(error.errors).toEqual([
+            'appleStore.fetcher must be one of auto, http, browser, replay, got "curl"',
+            'monitoring.intervalMs must be a number, got "soon"',
+        ]);
+        expect(error.message).toContain(`Invalid configuration in ${file}:\n  - appleStore.fetcher`);
+    }
+
+    // Range checks of the loaders are reported the same way
+    expect(() => loadConfig(writeConfig({ 'intervalMs: 300000': 'intervalMs: 10' })))
+        .toThrow('monitoring.intervalMs must be a number of at least 5000');
+});
+
+test('combines watches saved through the API with config.yml by id', () => {
+    const storage = { 'enabled: false\n\nlogging': `enabled: true\n  dir: "${dir}"\n\nlogging` };
+    fs.writeFileSync(path.join(dir, 'watches.json'), JSON.stringify({
+        watches: [
+            { id: 'pro-trx', label: 'Edited', partNumber: 'MFYM4X/A', storeNumber: 'R742' },
+            { id: 'saved', partNumber: 'MFYQ4X/A', storeNumber: 'R742' },
+        ],
+        removed: ['max-trx'],
+    }));
+
+    const config = loadConfig(writeConfig(storage));
+    expect(config.watches.map(watch => [watch.id, watch.label, watch.fetcher])).toEqual([
+        ['pro-trx', 'Edited', 'replay'],
+        ['saved', 'MFYQ4X/A', 'replay'],
+    ]);
+    expect(config.warnings).toEqual([
+        `watch "max-trx" in config.yml was removed through the API and is skipped; delete it from ${path.join(dir, 'watches.json')} to watch it again`,
+    ]);
+
+    // Saved watches follow later changes of the defaults
+    const changed = loadConfig(writeConfig({ ...storage, 'fetcher: "replay"': 'fetcher: "http"', 'cooldownMinutes: 0': 'cooldownMinutes: 5' }));
+    expect(changed.watches.map(watch => [watch.id, watch.fetcher, watch.notificationPolicy.cooldownMinutes])).toEqual([
+        ['pro-trx', 'http', 5],
+        ['saved', 'http', 5],
+    ]);
+});
+
+describe('hot reload', () => {
+    let config;
+    let configWatcher;
+    let monitoringService;
+
+    beforeEach(() => {
+        jest.resetModules();
+        config = require('../src/config/config');
+        configWatcher = require('../src/services/configWatcher');
+        monitoringService = require('../src/services/monitoringService');
+        config.file = writeConfig();
+    });
+
+    test('applies a valid change to the monitor', () => {
+        const baseline = monitoringService.watches.get('pro-trx');
+        fs.writeFileSync(config.file, FIXTURE
+            .replace('intervalMs: 300000', 'intervalMs: 60000')
+            .replace(/  - id: "max-trx"\n.*\n.*\n/, ''));
+
+        expect(configWatcher.reload()).toBe(true);
+        expect(config.monitoring.intervalMs).toBe(60000);
+        expect(monitoringService.intervalMs).toBe(60000);
+        expect([...monitoringService.watches.keys()]).toEqual(['pro-trx']);
+        expect(monitoringService.watches.get('pro-trx')).toBe(baseline);
+    });
+
+    test('applies appleStore changes to the request params and watch defaults together', () => {
+        const appleStoreService = require('../src/services/appleStoreService');
+        const { getRegion } = require('../src/config/regions');
+        fs.writeFileSync(config.file, FIXTURE
+            .replace('fetcher: "replay"', 'fetcher: "http"')
+            .replace('pl: true', 'pl: false'));
+
+        expect(configWatcher.reload()).toBe(true);
+        expect(config.appleStore.params.pl).toBe(false);
+        expect(config.watchDefaults.fetcher).toBe('http');
+        expect(monitoringService.watches.get('pro-trx').watch.fetcher).toBe('http');
+        expect(new URL(appleStoreService._buildUrl(getRegion('my'), 'R742', ['MFYM4X/A'])).searchParams.get('pl')).toBe('false');
+    });
+
+    test('saves watch changes made through the API as sent', async () => {
+        const { normalizeWatch } = require('../src/config/watches');
+        const definition = { label: 'Edited', partNumber: 'MFYM4X/A', storeNumber: 'R742' };
+        config.storage.watchesFile = path.join(dir, 'watches.json');
+
+        await monitoringService.updateWatch(normalizeWatch({ ...definition, id: 'pro-trx' }, 'watch', config.watchDefaults), definition);
+        await monitoringService.removeWatch('max-trx');
+
+        expect(JSON.parse(fs.readFileSync(config.storage.watchesFile, 'utf8'))).toEqual({
+            watches: [{ ...definition, id: 'pro-trx' }],
+            removed: ['max-trx'],
+        });
+    });
+
+    test('keeps reading watches from the running storage when storage changes', () => {
+        fs.writeFileSync(path.join(dir, 'watches.json'), JSON.stringify({
+            watches: [{ id: 'saved', partNumber: 'MFYQ4X/A', storeNumber: 'R742' }],
+            removed: [],
+        }));
+        fs.writeFileSync(config.file, FIXTURE.replace('enabled: false\n\nlogging', `enabled: true\n  dir: "${dir}"\n\nlogging`));
+
+        expect(configWatcher.reload()).toBe(true);
+        expect(config.storage.enabled).toBe(false);
+        expect(config.watches.map(watch => watch.id)).toEqual(['pro-trx', 'max-trx']);
+        expect([...monitoringService.watches.keys()]).toEqual(['pro-trx', 'max-trx']);
+    });
+
+    test('restores the last good configuration when applying a change fails', () => {
+        const rejected = jest.fn();
+        configWatcher.on('rejected', rejected);
+        jest.spyOn(monitoringService, 'applyConfig').mockImplementationOnce(() => {
+            throw new Error('window cannot be applied');
+        });
+        fs.writeFileSync(config.file, FIXTURE.replace('intervalMs: 300000', 'intervalMs: 60000'));
+
+        expect(configWatcher.reload()).toBe(false);
+        expect(rejected.mock.calls[0][0].message).toBe('window cannot be applied');
+        expect(config.monitoring.intervalMs).toBe(300000);
+        expect(monitoringService.intervalMs).toBe(300000);
+    });
+
+    test('rejects an invalid change and keeps the last good configuration', () => {
+        const rejected = jest.fn();
+        configWatcher.on('rejected', rejected);
+        fs.writeFileSync(config.file, FIXTURE.replace('intervalMs: 300000', 'intervalMs: "soon"'));
+
+        expect(configWatcher.reload()).toBe(false);
+        expect(rejected.mock.calls[0][0].errors).toEqual(['monitoring.intervalMs must be a number, got "soon"']);
+        expect(config.monitoring.intervalMs).toBe(300000);
+        expect(monitoringService.watches.size).toBe(2);
+    });
+});
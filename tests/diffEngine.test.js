@@ -0,0 +1,121 @@
+const { loadMonitor, quotes } = require('./helpers');
+const { snapshotOf, diffSnapshots } = require('../src/services/diffEngine');
+
+const TRX = { storeNumber: 'R742', storeName: 'The Exchange TRX' };
+const KLCC = { storeNumber: 'R800', storeName: 'KLCC' };
+
+function store(base, status, message, extra = {}) {
+    return { ...base, status, available: status === 'available', message, pickupType: 'Store', ...extra };
+}
+
+function snapshot(status, message, stores, extra = {}) {
+    return snapshotOf({
+        ...TRX,
+        status,
+        available: status === 'available',
+        message,
+        stores,
+        ...extra,
+    });
+}
+
+describe('diffSnapshots', () => {
+    test('reports the watch becoming available', () => {
+        const previous = snapshot('unavailable', 'Currently unavailable', [store(TRX, 'unavailable', 'Currently unavailable')]);
+        const current = snapshot('available', 'Available Today', [store(TRX, 'available', 'Available Today')]);
+
+        expect(diffSnapshots(previous, current)).toEqual([{
+            type: 'became-available',
+            scope: 'watch',
+            storeNumber: 'R742',
+            storeName: 'The Exchange TRX',
+            from: 'unavailable',
+            to: 'available',
+            message: 'Available Today',
+            summary: 'The Exchange TRX: became available (Available Today)',
+        }]);
+    });
+
+    test('reports a status change within the same availability', () => {
+        const previous = snapshot('unavailable', 'Currently unavailable', []);
+        const current = snapshot('tomorrow', 'Available Tomorrow', []);
+
+        expect(diffSnapshots(previous, current).map(change => [change.type, change.summary])).toEqual([
+            ['status-changed', 'The Exchange TRX: moved to tomorrow (Available Tomorrow)'],
+        ]);
+    });
+
+    test('reports quote, pickup type and store list changes at other stores', () => {
+        const previous = snapshot('unavailable', 'Currently unavailable', [
+            store(TRX, 'unavailable', 'Currently unavailable'),
+            store(KLCC, 'unavailable', 'Available Fri 24 Oct'),
+            store({ storeNumber: 'R900', storeName: 'Mid Valley' }, 'unavailable', 'Currently unavailable'),
+        ]);
+        const current = snapshot('unavailable', 'Currently unavailable', [
+            store(TRX, 'unavailable', 'Currently unavailable', { pickupType: 'Courier' }),
+            store(KLCC, 'unavailable', 'Available Sat 25 Oct'),
+            store({ storeNumber: 'R669', storeName: 'Orchard Road' }, 'available', 'Available Today'),
+        ]);
+
+        expect(diffSnapshots(previous, current).map(change => [change.type, change.scope, change.storeNumber])).toEqual([
+            ['pickup-type-changed', 'store', 'R742'],
+            ['pickup-quote-changed', 'store', 'R800'],
+            ['store-added', 'store', 'R669'],
+            ['store-removed', 'store', 'R900'],
+        ]);
+    });
+
+    test('reports delivery status and quote changes for the part', () => {
+        const delivery = (status, quote) => ({ status, available: status === 'delivery-soon', quote, days: null });
+        const weeks = snapshot('unavailable', 'Currently unavailable', [], { delivery: delivery('delivery', 'Delivers in 3–4 weeks') });
+        const sooner = snapshot('unavailable', 'Currently unavailable', [], { delivery: delivery('delivery', 'Delivers in 1–2 weeks') });
+        const soon = snapshot('unavailable', 'Currently unavailable', [], { delivery: delivery('delivery-soon', 'Delivers in 2 days') });
+
+        expect(diffSnapshots(weeks, sooner)).toMatchObject([{
+            type: 'delivery-quote-changed',
+            scope: 'part',
+            storeNumber: null,
+            summary: 'Delivery quote changed from "Delivers in 3–4 weeks" to "Delivers in 1–2 weeks"',
+        }]);
+        expect(diffSnapshots(sooner, soon).map(change => change.summary)).toEqual([
+            'Delivery moved to delivery-soon (Delivers in 2 days)',
+        ]);
+    });
+
+    test('skips fields missing from older baselines', () => {
+        const previous = { available: false, message: 'Currently unavailable', storeName: 'The Exchange TRX' };
+        const current = snapshot('unavailable', 'Currently unavailable', [store(TRX, 'unavailable', 'Currently unavailable')]);
+
+        expect(diffSnapshots(previous, current)).toEqual([]);
+    });
+});
+
+describe('change events in the monitor', () => {
+    test('are recorded, emitted and passed to notifications', async () => {
+        const { monitoringService, sent, check } = loadMonitor([
+            { ...quotes('Currently unavailable'), delivery: { 'MFYM4X/A': 'Delivers in 3–4 weeks' } },
+            { ...quotes('Available Today'), delivery: { 'MFYM4X/A': 'Delivers in 1–2 weeks' } },
+        ]);
+        const transitions = [];
+        monitoringService.on('transition', transition => transitions.push(transition));
+
+        await check();
+        await check();
+
+        const transition = transitions.filter(entry => entry.watch === 'pro-trx')[1];
+        expect(transition.changes.map(change => change.type)).toEqual(['became-available', 'delivery-quote-changed']);
+        expect(sent).toHaveLength(1);
+        expect(sent[0].change).toBe('became-available');
+        expect(sent[0].changes).toBe(
+            'The Exchange TRX: became available (Available Today)\n' +
+            'Delivery quote changed from "Delivers in 3–4 weeks" to "Delivers in 1–2 weeks"'
+        );
+        const watch = monitoringService.getStatus().watches.find(entry => entry.id === 'pro-trx');
+        expect(watch.lastKnownStatus.delivery).toEqual({
+            status: 'delivery',
+            available: false,
+            quote: 'Delivers in 1–2 weeks',
+            days: 14,
+        });
+    });
+});
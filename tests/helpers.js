@@ -0,0 +1,45 @@
+/**
+ * Load a fresh MonitoringService that checks through the replay fetcher and
+ * captures notifications instead of sending them
+ * @param {Object[]|Object|string} sequence - Replay sequence, see ReplayFetcher.load()
+ * @returns {{monitoringService: Object, replayFetcher: Object, sent: Object[], check: Function}}
+ */
+function loadMonitor(sequence) {
+    jest.resetModules();
+    const replayFetcher = require('../src/services/fetchers/replayFetcher');
+    const notificationService = require('../src/services/notificationService');
+    const monitoringService = require('../src/services/monitoringService');
+
+    if (sequence) {
+        replayFetcher.load(sequence);
+    }
+
+    // Rendered notification contexts with their priority
+    const sent = [];
+    jest.spyOn(notificationService, 'dispatch').mockImplementation(async (context, priority) => {
+        sent.push({ ...context, priority });
+        return true;
+    });
+
+    return {
+        monitoringService,
+        replayFetcher,
+        sent,
+        check: () => monitoringService._performCheck(),
+    };
+}
+
+/**
+ * One replay step for store R742 with the quotes of both test watches
+ */
+function quotes(pro, max = 'Currently unavailable') {
+    return {
+        stores: [{
+            storeNumber: 'R742',
+            storeName: 'The Exchange TRX',
+            parts: { 'MFYM4X/A': pro, 'MFYQ4X/A': max },
+        }],
+    };
+}
+
+module.exports = { loadMonitor, quotes };
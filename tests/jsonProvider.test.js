@@ -0,0 +1,207 @@
+const http = require('http');
+const { loadMonitor } = require('./helpers');
+const { compilePath, readPath } = require('../src/utils/jsonPath');
+
+// Local endpoint answering with whatever the test puts in `response`
+let server;
+let baseUrl;
+let response;
+let requests;
+
+beforeAll(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            res.writeHead(response.status || 200, { 'Content-Type': 'application/json' });
+            res.end(typeof response.body === 'string' ? response.body : JSON.stringify(response.body));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    response = { body: {} };
+    requests = [];
+});
+
+/**
+ * Fresh monitor with one JSON watch; the Apple watches from the test
+ * configuration are left unchecked
+ */
+async function monitorWith(entry) {
+    const monitor = loadMonitor();
+    const config = require('../src/config/config');
+    const { normalizeWatch } = require('../src/config/watches');
+    const watch = normalizeWatch({ id: 'api', type: 'json', url: `${baseUrl}/stock`, ...entry }, 'watch', config.watchDefaults);
+    await monitor.monitoringService.addWatch(watch);
+    return { ...monitor, check: () => monitor.monitoringService._performCheck(['api']) };
+}
+
+function watchState(monitoringService) {
+    return monitoringService.getStatus().watches.find(watch => watch.id === 'api');
+}
+
+describe('field expressions', () => {
+    const data = { data: { items: [{ sku: 'a', stock: 0 }, { sku: 'b', stock: 3 }] }, 'odd key': true };
+
+    test('read dot paths, indexes, quoted keys and wildcards', () => {
+        expect(readPath(data, compilePath('data.items[1].stock'))).toBe(3);
+        expect(readPath(data, compilePath('$.data.items[-1].sku'))).toBe('b');
+        expect(readPath(data, compilePath("$['odd key']"))).toBe(true);
+        expect(readPath(data, compilePath('data.items[*].stock'))).toEqual([0, 3]);
+        expect(readPath(data, compilePath('data.missing.stock'))).toBeUndefined();
+    });
+
+    test('reject invalid expressions with their position', () => {
+        expect(() => compilePath('data..items')).toThrow('"data..items" is not a valid field expression (at position 4)');
+    });
+});
+
+describe('JSON watch configuration', () => {
+    const { normalizeWatch } = require('../src/config/watches');
+    const defaults = { region: 'my', notificationPolicy: {}, knownRecipients: [] };
+
+    test('requires a url and a field', () => {
+        expect(() => normalizeWatch({ id: 'api', type: 'json', url: 'https://example.com' }, 'watches[0]', defaults))
+            .toThrow('watches[0] of type json must define id, url and field');
+    });
+
+    test('rejects unsupported methods and unset environment variables', () => {
+        const entry = { id: 'api', type: 'json', url: 'https://example.com', field: 'ok' };
+        expect(() => normalizeWatch({ ...entry, method: 'FETCH' }, 'watches[0]', defaults))
+            .toThrow('watches[0].method must be one of');
+        expect(() => normalizeWatch({ ...entry, url: 'https://example.com/${WATCH_TEST_TOKEN}' }, 'watches[0]', defaults))
+            .toThrow('watches[0].url uses ${WATCH_TEST_TOKEN}, which is not set in the environment');
+    });
+
+    test('only expand variables starting with WATCH_', () => {
+        const entry = { id: 'api', type: 'json', url: 'https://example.com', field: 'ok' };
+        expect(() => normalizeWatch({ ...entry, headers: { Authorization: '${PUSHOVER_API_KEY}' } }, 'watches[0]', defaults))
+            .toThrow('watches[0].headers.Authorization uses ${PUSHOVER_API_KEY}, but only variables starting with WATCH_ can be used');
+    });
+
+    test('refuse placeholders in watches sent to the API', () => {
+        process.env.WATCH_TEST_TOKEN = 'secret';
+        try {
+            const entry = { id: 'api', type: 'json', url: 'https://example.com', field: 'ok', body: { token: '${WATCH_TEST_TOKEN}' } };
+            expect(() => normalizeWatch(entry, 'watch', defaults, { allowEnv: false }))
+                .toThrow('watch.body cannot use ${NAME} placeholders in a watch added through the API');
+            expect(normalizeWatch(entry, 'watches[0]', defaults).body).toEqual({ token: '${WATCH_TEST_TOKEN}' });
+        } finally {
+            delete process.env.WATCH_TEST_TOKEN;
+        }
+    });
+});
+
+describe('JSON watches', () => {
+    test('alert when the field starts matching', async () => {
+        const { monitoringService, sent, check } = await monitorWith({ label: 'Stock API', field: 'data.items[*].stock', match: '> 0' });
+
+        response.body = { data: { items: [{ stock: 0 }, { stock: 0 }] } };
+        await check();
+        expect(sent).toHaveLength(0);
+
+        response.body = { data: { items: [{ stock: 0 }, { stock: 2 }] } };
+        await check();
+
+        expect(sent).toHaveLength(1);
+        expect(sent[0]).toMatchObject({
+            watchType: 'json',
+            status: 'available',
+            previousStatus: 'unavailable',
+            headline: 'Stock API matched: data.items[*].stock is [0,2]',
+            buyUrl: `${baseUrl}/stock`,
+            storeName: '',
+            priority: 'high',
+        });
+        expect(watchState(monitoringService)).toMatchObject({
+            type: 'json',
+            field: 'data.items[*].stock',
+            lastKnownStatus: { status: 'available', available: true },
+        });
+    });
+
+    test('without a match, alert on every change of the value after the first check', async () => {
+        const { sent, check } = await monitorWith({ field: 'price' });
+
+        response.body = { price: 999 };
+        await check();
+        await check();
+        expect(sent).toHaveLength(0);
+
+        response.body = { price: 899 };
+        await check();
+
+        expect(sent).toHaveLength(1);
+        expect(sent[0]).toMatchObject({
+            status: '899',
+            previousStatus: '999',
+            change: 'status-changed',
+            priority: 'normal',
+        });
+    });
+
+    test('send the method, expanded headers and JSON body', async () => {
+        process.env.WATCH_TEST_TOKEN = 'secret';
+        try {
+            const { check } = await monitorWith({
+                method: 'post',
+                headers: { Authorization: 'Bearer ${WATCH_TEST_TOKEN}' },
+                body: { query: 'stock' },
+                field: 'ok',
+            });
+
+            response.body = { ok: true };
+            await check();
+        } finally {
+            delete process.env.WATCH_TEST_TOKEN;
+        }
+
+        expect(requests).toHaveLength(1);
+        expect(requests[0]).toMatchObject({
+            method: 'POST',
+            url: '/stock',
+            body: '{"query":"stock"}',
+        });
+        expect(requests[0].headers).toMatchObject({
+            authorization: 'Bearer secret',
+            'content-type': 'application/json',
+        });
+    });
+
+    test('record a URL that cannot be expanded as a failed check and back off', async () => {
+        process.env.WATCH_TEST_HOST = baseUrl.replace('http://', '');
+        const { monitoringService, check } = await monitorWith({ url: 'http://${WATCH_TEST_HOST}/stock', field: 'ok' });
+        delete process.env.WATCH_TEST_HOST;
+
+        await check();
+
+        expect(requests).toHaveLength(0);
+        expect(watchState(monitoringService)).toMatchObject({
+            consecutiveFailures: 1,
+            lastError: { message: '[api] url uses ${WATCH_TEST_HOST}, which is not set in the environment' },
+        });
+        expect(monitoringService.watches.get('api').nextCheckAt).toBeGreaterThan(Date.now());
+    });
+
+    test('record failed responses as check errors', async () => {
+        const { monitoringService, check } = await monitorWith({ field: 'ok' });
+
+        response = { status: 503, body: { error: 'down' } };
+        await check();
+        expect(watchState(monitoringService).lastError.message).toBe('Endpoint responded with status 503');
+
+        response = { body: 'not json' };
+        await check();
+        expect(watchState(monitoringService).lastError.message).toMatch(/^Response parsing failed/);
+    });
+});
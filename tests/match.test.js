@@ -0,0 +1,24 @@
+const { compileMatcher } = require('../src/utils/match');
+
+describe('compileMatcher', () => {
+    test('matches regular expressions, comparisons, lists and plain values', () => {
+        expect(compileMatcher('/available today/i', 'rule')('Available Today')).toBe(true);
+        expect(compileMatcher('<= 3', 'rule')('2')).toBe(true);
+        expect(compileMatcher('<= 3', 'rule')(null)).toBe(false);
+        expect(compileMatcher(['a', '/^b/'], 'rule')('bee')).toBe(true);
+        expect(compileMatcher('Store', 'rule')('store')).toBe(true);
+    });
+
+    test('gives the same answer for the same value with global or sticky flags', () => {
+        ['/today/g', '/today/y', '/today/gi'].forEach((expected) => {
+            const matches = compileMatcher(expected, 'rule');
+            const value = expected.endsWith('y') ? 'today' : 'Available today';
+            expect([matches(value), matches(value), matches(value)]).toEqual([true, true, true]);
+        });
+    });
+
+    test('reports an invalid regular expression with its location', () => {
+        expect(() => compileMatcher('/(/', 'rules.statuses[0].match.pickupDisplay'))
+            .toThrow('rules.statuses[0].match.pickupDisplay is not a valid regular expression');
+    });
+});
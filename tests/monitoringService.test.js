@@ -0,0 +1,289 @@
+const path = require('path');
+const { loadMonitor, quotes } = require('./helpers');
+
+const UNAVAILABLE = 'Currently unavailable';
+const TOMORROW = 'Available Tomorrow';
+const TODAY = 'Available Today';
+
+function watchState(monitoringService, id = 'pro-trx') {
+    return monitoringService.getStatus().watches.find(watch => watch.id === id);
+}
+
+describe('first check', () => {
+    test('establishes the baseline without alerting when nothing is available', async () => {
+        const { monitoringService, sent, check } = loadMonitor([quotes(UNAVAILABLE)]);
+
+        await check();
+
+        expect(watchState(monitoringService).lastKnownStatus).toMatchObject({
+            status: 'unavailable',
+            available: false,
+            message: UNAVAILABLE,
+            storeName: 'The Exchange TRX',
+        });
+        expect(sent).toHaveLength(0);
+    });
+
+    test('alerts when a part is already available', async () => {
+        const { sent, check } = loadMonitor([quotes(TODAY)]);
+
+        await check();
+
+        expect(sent).toHaveLength(1);
+        expect(sent[0]).toMatchObject({
+            watchId: 'pro-trx',
+            status: 'available',
+            previousStatus: 'none',
+            headline: 'iPhone Stock Available!',
+            priority: 'high',
+        });
+    });
+
+    test('emits a transition from null', async () => {
+        const { monitoringService, check } = loadMonitor([quotes(UNAVAILABLE)]);
+        const transitions = [];
+        monitoringService.on('transition', transition => transitions.push(transition));
+
+        await check();
+
+        expect(transitions.map(transition => [transition.watch, transition.from])).toEqual([
+            ['pro-trx', null],
+            ['max-trx', null],
+        ]);
+    });
+});
+
+describe('status transitions', () => {
+    test('follow the alert rules through a restock', async () => {
+        const { monitoringService, sent, check } = loadMonitor(path.join(__dirname, 'fixtures', 'restock.json'));
+        const transitions = [];
+        monitoringService.on('transition', transition => transitions.push(transition));
+
+        await check();
+        await check();
+        await check();
+
+        expect(transitions
+            .filter(transition => transition.watch === 'pro-trx')
+            .map(transition => transition.to.status)).toEqual(['unavailable', 'tomorrow', 'available']);
+        expect(sent.map(context => [context.previousStatus, context.status, context.priority, context.headline])).toEqual([
+            ['unavailable', 'tomorrow', 'normal', 'iPhone 17 Pro 256GB Deep Blue can be picked up tomorrow'],
+            ['tomorrow', 'available', 'high', 'iPhone Stock Available!'],
+        ]);
+    });
+
+    test('do not alert while the status stays the same', async () => {
+        const { monitoringService, sent, check } = loadMonitor([quotes(UNAVAILABLE), quotes(UNAVAILABLE)]);
+
+        await check();
+        await check();
+
+        expect(sent).toHaveLength(0);
+        expect(watchState(monitoringService).checkCount).toBe(2);
+    });
+
+    test('record message-only changes without alerting', async () => {
+        const { monitoringService, sent, check } = loadMonitor([
+            quotes(UNAVAILABLE),
+            quotes('Unavailable for pickup'),
+        ]);
+        const transitions = [];
+        monitoringService.on('transition', transition => transitions.push(transition));
+
+        await check();
+        await check();
+
+        const change = transitions.filter(transition => transition.watch === 'pro-trx')[1];
+        expect(change.from).toMatchObject({ status: 'unavailable', message: UNAVAILABLE });
+        expect(change.to).toMatchObject({ status: 'unavailable', message: 'Unavailable for pickup' });
+        expect(sent).toHaveLength(0);
+    });
+
+    test('only notify for changes matching an alert rule', async () => {
+        const { sent, check } = loadMonitor([quotes(TODAY), quotes(UNAVAILABLE)]);
+
+        await check();
+        await check();
+
+        // No rule covers available -> unavailable
+        expect(sent.map(context => context.status)).toEqual(['available']);
+    });
+});
+
+describe('notification decisions', () => {
+    test('wait for the configured confirmations', async () => {
+        const { monitoringService, sent, check } = loadMonitor([
+            quotes(UNAVAILABLE),
+            quotes(TODAY),
+            quotes(TODAY),
+        ]);
+        const { watch } = monitoringService.watches.get('pro-trx');
+        watch.notificationPolicy = { ...watch.notificationPolicy, confirmations: 2 };
+
+        await check();
+        await check();
+        expect(sent).toHaveLength(0);
+        expect(watchState(monitoringService).alerts.pendingConfirmation).toEqual({
+            status: 'available',
+            count: 1,
+            required: 2,
+        });
+
+        await check();
+        expect(sent.map(context => context.status)).toEqual(['available']);
+    });
+
+    test('drop an alert that does not hold', async () => {
+        const { monitoringService, sent, check } = loadMonitor([
+            quotes(UNAVAILABLE),
+            quotes(TODAY),
+            quotes(UNAVAILABLE),
+            quotes(UNAVAILABLE),
+        ]);
+        const { watch } = monitoringService.watches.get('pro-trx');
+        watch.notificationPolicy = { ...watch.notificationPolicy, confirmations: 2 };
+
+        await check();
+        await check();
+        await check();
+        await check();
+
+        expect(sent).toHaveLength(0);
+        expect(watchState(monitoringService).alerts.pendingConfirmation).toBeNull();
+    });
+
+    test('suppress a repeated alert during the cooldown', async () => {
+        const { monitoringService, sent, check } = loadMonitor([
+            quotes(TODAY),
+            quotes(UNAVAILABLE),
+            quotes(TODAY),
+        ]);
+        const { watch } = monitoringService.watches.get('pro-trx');
+        watch.notificationPolicy = { ...watch.notificationPolicy, cooldownMinutes: 60 };
+
+        await check();
+        await check();
+        await check();
+
+        expect(sent.map(context => context.status)).toEqual(['available']);
+    });
+
+    test('keep re-evaluating held-back alerts after a restart', async () => {
+        const { monitoringService, sent, check } = loadMonitor([quotes(TODAY)]);
+        const notificationPolicy = require('../src/services/notificationPolicy');
+        const { watch } = monitoringService.watches.get('pro-trx');
+        watch.notificationPolicy = { ...watch.notificationPolicy, quietHours: { start: '00:00', end: '23:59' } };
+
+        await check();
+        expect(sent).toHaveLength(0);
+        expect(watchState(monitoringService).alerts.heldBack).not.toBeNull();
+
+        notificationPolicy.stop();
+        expect(notificationPolicy.timer).toBeNull();
+        notificationPolicy.start();
+        expect(notificationPolicy.timer).not.toBeNull();
+        notificationPolicy.stop();
+    });
+});
+
+describe('failed checks', () => {
+    test('keep the baseline and record the error', async () => {
+        const { monitoringService, sent, check } = loadMonitor([
+            quotes(UNAVAILABLE),
+            { error: 'socket hang up' },
+        ]);
+
+        await check();
+        await check();
+
+        const watch = watchState(monitoringService);
+        expect(watch.lastKnownStatus.status).toBe('unavailable');
+        expect(watch.lastError.message).toBe('Request failed: socket hang up');
+        expect(watch.consecutiveFailures).toBe(1);
+        expect(sent).toHaveLength(0);
+    });
+
+    test('notify when the monitor is degraded and when it recovers', async () => {
+        const { monitoringService, sent, check } = loadMonitor([
+            quotes(UNAVAILABLE),
+            { statusCode: 541 },
+            { statusCode: 541 },
+            quotes(UNAVAILABLE),
+        ]);
+
+        await check();
+        await check();
+        expect(sent).toHaveLength(0);
+
+        await check();
+        expect(monitoringService.getHealth().healthy).toBe(false);
+        expect(sent.filter(context => context.watchId === 'pro-trx').map(context => context.health)).toEqual(['degraded']);
+
+        await check();
+        expect(monitoringService.getHealth().healthy).toBe(true);
+        expect(sent.filter(context => context.watchId === 'pro-trx').map(context => context.health)).toEqual(['degraded', 'recovered']);
+    });
+
+    test('close open circuits and recover when the circuit breaker is disabled', async () => {
+        const { monitoringService, sent, check } = loadMonitor([
+            quotes(UNAVAILABLE),
+            { statusCode: 541 },
+            { statusCode: 541 },
+        ]);
+        const config = require('../src/config/config');
+        const circuitBreaker = require('../src/services/circuitBreaker');
+        const metricsService = require('../src/services/metricsService');
+        const circuitMetric = () => metricsService.render().match(/phone_notify_circuit_open\{watch="pro-trx"\} (\d)/)[1];
+
+        config.monitoring.circuitBreaker = { openAfterFailures: 2, cooldownMinutes: 15 };
+        monitoringService.applyConfig();
+        await check();
+        await check();
+        await check();
+        circuitBreaker.beforeCheck('pro-trx');
+        expect(circuitBreaker.getWatchStatus('pro-trx').state).toBe('half-open');
+        expect(circuitMetric()).toBe('1');
+        expect(monitoringService.getHealth().healthy).toBe(false);
+
+        config.monitoring.circuitBreaker = null;
+        monitoringService.applyConfig();
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(circuitBreaker.getWatchStatus('pro-trx')).toMatchObject({ state: 'closed', retryAt: null });
+        expect(circuitMetric()).toBe('0');
+        expect(monitoringService.getHealth().healthy).toBe(true);
+        expect(sent.filter(context => context.watchId === 'pro-trx').map(context => context.health)).toEqual(['degraded', 'recovered']);
+    });
+});
+
+describe('delivery', () => {
+    const delivery = quote => ({ ...quotes(UNAVAILABLE), delivery: { 'MFYM4X/A': quote } });
+
+    test('is tracked as its own status and alerts by the delivery rules', async () => {
+        const { monitoringService, sent, check } = loadMonitor([
+            delivery('Delivers in 2–3 weeks'),
+            delivery('Delivers in 2 days'),
+        ]);
+
+        await check();
+        expect(sent).toHaveLength(0);
+        expect(watchState(monitoringService).lastKnownStatus.delivery.status).toBe('delivery');
+
+        await check();
+        expect(sent).toHaveLength(1);
+        expect(sent[0]).toMatchObject({
+            watchId: 'pro-trx',
+            track: 'delivery',
+            status: 'delivery-soon',
+            previousStatus: 'delivery',
+            change: 'delivery-status-changed',
+            deliveryQuote: 'Delivers in 2 days',
+            deliveryDays: 2,
+            headline: 'iPhone 17 Pro 256GB Deep Blue can be delivered: Delivers in 2 days',
+            priority: 'normal',
+        });
+        // Pickup stays unavailable and keeps its own alert state
+        expect(watchState(monitoringService).alerts.lastAlerts).toEqual({});
+        expect(Object.keys(watchState(monitoringService).alerts.delivery.lastAlerts)).toEqual(['delivery-soon']);
+    });
+});
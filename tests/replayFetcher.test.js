@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const replayFetcher = require('../src/services/fetchers/replayFetcher');
+
+const url = store => `https://www.apple.com/my/shop/fulfillment-messages?parts.0=MFYM4X%2FA&store=${store}`;
+
+async function quoteFor(store) {
+    const { data } = await replayFetcher.fetchJson(url(store));
+    return data.body.content.pickupMessage.stores[0].partsAvailability['MFYM4X/A'].pickupSearchQuote;
+}
+
+function step(quote, storeNumber) {
+    return { storeNumber, stores: [{ storeNumber: storeNumber || 'R742', parts: { 'MFYM4X/A': quote } }] };
+}
+
+test('expands the stores shorthand into a fulfillment-messages body', async () => {
+    replayFetcher.load([{ stores: [{ storeNumber: 'R742', parts: { 'MFYM4X/A': 'Available Today' } }] }]);
+
+    const response = await replayFetcher.fetchJson(url('R742'));
+
+    expect(response.statusCode).toBe(200);
+    expect(response.data.body.content.pickupMessage.stores[0]).toEqual({
+        storeNumber: 'R742',
+        storeName: 'R742',
+        partsAvailability: {
+            'MFYM4X/A': { pickupSearchQuote: 'Available Today', storePickupQuote: 'Available Today' },
+        },
+    });
+});
+
+test('keeps serving the last step once the sequence ends', async () => {
+    replayFetcher.load([step('one'), step('two')]);
+
+    expect([await quoteFor('R742'), await quoteFor('R742'), await quoteFor('R742')]).toEqual(['one', 'two', 'two']);
+});
+
+test('loops when asked to', async () => {
+    replayFetcher.load({ loop: true, steps: [step('one'), step('two')] });
+
+    expect([await quoteFor('R742'), await quoteFor('R742'), await quoteFor('R742')]).toEqual(['one', 'two', 'one']);
+});
+
+test('walks through the steps of each store separately', async () => {
+    replayFetcher.load([step('trx 1', 'R742'), step('orchard 1', 'R669'), step('trx 2', 'R742')]);
+
+    expect(await quoteFor('R742')).toBe('trx 1');
+    expect(await quoteFor('R669')).toBe('orchard 1');
+    expect(await quoteFor('R742')).toBe('trx 2');
+    await expect(replayFetcher.fetchJson(url('R633'))).rejects.toThrow('no steps for store R633');
+});
+
+test('replays a directory of recordings in file name order', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+    try {
+        fs.writeFileSync(path.join(dir, '2026-09-19T00-00-30-000Z-R742-http.json'), JSON.stringify({ statusCode: 541, data: null }));
+        fs.writeFileSync(path.join(dir, '2026-09-19T00-00-00-000Z-R742-http.json'), JSON.stringify({ statusCode: 200, data: { body: {} } }));
+
+        replayFetcher.load(dir);
+
+        expect(await replayFetcher.fetchJson(url('R742'))).toEqual({ statusCode: 200, data: { body: {} } });
+        expect(await replayFetcher.fetchJson(url('R742'))).toEqual({ statusCode: 541, data: null });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('fails with the error of a failure step', async () => {
+    replayFetcher.load([{ error: 'socket hang up' }]);
+
+    await expect(replayFetcher.fetchJson(url('R742'))).rejects.toThrow('socket hang up');
+});
@@ -0,0 +1,4 @@
+const path = require('path');
+
+// Every suite runs against the test configuration
+process.env.CONFIG_FILE = path.join(__dirname, 'fixtures', 'config.yml');
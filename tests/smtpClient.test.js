@@ -0,0 +1,68 @@
+const net = require('net');
+const { sendMail } = require('../src/utils/smtpClient');
+
+const MAIL = { from: 'monitor@example.com', to: ['me@example.com'], subject: 'Stock', text: 'Available' };
+
+/**
+ * Local SMTP stand-in: greets, then answers each command line with
+ * reply(line, socket), which may also end the connection
+ */
+async function startServer(reply) {
+    const server = net.createServer((socket) => {
+        socket.setEncoding('utf8');
+        socket.write('220 localhost ready\r\n');
+        let buffer = '';
+        let inData = false;
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        socket.write('250 queued\r\n');
+                    }
+                    continue;
+                }
+                inData = line === 'DATA';
+                reply(line, socket);
+            }
+        });
+        socket.on('error', () => {});
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return server;
+}
+
+function serverOptions(server) {
+    return { host: '127.0.0.1', port: server.address().port, starttls: false, timeout: 2000 };
+}
+
+describe('sendMail', () => {
+    let server;
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('delivers a message', async () => {
+        const commands = [];
+        server = await startServer((line, socket) => {
+            commands.push(line.split(' ')[0]);
+            const replies = { EHLO: '250 localhost', MAIL: '250 ok', RCPT: '250 ok', DATA: '354 go ahead', QUIT: '221 bye' };
+            socket.write(`${replies[line.split(/[ :]/)[0]]}\r\n`);
+        });
+
+        await sendMail(serverOptions(server), MAIL);
+
+        expect(commands).toEqual(['EHLO', 'MAIL', 'RCPT', 'DATA', 'QUIT']);
+    });
+
+    test('rejects when the server closes the connection with a reply pending', async () => {
+        server = await startServer((line, socket) => socket.end());
+
+        await expect(sendMail(serverOptions(server), MAIL)).rejects.toThrow('SMTP connection closed');
+    });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let dir;
+let stateStore;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-'));
+    process.env.CONFIG__STORAGE__ENABLED = 'true';
+    process.env.CONFIG__STORAGE__DIR = dir;
+    // About 1 KB per file, with one rotated file kept
+    process.env.CONFIG__STORAGE__HISTORY__MAX_SIZE_MB = '0.001';
+    process.env.CONFIG__STORAGE__HISTORY__MAX_FILES = '1';
+    jest.resetModules();
+    stateStore = require('../src/services/stateStore');
+});
+
+afterEach(() => {
+    if (stateStore.historyFile) {
+        stateStore.historyFile.close();
+    }
+    delete process.env.CONFIG__STORAGE__ENABLED;
+    delete process.env.CONFIG__STORAGE__DIR;
+    delete process.env.CONFIG__STORAGE__HISTORY__MAX_SIZE_MB;
+    delete process.env.CONFIG__STORAGE__HISTORY__MAX_FILES;
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function record(check) {
+    return {
+        timestamp: new Date(Date.UTC(2026, 9, 19, 0, check)).toISOString(),
+        check,
+        watch: 'pro-trx',
+        status: 'unavailable',
+        message: 'Currently unavailable',
+        changed: check === 1,
+    };
+}
+
+describe('check history', () => {
+    test('is rotated by size and only the retained files are queried', async () => {
+        for (let check = 1; check <= 40; check++) {
+            await stateStore.appendHistory([record(check)]);
+        }
+
+        const files = fs.readdirSync(dir).sort();
+        expect(files).toEqual(['history.jsonl', 'history.jsonl.1']);
+        files.forEach(file => expect(fs.statSync(path.join(dir, file)).size).toBeLessThanOrEqual(0.001 * 1024 * 1024));
+
+        const records = await stateStore.queryHistory({ limit: 1000 });
+        const checks = records.map(entry => entry.check);
+        expect(checks[0]).toBe(40);
+        // Newest first and contiguous across the rotated file
+        expect(checks).toEqual(checks.map((check, index) => 40 - index));
+        expect(checks.length).toBeLessThan(40);
+    });
+
+    test('queries across rotated files with filters and limits', async () => {
+        for (let check = 1; check <= 12; check++) {
+            await stateStore.appendHistory([record(check)]);
+        }
+
+        const records = await stateStore.queryHistory({ from: new Date(Date.UTC(2026, 9, 19, 0, 5)), limit: 3 });
+
+        expect(fs.existsSync(path.join(dir, 'history.jsonl.1'))).toBe(true);
+        expect(records.map(entry => entry.check)).toEqual([12, 11, 10]);
+    });
+});
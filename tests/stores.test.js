@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    loadStores, rememberStore, writeStoresFile, getStore, findStores, nearestStores, resolveStore, mapsUrl,
+} = require('../src/config/stores');
+const { normalizeWatch, loadWatchDefaults } = require('../src/config/watches');
+const storeDirectory = require('../src/services/storeDirectory');
+const notificationService = require('../src/services/notificationService');
+
+const defaults = loadWatchDefaults({ region: 'my' }, null);
+
+afterEach(() => {
+    loadStores();
+});
+
+test('looks stores up by city, text and nearest to coordinates', () => {
+    expect(findStores({ city: 'kuala lumpur' }).map(store => store.storeNumber)).toEqual(['R742']);
+    expect(findStores({ q: 'orchard' }).map(store => store.storeNumber)).toEqual(['R669']);
+
+    // From Petronas Towers, TRX is a few km away and Orchard Road hundreds
+    const [nearest, next] = nearestStores(3.1579, 101.7116);
+    expect(nearest).toMatchObject({ storeNumber: 'R742' });
+    expect(nearest.distanceKm).toBeLessThan(5);
+    expect(next).toMatchObject({ storeNumber: 'R669' });
+    expect(nearestStores(3.1579, 101.7116, { region: 'sg', limit: 1 }).map(store => store.storeNumber)).toEqual(['R669']);
+});
+
+test('watches can name their store and take its storefront', () => {
+    expect(resolveStore('r742', 'watch.storeNumber')).toBe('R742');
+    expect(normalizeWatch({ partNumber: 'MFYM4X/A', store: 'Apple The Exchange TRX' }, 'watches[0]', defaults))
+        .toMatchObject({ id: 'MFYM4X/A@R742', storeNumber: 'R742', region: 'my' });
+    expect(normalizeWatch({ partNumber: 'MG000X/A', storeNumber: 'orchard road' }, 'watches[0]', defaults))
+        .toMatchObject({ storeNumber: 'R669', region: 'sg' });
+    expect(() => normalizeWatch({ partNumber: 'MFYM4X/A', store: 'Exchange' }, 'watches[0]', defaults))
+        .toThrow('watches[0].store "Exchange" is not a known store; did you mean The Exchange TRX (R742)?');
+});
+
+test('learns stores from responses and saves them', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stores-'));
+    const file = path.join(dir, 'stores.json');
+    try {
+        storeDirectory.filePath = file;
+        storeDirectory.learnFromResponse({
+            body: { content: { pickupMessage: { stores: [{
+                storeNumber: 'R999',
+                storeName: 'Apple Test Mall',
+                city: 'Penang',
+                storelatitude: '5.4',
+                storelongitude: '100.3',
+                address: { address: 'Apple Test Mall', address2: '1 Test Road', postalCode: '10000' },
+            }] } } },
+        }, 'my');
+        await storeDirectory.saving;
+
+        expect(getStore('R999')).toMatchObject({
+            name: 'Test Mall', address: '1 Test Road', city: 'Penang', latitude: 5.4, region: 'my', source: 'seen',
+        });
+        expect(rememberStore({ storeNumber: 'R999', city: 'Penang' })).toBe(false);
+
+        loadStores(file);
+        expect(getStore('R999').postalCode).toBe('10000');
+        await writeStoresFile(file);
+        expect(JSON.parse(fs.readFileSync(file, 'utf8')).stores).toHaveLength(1);
+    } finally {
+        storeDirectory.filePath = null;
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('notifications include the store address and a maps link', () => {
+    const watch = normalizeWatch({ partNumber: 'MFYM4X/A', storeNumber: 'R742' }, 'watches[0]', defaults);
+    const context = notificationService.buildContext(watch, { message: 'Available Today', available: true });
+
+    expect(context.storeName).toBe('The Exchange TRX');
+    expect(context.storeAddress).toBe('The Exchange TRX, Persiaran TRX, Tun Razak Exchange, 55188 Kuala Lumpur');
+    expect(context.mapsUrl).toBe('https://www.google.com/maps/search/?api=1&query=3.1423%2C101.719');
+    expect(mapsUrl(null, 'Somewhere')).toBe('https://www.google.com/maps/search/?api=1&query=Apple%20Somewhere');
+});